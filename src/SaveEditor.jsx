@@ -11,25 +11,77 @@ import {
     bakuganList,
     attributeList,
     cardList,
-    readBakuganEntry,
-    writeBakuganEntry,
-    readCardFlag,
-    writeCardFlag,
-    readPlayerName,
-    writePlayerName,
-    readStyling,
-    writeStyling,
-    readDeck,
-    writeDeck,
     PLATFORMS,
+    SAVE_LAYOUT,
     getSaveContext,
-    readStats,
-    writeStats,
-    readBakuganUsage,
-    writeBakuganUsage,
-    readDeckName,
-    writeDeckName,
+    writeSaveModel,
+    getFieldAnnotations,
+    validateSave,
+    learnOffsetDeltas,
+    inferSectionOffsets,
+    convertSave,
+    summarizeSlot,
+    copySlot,
+    swapSlots,
+    clearSlot,
+    getSlotSpan,
+    diffSaves,
+    SEARCH_KINDS,
+    buildSearchPattern,
+    searchBytes,
+    inspectBytes,
+    writeInterpretation,
+    STRUCTURE_SECTIONS,
+    interpretStructure,
+    structureLength,
+    CUSTOM_FIELD_TYPES,
+    normalizeCustomField,
+    serializeCustomLayout,
+    parseCustomLayout,
+    slotZeroOffset,
+    customFieldOffset,
+    readCustomField,
+    writeCustomField,
+    getCustomFieldAnnotations,
+    SNAPSHOT_MODES,
+    analyzeSnapshots,
+    isBakuganOwned,
+    grantBakugan,
+    revokeBakugan,
+    findBakuganInDecks,
+    detectSaveFormat,
+    getSlotCount,
+    verifyChecksums,
 } from "./saveFormat";
+import {
+    isPs3SavedataFolder,
+    loadPs3Savedata,
+    openPs3DataFile,
+    getPfdHashKeyNeeds,
+    parsePfdHashKeys,
+    exportPs3Savedata,
+} from "./ps3Savedata";
+import {
+    isWiiDataBin,
+    unpackWiiDataBin,
+    packWiiDataBin,
+    parseWiiSigningKeys,
+} from "./wiiDataBin";
+import {
+    isStfsPackage,
+    parseStfsPackage,
+    extractStfsFile,
+    verifyStfsPackage,
+    injectStfsFile,
+} from "./stfs";
+import {
+    detectPs2Container,
+    openPs2Container,
+    getPs2SaveFile,
+    writePs2SaveFile,
+} from "./ps2MemoryCard";
+import { isZip, readZip } from "./zip";
+import { bytesEqual, hexToBytes } from "./crypto";
 import { STYLING_FIELDS, getStylingOptions, OPPONENT_NAMES } from "./constants";
 
 function clamp(value, min, max) {
@@ -37,6 +89,384 @@ function clamp(value, min, max) {
     return Math.min(Math.max(value, min), max);
 }
 
+function rgbaToDataUrl(image) {
+    if (!image) return null;
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext("2d").putImageData(new ImageData(image.rgba, image.width, image.height), 0, 0);
+    return canvas.toDataURL();
+}
+
+function pngToDataUrl(bytes) {
+    if (!bytes) return null;
+    let binary = "";
+    for (const b of bytes) binary += String.fromCharCode(b);
+    return `data:image/png;base64,${btoa(binary)}`;
+}
+
+// Index of the save whose data file scores best as a PS2 Bakugan save
+function findBakuganPs2Save(container) {
+    let best = { index: 0, score: -1 };
+    container.saves.forEach((save, index) => {
+        if (!save.dataFileName) return;
+        const bytes = getPs2SaveFile(container, index, save.dataFileName);
+        const score =
+            detectSaveFormat(bytes).candidates.find((c) => c.platform === "ps2")?.score ?? 0;
+        if (score > best.score) best = { index, score };
+    });
+    return best.index;
+}
+
+function formatOffsetDelta(delta) {
+    return `${delta < 0 ? "-" : "+"}0x${Math.abs(delta).toString(16).toUpperCase()}`;
+}
+
+// Hex view colour per layout section; literal class names so Tailwind keeps them
+const SECTION_HEX_STYLES = {
+    bakugan: { label: "Bakugan entries", className: "text-sky-300", swatch: "bg-sky-300" },
+    cardFlag: { label: "Card flags", className: "text-lime-300", swatch: "bg-lime-300" },
+    playerName: { label: "Player name", className: "text-pink-300", swatch: "bg-pink-300" },
+    styling: { label: "Styling", className: "text-fuchsia-300", swatch: "bg-fuchsia-300" },
+    deck: { label: "Deck slots", className: "text-orange-300", swatch: "bg-orange-300" },
+    deckName: { label: "Deck names", className: "text-amber-300", swatch: "bg-amber-300" },
+    stats: { label: "Stats", className: "text-emerald-300", swatch: "bg-emerald-300" },
+    usage: { label: "Bakugan usage", className: "text-teal-300", swatch: "bg-teal-300" },
+    custom: { label: "Custom fields", className: "text-rose-300", swatch: "bg-rose-300" },
+};
+
+const EDITOR_TABS = [
+    { key: "bakugan", label: "Bakugan Stats" },
+    { key: "collection", label: "Collection" },
+    { key: "cards", label: "Cards" },
+    { key: "stats", label: "Battle Stats" },
+    { key: "appearance", label: "Appearance" },
+    { key: "decks", label: "Decks" },
+    { key: "custom", label: "Custom Fields" },
+    { key: "debug", label: "Debug" },
+];
+
+const tabLabel = (key) => EDITOR_TABS.find((t) => t.key === key)?.label ?? key;
+
+// Custom fields come last so research definitions show over the schema
+function annotationsByOffset(ctx, bytes, customFields) {
+    const byOffset = new Map();
+    const annotations = [
+        ...getFieldAnnotations(ctx, bytes.length, bytes),
+        ...getCustomFieldAnnotations(customFields, ctx, bytes),
+    ];
+    for (const a of annotations) {
+        for (let i = a.start; i < a.end; i++) byOffset.set(i, a);
+    }
+    return byOffset;
+}
+
+function annotationTitle(annotation, openable) {
+    const where = tabLabel(annotation.tab);
+    return `${annotation.label}\n= ${annotation.value}\n${openable ? `Double-click to open in ${where}` : `${where} tab`}`;
+}
+
+// Hex + ASCII rows for bytes[start, start + length). Known fields are
+// coloured by section; with `onOpenField`, double-clicking one opens it.
+// Bytes that differ from `compareTo` (when given) are marked red. Passing
+// `onSelectByte` and `onKeyDown` makes the view focusable with a cursor and
+// selection; `editing` only changes the frame.
+function HexView({
+    bytes,
+    start,
+    length,
+    highlight,
+    annotations,
+    compareTo = null,
+    cursor = null,
+    selection = null,
+    onSelectByte = null,
+    onKeyDown = null,
+    onPaste = null,
+    onOpenField = null,
+    editing = false,
+}) {
+    if (!bytes || bytes.length === 0) {
+        return (
+            <div className="border border-gray-200 rounded-xl bg-black font-mono text-xs text-gray-100 p-3">
+                No data loaded.
+            </div>
+        );
+    }
+
+    const from = Math.min(start, bytes.length - 1);
+    const end = Math.min(from + length, bytes.length);
+    const rows = [];
+
+    const inHighlight = (i) => highlight && i >= highlight.start && i < highlight.end;
+    const differs = (i) => compareTo && compareTo[i] !== bytes[i];
+    const inSelection = (i) => selection && i >= selection.start && i <= selection.end;
+    const editClass = (i, column) => {
+        if (cursor?.offset === i) {
+            return cursor.column === column ? "bg-sky-500 text-black" : "outline outline-1 outline-sky-500";
+        }
+        return inSelection(i) ? "bg-sky-900" : "";
+    };
+    const selectHandler = (i, column) =>
+        onSelectByte ? (e) => onSelectByte(i, column, e.shiftKey) : undefined;
+    const openHandler = (annotation) =>
+        onOpenField && annotation ? () => onOpenField(annotation) : undefined;
+
+    for (let offset = from; offset < end; offset += 16) {
+        const rowEnd = Math.min(offset + 16, end);
+        const offsetLabel = offset.toString(16).toUpperCase().padStart(8, "0");
+
+        const byteSpans = [];
+        const charSpans = [];
+
+        for (let i = offset; i < rowEnd; i++) {
+            const b = bytes[i];
+            const hex = b.toString(16).toUpperCase().padStart(2, "0");
+            const ch = b >= 0x20 && b <= 0x7e ? String.fromCharCode(b) : ".";
+
+            const highlighted = inHighlight(i);
+            const annotation = annotations?.get(i);
+            const changed = differs(i) ? "bg-red-700 text-white" : "";
+
+            byteSpans.push(
+                <span
+                    key={`b-${i}`}
+                    title={annotation ? annotationTitle(annotation, Boolean(onOpenField)) : undefined}
+                    onMouseDown={selectHandler(i, "hex")}
+                    onDoubleClick={openHandler(annotation)}
+                    className={`${highlighted ? "text-yellow-300 font-semibold" : (SECTION_HEX_STYLES[annotation?.section]?.className ?? "")} ${annotation && onOpenField ? "hover:underline" : ""} ${changed} ${editClass(i, "hex")}`}
+                >
+                    {hex}
+                </span>
+            );
+
+            charSpans.push(
+                <span
+                    key={`c-${i}`}
+                    title={annotation ? annotationTitle(annotation, Boolean(onOpenField)) : undefined}
+                    onMouseDown={selectHandler(i, "ascii")}
+                    onDoubleClick={openHandler(annotation)}
+                    className={`${highlighted ? "text-yellow-300 font-semibold" : (SECTION_HEX_STYLES[annotation?.section]?.className ?? "")} ${annotation && onOpenField ? "hover:underline" : ""} ${changed} ${editClass(i, "ascii")}`}
+                >
+                    {ch}
+                </span>
+            );
+        }
+
+        // pad to 16 for alignment
+        while (byteSpans.length < 16) {
+            byteSpans.push(<span key={`padb-${offset}-${byteSpans.length}`}>{"  "}</span>);
+            charSpans.push(<span key={`padc-${offset}-${charSpans.length}`}>{" "}</span>);
+        }
+
+        rows.push(
+            <div key={offset} className="whitespace-pre">
+                <span className="text-gray-500">{offsetLabel}:</span>
+                {"  "}
+                {byteSpans.map((span, idx) => (
+                    <React.Fragment key={span.key ?? idx}>
+                        {span}
+                        {idx < 15 && " "}
+                    </React.Fragment>
+                ))}
+                {"  |"}
+                {charSpans}
+                {"|"}
+            </div>
+        );
+    }
+
+    return (
+        <div
+            tabIndex={onKeyDown ? 0 : undefined}
+            onKeyDown={onKeyDown ?? undefined}
+            onPaste={onPaste ?? undefined}
+            className={`border rounded-xl overflow-auto max-h-80 bg-black focus:outline-none focus:ring-2 focus:ring-sky-500 ${editing ? "border-sky-500" : "border-gray-200"}`}
+        >
+            <div
+                className={`font-mono text-xs text-gray-100 p-3 space-y-0.5 ${onSelectByte ? "cursor-text select-none" : ""}`}
+            >
+                {rows}
+            </div>
+        </div>
+    );
+}
+
+// One line of the Debug inspector: the bytes at the cursor read as one type,
+// editable in place when `disabled` is off. Keyed on the current text by the
+// caller, so the draft resets whenever the bytes change.
+function InspectorRow({ item, stylingKey, disabled, onCommit }) {
+    const [draft, setDraft] = useState(item.key === "char16" ? item.value : item.text);
+    const selectClass = "border border-gray-300 rounded-lg px-2 py-0.5 text-xs text-gray-900";
+
+    const commitDraft = () => {
+        if (draft === (item.key === "char16" ? item.value : item.text)) return;
+        if (item.key === "char16") {
+            onCommit(item.key, draft);
+            return;
+        }
+        const raw = draft.trim();
+        onCommit(item.key, /^0x/i.test(raw) ? parseInt(raw.slice(2), 16) : raw === "" ? NaN : Number(raw));
+    };
+
+    let editor;
+    if (item.key === "bakuganSlot") {
+        const { bakuganId, attributeId } = item.value;
+        editor = (
+            <>
+                <select
+                    className={selectClass}
+                    disabled={disabled}
+                    value={bakuganId ?? ""}
+                    onChange={(e) =>
+                        onCommit(item.key, {
+                            bakuganId: e.target.value === "" ? null : Number(e.target.value),
+                            attributeId: attributeId ?? attributeList[0].id,
+                        })
+                    }
+                >
+                    <option value="">Empty</option>
+                    {bakuganId != null && !bakuganList.some((b) => b.id === bakuganId) && (
+                        <option value={bakuganId}>ID {bakuganId}</option>
+                    )}
+                    {bakuganList.map((b) => (
+                        <option key={b.id} value={b.id}>
+                            {b.name}
+                        </option>
+                    ))}
+                </select>
+                {bakuganId != null && (
+                    <select
+                        className={selectClass}
+                        disabled={disabled}
+                        value={attributeId}
+                        onChange={(e) => onCommit(item.key, { bakuganId, attributeId: Number(e.target.value) })}
+                    >
+                        {attributeList.map((a) => (
+                            <option key={a.id} value={a.id}>
+                                {a.name}
+                            </option>
+                        ))}
+                    </select>
+                )}
+            </>
+        );
+    } else if (item.key === "cardSlot") {
+        const { cardId } = item.value;
+        editor = (
+            <select
+                className={selectClass}
+                disabled={disabled}
+                value={cardId ?? ""}
+                onChange={(e) =>
+                    onCommit(item.key, { cardId: e.target.value === "" ? null : Number(e.target.value) })
+                }
+            >
+                <option value="">Empty</option>
+                {cardId != null && !cardList.some((c) => c.id === cardId) && (
+                    <option value={cardId}>Card {cardId}</option>
+                )}
+                {cardList.map((c) => (
+                    <option key={c.id} value={c.id}>
+                        {c.name} ({c.type})
+                    </option>
+                ))}
+            </select>
+        );
+    } else if (item.key === "styling") {
+        const options = getStylingOptions(stylingKey);
+        editor = (
+            <select
+                className={selectClass}
+                disabled={disabled}
+                value={item.value}
+                onChange={(e) => onCommit(item.key, Number(e.target.value))}
+            >
+                {!options.some((o) => o.id === item.value) && (
+                    <option value={item.value}>Unknown ({item.value})</option>
+                )}
+                {options.map((o) => (
+                    <option key={o.id} value={o.id}>
+                        {o.name}
+                    </option>
+                ))}
+            </select>
+        );
+    } else {
+        editor = (
+            <input
+                type="text"
+                value={draft}
+                disabled={disabled}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={commitDraft}
+                onKeyDown={(e) => {
+                    if (e.key === "Enter") commitDraft();
+                }}
+                className="border border-gray-300 rounded-lg px-2 py-0.5 text-xs text-gray-900 font-mono w-40"
+            />
+        );
+    }
+
+    return (
+        <tr>
+            <td className="pr-3 py-0.5 text-gray-800 whitespace-nowrap">{item.label}</td>
+            <td className="py-0.5">
+                <div className="flex flex-wrap items-center gap-1">{editor}</div>
+            </td>
+        </tr>
+    );
+}
+
+// Approximate colours for styling option names, for the slot thumbnails
+const SWATCHES = {
+    White: "#f5f5f4",
+    Tan: "#d6a77a",
+    Brown: "#7c4a24",
+    "Light Brown": "#b07a4a",
+    Black: "#1f2937",
+    Olive: "#a08050",
+    Blonde: "#f1d27a",
+    Red: "#dc2626",
+    Grey: "#9ca3af",
+    Blue: "#2563eb",
+    Yellow: "#facc15",
+};
+
+function stylingOptionName(styling, key) {
+    return getStylingOptions(key).find((o) => o.id === styling?.[key])?.name;
+}
+
+function StylingThumbnail({ styling }) {
+    const colour = (key, fallback) => SWATCHES[stylingOptionName(styling, key)] ?? fallback;
+    const hat = stylingOptionName(styling, "hatStyle");
+    const shoes = colour("shoeColour", "#6b7280");
+    const pants = colour("pantsColour", "#6b7280");
+
+    return (
+        <svg viewBox="0 0 24 40" className="w-8 h-14 shrink-0" aria-hidden="true">
+            <rect x="6" y="36" width="5" height="3" rx="1" fill={shoes} />
+            <rect x="13" y="36" width="5" height="3" rx="1" fill={shoes} />
+            <rect x="7" y="24" width="4" height="12" fill={pants} />
+            <rect x="13" y="24" width="4" height="12" fill={pants} />
+            <rect x="5" y="13" width="14" height="12" rx="2" fill={colour("shirtColour", "#9ca3af")} />
+            <circle cx="12" cy="8" r="5" fill={colour("skinTone", "#d6a77a")} />
+            <path d="M7 7a5 5 0 0 1 10 0z" fill={colour("hairColour", "#7c4a24")} />
+            {hat && hat !== "None" && (
+                <rect x="6" y="1" width="12" height="4" rx="1" fill={colour("hatColour", "#1f2937")} />
+            )}
+        </svg>
+    );
+}
+
+function describeSlotSummary(summary) {
+    if (summary.missing) return "not present in this file";
+    const name = summary.playerName ? `"${summary.playerName}"` : "no player name";
+    if (!summary.stats) return name;
+    const { rankingPoints, battles, wins, losses } = summary.stats;
+    return `${name}, ${rankingPoints} ranking points, ${wins}W/${losses}L over ${battles} battles`;
+}
+
 function statDisplayFromStored(stored) {
     let v = Math.round(stored / 10);
     if (v < 1) v = 1;
@@ -49,6 +479,29 @@ function statStoredFromDisplay(display) {
     return v * 10;
 }
 
+// Research field definitions persist in the browser between sessions
+const CUSTOM_FIELDS_STORAGE_KEY = "bakugan-editor.customFields";
+
+function loadCustomFields() {
+    try {
+        const stored = localStorage.getItem(CUSTOM_FIELDS_STORAGE_KEY);
+        return stored ? parseCustomLayout(stored) : [];
+    } catch {
+        return [];
+    }
+}
+
+const EMPTY_CUSTOM_DRAFT = { name: "", offset: "", type: "u8", width: "1", note: "" };
+
+// Snapshot tags as edited in the form; "" means not set
+const EMPTY_SNAPSHOT_TAG = { mode: "", result: "", opponent: "", note: "" };
+
+// Debug search stops after this many hits
+const SEARCH_LIMIT = 1000;
+
+// Entry bytes whose meaning is not known yet
+const UNKNOWN_ENTRY_FIELDS = SAVE_LAYOUT.bakugan.fields.filter((f) => f.unknown);
+
 // Card UI grouping
 const CARD_TYPE_ROWS = [
     { title: "Gate Cards", types: ["Gold", "Silver", "Bronze"] },
@@ -71,7 +524,32 @@ export default function BakuganSaveEditor() {
     const [isDragging, setIsDragging] = useState(false);
 
     const [platform, setPlatform] = useState("ps3");
-    const [saveSlot, setSaveSlot] = useState(0); // 0-based; Wii uses 0–3
+    const [saveSlot, setSaveSlot] = useState(0); // 0-based; multi-slot platforms use 0–3
+    const [detection, setDetection] = useState(null);
+
+    // PS3 savedata folder (PARAM.SFO / PARAM.PFD)
+    const [ps3Savedata, setPs3Savedata] = useState(null);
+    const [secureFileIdInput, setSecureFileIdInput] = useState("");
+    const [pfdHashKeysInput, setPfdHashKeysInput] = useState({
+        consoleId: "",
+        discHashKey: "",
+        authenticationId: "",
+    });
+
+    // Xbox 360 STFS package (CON)
+    const [stfsPackage, setStfsPackage] = useState(null);
+
+    // Wii SD-card export (data.bin)
+    const [wiiDataBin, setWiiDataBin] = useState(null);
+    const [wiiKeysInput, setWiiKeysInput] = useState({
+        ngId: "",
+        ngKeyId: "",
+        ngPrivateKey: "",
+        ngSignature: "",
+    });
+
+    // PS2 memory card image (.ps2), .psu or .max
+    const [ps2Container, setPs2Container] = useState(null);
 
     const [activeTab, setActiveTab] = useState("bakugan");
 
@@ -84,6 +562,10 @@ export default function BakuganSaveEditor() {
     );
     const [entry, setEntry] = useState(null);
     const [editableStats, setEditableStats] = useState(null);
+    const [editableUnknown, setEditableUnknown] = useState(null); // unknown entry bytes by key
+
+    // Collection: revoke waiting for confirmation because the variant is in a deck
+    const [collectionConflict, setCollectionConflict] = useState(null);
 
     // Cards (unlock flags)
     const [cardStates, setCardStates] = useState(null);
@@ -110,22 +592,173 @@ export default function BakuganSaveEditor() {
     const [debugOffsetInput, setDebugOffsetInput] = useState("0");
     const [debugLengthInput, setDebugLengthInput] = useState("256");
     const [debugHighlight, setDebugHighlight] = useState(null);
+    const [compareFile, setCompareFile] = useState(null); // { name, bytes }
+    const [compareSlotOnly, setCompareSlotOnly] = useState(true);
+    const [hexEditing, setHexEditing] = useState(false);
+    const [hexCursor, setHexCursor] = useState(null); // { offset, column: "hex" | "ascii", nibble }
+    const [hexSelectionAnchor, setHexSelectionAnchor] = useState(null);
+    const [hexFillInput, setHexFillInput] = useState("00");
+    const [searchKind, setSearchKind] = useState("hex");
+    const [searchText, setSearchText] = useState("");
+    const [searchSlotOnly, setSearchSlotOnly] = useState(false);
+    const [searchResults, setSearchResults] = useState(null); // { hits, length }
+    const [searchIndex, setSearchIndex] = useState(0);
+    const [inspectStylingKey, setInspectStylingKey] = useState(STYLING_FIELDS[0].key);
+    const [structureKey, setStructureKey] = useState(STRUCTURE_SECTIONS[0]);
+    const [structureOffsetInput, setStructureOffsetInput] = useState("0");
+    const [structureEndian, setStructureEndian] = useState(""); // "" = platform's word order
+
+    // Research: custom field definitions and the values being edited in their tab
+    const [customFields, setCustomFields] = useState(loadCustomFields);
+    const [customDraft, setCustomDraft] = useState(EMPTY_CUSTOM_DRAFT);
+    const [customValues, setCustomValues] = useState({}); // edited text by field id
+
+    // Snapshot assistant: ordered copies of one slot, each tagged with what
+    // happened in-game since the previous one
+    const [snapshots, setSnapshots] = useState([]); // [{ id, name, bytes, tag }]
+
+    // Experimental anchors confirmed from offset inference, per platform
+    const [offsetOverrides, setOffsetOverrides] = useState({});
+
+    // Cross-platform conversion
+    const [convertPlatform, setConvertPlatform] = useState("wii");
+    const [convertSlot, setConvertSlot] = useState(0);
+    const [convertTarget, setConvertTarget] = useState(null); // { name, buffer }
+    const [convertReport, setConvertReport] = useState(null);
+
+    // Slot management
+    const [slotOp, setSlotOp] = useState({ op: "copy", from: 0, to: 1 });
+    const [slotImport, setSlotImport] = useState(null); // { name, platform, bytes }
+    const [slotConfirm, setSlotConfirm] = useState(null); // summary lines awaiting confirmation
 
     // ---------- File handling ----------
 
-    const handleFile = useCallback(async (file) => {
-        if (!file) return;
+    const loadSaveBuffer = useCallback((buffer, forcedPlatform = null) => {
+        const parsedSave = parseSaveFile(buffer);
+
+        const detected = detectSaveFormat(parsedSave.bytes);
+        const nextPlatform = forcedPlatform ?? detected.best.platform;
+        const nextCandidate = detected.candidates.find((c) => c.platform === nextPlatform);
+        setDetection(detected);
+        setPlatform(nextPlatform);
+        setSaveSlot(nextCandidate?.populatedSlots[0] ?? 0);
+
+        setParsed(parsedSave);
+    }, []);
+
+    const handleFiles = useCallback(async (files) => {
+        const list = Array.from(files || []);
+        if (!list.length) return;
         setError("");
-        setFileName(file.name);
+        setPs3Savedata(null);
+        setWiiDataBin(null);
+        setStfsPackage(null);
+        setPs2Container(null);
 
         try {
-            const buffer = await file.arrayBuffer();
-            const parsedSave = parseSaveFile(buffer);
-            setParsed(parsedSave);
+            const first = list[0];
+            const firstBytes = new Uint8Array(await first.arrayBuffer());
+
+            if (list.length === 1 && isStfsPackage(firstBytes)) {
+                const pkg = parseStfsPackage(firstBytes);
+                const candidates = pkg.files
+                    .filter((f) => !f.isDirectory)
+                    .sort((a, b) => b.size - a.size);
+                if (!candidates.length) {
+                    throw new Error("The STFS package does not contain any files.");
+                }
+                const entry = candidates[0];
+                setStfsPackage({
+                    pkg,
+                    entryIndex: entry.index,
+                    status: await verifyStfsPackage(pkg, entry),
+                    thumbnailUrl: pngToDataUrl(pkg.metadata.thumbnail),
+                });
+                setFileName(first.name);
+                loadSaveBuffer(extractStfsFile(pkg, entry).buffer, "x360");
+                return;
+            }
+
+            if (list.length === 1 && isWiiDataBin(firstBytes)) {
+                const unpacked = await unpackWiiDataBin(firstBytes);
+                const dataFiles = unpacked.files
+                    .filter((f) => f.data)
+                    .sort((a, b) => b.data.length - a.data.length);
+                if (!dataFiles.length) {
+                    throw new Error("data.bin does not contain any save files.");
+                }
+                setWiiDataBin({
+                    unpacked,
+                    dataFileName: dataFiles[0].name,
+                    bannerUrl: rgbaToDataUrl(unpacked.banner?.image),
+                    iconUrl: rgbaToDataUrl(unpacked.banner?.icon),
+                });
+                setFileName(first.name);
+                loadSaveBuffer(dataFiles[0].data.slice().buffer, "wii");
+                return;
+            }
+
+            if (list.length === 1 && detectPs2Container(firstBytes)) {
+                const container = openPs2Container(firstBytes);
+                if (!container.saves.some((s) => s.dataFileName)) {
+                    throw new Error("The PS2 memory card does not contain any saves.");
+                }
+                const saveIndex = findBakuganPs2Save(container);
+                const save = container.saves[saveIndex];
+                setPs2Container({
+                    container,
+                    saveIndex,
+                    dataFileName: save.dataFileName,
+                    iconUrls: container.saves.map((s) => rgbaToDataUrl(s.icon)),
+                });
+                setFileName(first.name);
+                loadSaveBuffer(
+                    getPs2SaveFile(container, saveIndex, save.dataFileName).slice().buffer,
+                    "ps2"
+                );
+                return;
+            }
+
+            let folderFiles = null;
+            if (list.length > 1) {
+                folderFiles = await Promise.all(
+                    list.map(async (f) => ({
+                        name: f.webkitRelativePath || f.name,
+                        data: new Uint8Array(await f.arrayBuffer()),
+                    }))
+                );
+            } else if (isZip(firstBytes)) {
+                folderFiles = await readZip(firstBytes);
+            }
+
+            if (folderFiles) {
+                if (!isPs3SavedataFolder(folderFiles)) {
+                    throw new Error(
+                        "Folders and ZIP files are only supported for PS3 savedata (PARAM.SFO not found)."
+                    );
+                }
+                const savedata = await loadPs3Savedata(
+                    folderFiles,
+                    secureFileIdInput.trim(),
+                    parsePfdHashKeys(pfdHashKeysInput)
+                );
+                setPs3Savedata(savedata);
+                setFileName(`${savedata.folderName}.zip`);
+                loadSaveBuffer(savedata.data.slice().buffer, "ps3");
+                return;
+            }
+
+            setFileName(first.name);
+            loadSaveBuffer(firstBytes.buffer);
         } catch (e) {
             console.error(e);
             setError(e.message || "Failed to read/parse file.");
             setParsed(null);
+            setDetection(null);
+            setPs3Savedata(null);
+            setWiiDataBin(null);
+            setStfsPackage(null);
+            setPs2Container(null);
             setEntry(null);
             setEditableStats(null);
             setCardStates(null);
@@ -133,20 +766,16 @@ export default function BakuganSaveEditor() {
             setStyling(null);
             setDecks(null);
         }
-    }, []);
+    }, [loadSaveBuffer, secureFileIdInput, pfdHashKeysInput]);
 
     const onFileInputChange = async (e) => {
-        const file = e.target.files?.[0];
-        if (!file) return;
-        await handleFile(file);
+        await handleFiles(e.target.files);
     };
 
     const onDrop = async (e) => {
         e.preventDefault();
         setIsDragging(false);
-        const file = e.dataTransfer.files?.[0];
-        if (!file) return;
-        await handleFile(file);
+        await handleFiles(e.dataTransfer.files);
     };
 
     const onDragOver = (e) => {
@@ -159,23 +788,290 @@ export default function BakuganSaveEditor() {
         setIsDragging(false);
     };
 
-    const handleDownload = () => {
+    const downloadBytes = (data, name) => {
+        const blob = new Blob([data], { type: "application/octet-stream" });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = name;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleDownload = async () => {
+        if (!parsed) return;
+        try {
+            const buffer = serializeSaveFile(model ?? parsed);
+            setParsed((prev) => (prev ? { ...prev } : prev));
+
+            if (ps3Savedata) {
+                const zip = await exportPs3Savedata(
+                    ps3Savedata,
+                    new Uint8Array(buffer),
+                    ps3Savedata.decrypted ? secureFileIdInput.trim() : null,
+                    parsePfdHashKeys(pfdHashKeysInput)
+                );
+                downloadBytes(zip, `${ps3Savedata.folderName}.zip`);
+                return;
+            }
+
+            if (stfsPackage) {
+                const { pkg, entryIndex } = stfsPackage;
+                const con = await injectStfsFile(pkg, pkg.files[entryIndex], new Uint8Array(buffer));
+                downloadBytes(con, fileName || "savegame.con");
+                return;
+            }
+
+            if (wiiDataBin) {
+                const keysEntered = Object.values(wiiKeysInput).some((v) => v.trim());
+                const bin = await packWiiDataBin(
+                    wiiDataBin.unpacked,
+                    { [wiiDataBin.dataFileName]: new Uint8Array(buffer) },
+                    keysEntered ? parseWiiSigningKeys(wiiKeysInput) : null
+                );
+                downloadBytes(bin, fileName || "data.bin");
+                return;
+            }
+
+            if (ps2Container) {
+                const { container, saveIndex, dataFileName } = ps2Container;
+                const out = writePs2SaveFile(container, saveIndex, dataFileName, new Uint8Array(buffer));
+                downloadBytes(out, fileName || "Mcd001.ps2");
+                return;
+            }
+
+            downloadBytes(buffer, fileName || "savefile.dat");
+        } catch (e) {
+            console.error(e);
+            setError(e.message || "Failed to serialize save file.");
+        }
+    };
+
+    // ---------- Conversion ----------
+
+    const handleConvertTargetFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        const buffer = await file.arrayBuffer();
+        const detected = detectSaveFormat(new Uint8Array(buffer)).best.platform;
+        if (detected !== convertPlatform) {
+            setError(
+                `${file.name} looks like a ${detected.toUpperCase()} save, not ${convertPlatform.toUpperCase()}.`
+            );
+            return;
+        }
+        setError("");
+        setConvertTarget({ name: file.name, buffer });
+        setConvertReport(null);
+    };
+
+    const handleConvert = () => {
+        if (!parsed || !ctx || !convertTarget) return;
+        try {
+            const result = convertSave(parsed.bytes, ctx, convertPlatform, {
+                target: convertTarget.buffer,
+                targetSlot: convertSlot,
+                offsetOverrides: offsetOverrides[convertPlatform],
+            });
+            const baseName = convertTarget.name.replace(/\.[^.]+$/, "");
+            downloadBytes(result.buffer, `${baseName}-${convertPlatform}.bin`);
+            setConvertReport(result.report);
+        } catch (e) {
+            console.error(e);
+            setError(e.message || "Failed to convert the save.");
+        }
+    };
+
+    // ---------- Slot management ----------
+
+    const updateSlotOp = (changes) => {
+        setSlotOp((prev) => ({ ...prev, ...changes }));
+        setSlotConfirm(null);
+    };
+
+    const handleSlotImportFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const detected = detectSaveFormat(bytes).best.platform;
+        if (detected !== platform) {
+            setError(`${file.name} looks like a ${detected.toUpperCase()} save, not ${platform.toUpperCase()}.`);
+            return;
+        }
+        setSlotImport({ name: file.name, platform, bytes });
+        setSlotConfirm(null);
+    };
+
+    const reviewSlotOp = () => {
+        if (!parsed) return;
+        const { op, from, to } = slotOp;
+        if ((op === "copy" || op === "swap") && from === to) {
+            setError("Pick two different slots.");
+            return;
+        }
+        if (op === "import" && slotImport?.platform !== platform) {
+            setError(`Choose a second ${platform.toUpperCase()} save file to import from.`);
+            return;
+        }
+
+        const target = describeSlotSummary(summarizeSlot(parsed.bytes, platform, to));
+        const lines = [];
+
+        if (op === "copy") {
+            const source = describeSlotSummary(summarizeSlot(parsed.bytes, platform, from));
+            lines.push(`Slot ${to + 1} (${target}) will be overwritten with slot ${from + 1} (${source}).`);
+        } else if (op === "swap") {
+            const other = describeSlotSummary(summarizeSlot(parsed.bytes, platform, from));
+            lines.push(`Slot ${from + 1} (${other}) and slot ${to + 1} (${target}) will trade places.`);
+        } else if (op === "clear") {
+            lines.push(`Slot ${to + 1} (${target}) will be wiped to an empty profile.`);
+        } else if (op === "import") {
+            const source = describeSlotSummary(summarizeSlot(slotImport.bytes, platform, from));
+            lines.push(
+                `Slot ${to + 1} (${target}) will be overwritten with slot ${from + 1} of ${slotImport.name} (${source}).`
+            );
+        }
+        const { start, end } = getSlotSpan(platform, to);
+        if (end === Infinity) {
+            lines.push("The whole file is touched, including bytes no field is mapped to.");
+        } else {
+            const range = [start, end - 1].map((o) => `0x${o.toString(16).toUpperCase()}`).join("–");
+            lines.push(
+                `Each slot is ${end - start} bytes (slot ${to + 1} is ${range}), including bytes no field is mapped to.`
+            );
+        }
+        setError("");
+        setSlotConfirm(lines);
+    };
+
+    const applySlotOp = () => {
         if (!parsed) return;
+        const { op, from, to } = slotOp;
+        try {
+            if (op === "copy") copySlot(parsed.bytes, platform, from, to);
+            if (op === "swap") swapSlots(parsed.bytes, platform, from, to);
+            if (op === "clear") clearSlot(parsed.bytes, platform, to);
+            if (op === "import") copySlot(parsed.bytes, platform, from, to, slotImport.bytes);
+            setDetection(detectSaveFormat(parsed.bytes));
+            setParsed((prev) => (prev ? { ...prev } : prev));
+        } catch (e) {
+            console.error(e);
+            setError(e.message || "Slot operation failed.");
+        }
+        setSlotConfirm(null);
+    };
+
+    // ---------- Xbox 360 STFS package ----------
+
+    const handleStfsFileChange = async (e) => {
+        if (!stfsPackage) return;
+        const { pkg } = stfsPackage;
+        const entry = pkg.files[Number(e.target.value)];
+        if (!entry) return;
+        try {
+            const status = await verifyStfsPackage(pkg, entry);
+            setStfsPackage({ ...stfsPackage, entryIndex: entry.index, status });
+            loadSaveBuffer(extractStfsFile(pkg, entry).buffer, "x360");
+        } catch (err) {
+            console.error(err);
+            setError(err.message || "Failed to extract file from the STFS package.");
+        }
+    };
+
+    // ---------- PS2 memory card ----------
+
+    const selectPs2Save = (saveIndex, dataFileName) => {
+        if (!ps2Container) return;
+        try {
+            // Only the open file is edited; fold it back into the container
+            // first so switching saves (or back) does not drop the edits.
+            let { container } = ps2Container;
+            if (parsed) {
+                const edited = new Uint8Array(serializeSaveFile(model ?? parsed));
+                const current = getPs2SaveFile(container, ps2Container.saveIndex, ps2Container.dataFileName);
+                if (!bytesEqual(edited, current)) {
+                    container = openPs2Container(
+                        writePs2SaveFile(container, ps2Container.saveIndex, ps2Container.dataFileName, edited)
+                    );
+                }
+            }
+            const data = getPs2SaveFile(container, saveIndex, dataFileName);
+            setPs2Container({ ...ps2Container, container, saveIndex, dataFileName });
+            loadSaveBuffer(data.slice().buffer, "ps2");
+        } catch (err) {
+            console.error(err);
+            setError(err.message || "Failed to read the save from the memory card.");
+        }
+    };
+
+    const handlePs2DataFileChange = (e) => {
+        if (!ps2Container) return;
+        selectPs2Save(ps2Container.saveIndex, e.target.value);
+    };
+
+    // ---------- Wii data.bin ----------
+
+    const handleWiiDataFileChange = (e) => {
+        if (!wiiDataBin) return;
+        const file = wiiDataBin.unpacked.files.find((f) => f.name === e.target.value);
+        if (!file?.data) return;
+        setWiiDataBin({ ...wiiDataBin, dataFileName: file.name });
+        loadSaveBuffer(file.data.slice().buffer, "wii");
+    };
+
+    const handleWiiKeyChange = (key) => (e) => {
+        const value = e.target.value;
+        setWiiKeysInput((prev) => ({ ...prev, [key]: value }));
+    };
+
+    // ---------- PS3 savedata folder ----------
+
+    // Keeps the decrypted state: with a secure file ID the newly chosen file
+    // is decrypted too when PARAM.PFD covers it.
+    const handlePs3DataFileChange = async (e) => {
+        if (!ps3Savedata) return;
+        setError("");
+        try {
+            const opened = await openPs3DataFile(
+                ps3Savedata,
+                ps3Savedata.decrypted ? secureFileIdInput.trim() : "",
+                e.target.value,
+                parsePfdHashKeys(pfdHashKeysInput)
+            );
+            setPs3Savedata({ ...ps3Savedata, ...opened });
+            loadSaveBuffer(opened.data.slice().buffer, "ps3");
+        } catch (err) {
+            console.error(err);
+            setError(err.message || "Failed to load data file.");
+        }
+    };
+
+    const handleDecryptPs3DataFile = async () => {
+        if (!ps3Savedata?.pfd || ps3Savedata.decrypted) return;
+        setError("");
         try {
-            const buffer = serializeSaveFile(parsed);
-            const blob = new Blob([buffer], { type: "application/octet-stream" });
-            const url = URL.createObjectURL(blob);
-
-            const a = document.createElement("a");
-            a.href = url;
-            a.download = fileName || "savefile.dat";
-            document.body.appendChild(a);
-            a.click();
-            a.remove();
-            URL.revokeObjectURL(url);
+            if (!secureFileIdInput.trim()) {
+                throw new Error("Enter the game's secure file ID to decrypt the data file.");
+            }
+            const opened = await openPs3DataFile(
+                ps3Savedata,
+                secureFileIdInput.trim(),
+                ps3Savedata.dataFileName,
+                parsePfdHashKeys(pfdHashKeysInput)
+            );
+            if (!opened.decrypted) {
+                throw new Error(`${opened.dataFileName} has no PARAM.PFD entry to decrypt it with.`);
+            }
+            setPs3Savedata({ ...ps3Savedata, ...opened });
+            loadSaveBuffer(opened.data.slice().buffer, "ps3");
         } catch (e) {
             console.error(e);
-            setError("Failed to serialize save file.");
+            setError(e.message || "Failed to decrypt the PS3 data file.");
         }
     };
 
@@ -184,13 +1080,47 @@ export default function BakuganSaveEditor() {
     const ctx = useMemo(() => {
         if (!parsed || !platform) return null;
         try {
-            return getSaveContext(platform, saveSlot);
+            return getSaveContext(platform, saveSlot, offsetOverrides[platform]);
         } catch (e) {
             console.error(e);
             setError(e.message || "Invalid platform/save slot configuration.");
             return null;
         }
-    }, [parsed, platform, saveSlot]);
+    }, [parsed, platform, saveSlot, offsetOverrides]);
+
+    // Typed view of the current slot; edits go through commitModel, which
+    // writes the changed fields into parsed.bytes and re-derives the model.
+    const model = useMemo(() => {
+        if (!parsed || !ctx) return null;
+        return parseSaveFile(parsed.buffer, ctx.platform, ctx.slot, offsetOverrides[ctx.platform]);
+    }, [parsed, ctx, offsetOverrides]);
+
+    const commitModel = (changes) => {
+        writeSaveModel(parsed.bytes, ctx, changes);
+        setParsed((prev) => (prev ? { ...prev } : prev));
+    };
+
+    const reportModelIssue = useCallback((section) => {
+        const issue = model?.issues.find((i) => i.section === section);
+        if (issue) setError(issue.message);
+    }, [model]);
+
+    const slotCount = getSlotCount(platform);
+
+    // One card per slot of multi-slot saves
+    const slotSummaries = useMemo(() => {
+        if (!parsed?.bytes || slotCount < 2) return null;
+        return Array.from({ length: slotCount }, (_, slot) =>
+            summarizeSlot(parsed.bytes, platform, slot)
+        );
+    }, [parsed, platform, slotCount]);
+    // Re-checked after every edit (parsed is replaced) and after download
+    const integrity = useMemo(
+        () => (parsed?.bytes ? verifyChecksums(parsed.bytes, platform, saveSlot) : null),
+        [parsed, platform, saveSlot]
+    );
+    const detectedSlots =
+        detection?.candidates.find((c) => c.platform === platform)?.slots ?? [];
 
     // ---------- Debug info ----------
 
@@ -212,6 +1142,65 @@ export default function BakuganSaveEditor() {
         return Math.min(n, parsed?.bytes?.length ?? n);
     }, [debugLengthInput, parsed]);
 
+    // Known fields by byte offset, from the layout schema
+    const fieldAnnotations = useMemo(() => {
+        if (!parsed?.bytes || !ctx) return null;
+        return annotationsByOffset(ctx, parsed.bytes, customFields);
+    }, [parsed, ctx, customFields]);
+
+    const compareAnnotations = useMemo(() => {
+        if (!compareFile || !ctx) return null;
+        return annotationsByOffset(ctx, compareFile.bytes, customFields);
+    }, [compareFile, ctx, customFields]);
+
+    // Differing byte runs against the comparison file
+    const diffRanges = useMemo(() => {
+        if (!parsed?.bytes || !ctx || !compareFile) return [];
+        if (!compareSlotOnly) return diffSaves(parsed.bytes, compareFile.bytes, ctx);
+        const { start, end } = getSlotSpan(platform, saveSlot);
+        return diffSaves(parsed.bytes, compareFile.bytes, ctx, start, end);
+    }, [parsed, ctx, compareFile, compareSlotOnly, platform, saveSlot]);
+
+    const handleCompareFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const detected = detectSaveFormat(bytes).best.platform;
+        if (detected !== platform) {
+            setError(`${file.name} looks like a ${detected.toUpperCase()} save, not ${platform.toUpperCase()}.`);
+            return;
+        }
+        setCompareFile({ name: file.name, bytes });
+    };
+
+    const layoutProblems = useMemo(() => {
+        if (!parsed?.bytes || !ctx) return [];
+        return validateSave(parsed.bytes, ctx);
+    }, [parsed, ctx]);
+
+    // Candidate anchors for sections this platform does not map yet
+    const offsetProposals = useMemo(() => {
+        if (!parsed?.bytes || !ctx) return [];
+        return inferSectionOffsets(parsed.bytes, ctx.platform, ctx.slot).filter(
+            (p) => !ctx.experimental.includes(p.anchor)
+        );
+    }, [parsed, ctx]);
+
+    const confirmOffsetProposal = (proposal) => {
+        setOffsetOverrides((prev) => ({
+            ...prev,
+            [platform]: { ...prev[platform], [proposal.anchor]: proposal.value },
+        }));
+    };
+
+    const discardOffsetOverride = (anchor) => {
+        setOffsetOverrides((prev) => {
+            const { [anchor]: _removed, ...rest } = prev[platform] ?? {};
+            return { ...prev, [platform]: rest };
+        });
+    };
+
     // Helper to set range + optional highlight
     const setDebugRange = (start, length, withHighlight = true) => {
         if (!parsed?.bytes) return;
@@ -225,68 +1214,461 @@ export default function BakuganSaveEditor() {
         }
     };
 
-    const handleDebugPresetPlayerName = () => {
-        if (!ctx) return;
-        setDebugRange(ctx.playerNameOffset, 32);
-    };
-
-    const handleDebugPresetStyling = () => {
-        if (!ctx) return;
-        setDebugRange(ctx.stylingOffset, 64);
+    // Show [start, end) with a row of context, highlighting just those bytes
+    const showByteRange = (start, end) => {
+        const rowStart = start - (start % 16);
+        setDebugRange(rowStart, Math.max(64, end - rowStart + 16), false);
+        setDebugHighlight({ start, end });
     };
 
-    const handleDebugPresetDeck = (deckIndex) => () => {
-        if (!ctx) return;
-        const deckOffset = ctx.deckOffsets?.[deckIndex];
-        if (deckOffset == null) return;
-
-        const nameOffset = ctx.deckNameOffsets?.[deckIndex];
-        const start = nameOffset != null ? nameOffset : deckOffset;
-        setDebugRange(start, 80);
+    const runSearch = () => {
+        if (!parsed?.bytes || !ctx) return;
+        let pattern;
+        try {
+            pattern = buildSearchPattern(searchKind, searchText, ctx);
+        } catch (err) {
+            setError(err.message);
+            return;
+        }
+        const { start, end } = searchSlotOnly
+            ? getSlotSpan(platform, saveSlot)
+            : { start: 0, end: parsed.bytes.length };
+        const hits = searchBytes(parsed.bytes, pattern, start, end, SEARCH_LIMIT);
+        setSearchResults({ hits, length: pattern.length });
+        setSearchIndex(0);
+        if (hits.length > 0) showByteRange(hits[0], hits[0] + pattern.length);
     };
 
-    const handleDebugPresetStats = () => {
-        if (!ctx?.statsOffsets) return;
-        setDebugRange(ctx.statsOffsets.rankingPoints, 64);
+    const goToSearchHit = (index) => {
+        const { hits, length } = searchResults;
+        const i = (index + hits.length) % hits.length;
+        setSearchIndex(i);
+        showByteRange(hits[i], hits[i] + length);
     };
 
-    // ---------- Bakugan stats ----------
+    // ---------- Hex editing ----------
 
-    const refreshEntry = useCallback(
-        (bakuganId = selectedBakuganId, attributeId = selectedAttributeId) => {
-            if (!parsed?.bytes || !ctx) {
-                setEntry(null);
-                setEditableStats(null);
-                return;
-            }
-            try {
-                const data = readBakuganEntry(parsed.bytes, ctx, bakuganId, attributeId);
-                setEntry(data);
-            } catch (e) {
-                console.error(e);
-                setError(e.message || "Failed to read Bakugan data.");
-                setEntry(null);
-                setEditableStats(null);
-            }
-        },
-        [parsed, ctx, selectedBakuganId, selectedAttributeId]
-    );
+    const hexSelection = useMemo(() => {
+        if (!hexCursor || hexSelectionAnchor == null) return null;
+        return {
+            start: Math.min(hexSelectionAnchor, hexCursor.offset),
+            end: Math.max(hexSelectionAnchor, hexCursor.offset),
+        };
+    }, [hexCursor, hexSelectionAnchor]);
+
+    // Overwrite bytes in place (never inserts) and refresh the other tabs
+    const patchBytes = (offset, values) => {
+        const bytes = parsed.bytes;
+        const count = Math.min(values.length, bytes.length - offset);
+        if (count <= 0) return 0;
+        bytes.set(values.slice(0, count), offset);
+        setParsed((prev) => (prev ? { ...prev } : prev));
+        return count;
+    };
 
-    useEffect(() => {
-        if (parsed && ctx) {
-            refreshEntry();
+    // Move the cursor, scrolling the view a row at a time to keep it visible
+    const moveHexCursor = (offset, column, extend = false) => {
+        const last = parsed.bytes.length - 1;
+        const next = Math.max(0, Math.min(offset, last));
+        if (extend) {
+            setHexSelectionAnchor((prev) => prev ?? hexCursor?.offset ?? next);
         } else {
-            setEntry(null);
-            setEditableStats(null);
+            setHexSelectionAnchor(null);
         }
-    }, [parsed, ctx, selectedBakuganId, selectedAttributeId, refreshEntry]);
+        setHexCursor({ offset: next, column, nibble: 0 });
 
-    useEffect(() => {
-        if (!entry) {
-            setEditableStats(null);
-            return;
+        if (next < debugOffset) {
+            setDebugOffsetInput(String(next - (next % 16)));
+        } else if (next >= debugOffset + debugLength) {
+            const rowStart = next - (next % 16);
+            setDebugOffsetInput(String(Math.max(0, rowStart - Math.ceil(debugLength / 16) * 16 + 16)));
+        }
+    };
+
+    const handleHexSelectByte = (offset, column, extend) => {
+        moveHexCursor(offset, column, extend);
+    };
+
+    const handleHexKeyDown = (e) => {
+        if (!hexCursor || e.ctrlKey || e.metaKey || e.altKey) return;
+        const { offset, column, nibble } = hexCursor;
+
+        const moves = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -16, ArrowDown: 16 };
+        if (e.key in moves) {
+            e.preventDefault();
+            moveHexCursor(offset + moves[e.key], column, e.shiftKey);
+            return;
+        }
+        if (!hexEditing) return;
+        if (e.key === "Tab") {
+            e.preventDefault();
+            setHexCursor({ ...hexCursor, column: column === "hex" ? "ascii" : "hex", nibble: 0 });
+            return;
+        }
+        if (e.key === "Backspace") {
+            e.preventDefault();
+            moveHexCursor(offset - 1, column);
+            return;
+        }
+        if (e.key.length !== 1) return;
+
+        if (column === "hex") {
+            if (!/^[0-9a-fA-F]$/.test(e.key)) return;
+            e.preventDefault();
+            const digit = parseInt(e.key, 16);
+            const old = parsed.bytes[offset];
+            const value = nibble === 0 ? (digit << 4) | (old & 0x0f) : (old & 0xf0) | digit;
+            patchBytes(offset, [value]);
+            if (nibble === 0) {
+                setHexSelectionAnchor(null);
+                setHexCursor({ offset, column, nibble: 1 });
+            } else {
+                moveHexCursor(offset + 1, column);
+            }
+            return;
+        }
+
+        const code = e.key.charCodeAt(0);
+        if (code < 0x20 || code > 0x7e) return;
+        e.preventDefault();
+        patchBytes(offset, [code]);
+        moveHexCursor(offset + 1, column);
+    };
+
+    // Hex strings paste into the hex column, plain text into the ASCII column
+    const handleHexPaste = (e) => {
+        if (!hexCursor) return;
+        e.preventDefault();
+        const text = e.clipboardData.getData("text");
+        let values;
+        if (hexCursor.column === "hex") {
+            try {
+                values = hexToBytes(text.replace(/0x/gi, ""));
+            } catch (err) {
+                setError(err.message);
+                return;
+            }
+        } else {
+            values = Array.from(text, (ch) => ch.charCodeAt(0) & 0xff);
+        }
+        const start = hexSelection ? hexSelection.start : hexCursor.offset;
+        const written = patchBytes(start, values);
+        if (written > 0) moveHexCursor(start + written, hexCursor.column);
+    };
+
+    const fillHexSelection = (value) => {
+        if (!hexSelection && !hexCursor) return;
+        const { start, end } = hexSelection ?? { start: hexCursor.offset, end: hexCursor.offset };
+        patchBytes(start, new Uint8Array(end - start + 1).fill(value));
+    };
+
+    const handleHexFill = () => {
+        const value = parseInt(hexFillInput.trim().replace(/^0x/i, ""), 16);
+        if (Number.isNaN(value) || value < 0 || value > 0xff) {
+            setError("Fill value must be a single byte in hex (00–FF).");
+            return;
+        }
+        fillHexSelection(value);
+    };
+
+    // Open the tab that edits an annotated field, with its entry selected
+    const openAnnotatedField = (annotation) => {
+        const { section, index } = annotation;
+        if (section === "bakugan") {
+            setSelectedBakuganId(index.bakuganId);
+            setSelectedAttributeId(index.attributeId);
+        } else if (section === "usage") {
+            setUsageBakuganId(index.bakuganId);
+        } else if (section === "cardFlag") {
+            setCardFilter(cardList.find((c) => c.id === index.cardId)?.name ?? "");
+        }
+        setActiveTab(annotation.tab);
+    };
+
+    // Styling bytes decode with their own options; elsewhere the picked field's
+    const cursorAnnotation = hexCursor ? fieldAnnotations?.get(hexCursor.offset) : null;
+    const cursorStylingKey =
+        cursorAnnotation?.section === "styling" ? cursorAnnotation.field : inspectStylingKey;
+
+    const inspection = useMemo(() => {
+        if (!parsed?.bytes || !ctx || !hexCursor) return [];
+        return inspectBytes(parsed.bytes, hexCursor.offset, ctx, cursorStylingKey);
+    }, [parsed, ctx, hexCursor, cursorStylingKey]);
+
+    const commitInterpretation = (key, value) => {
+        try {
+            writeInterpretation(parsed.bytes, hexCursor.offset, ctx, key, value);
+        } catch (err) {
+            setError(err.message);
+            return;
+        }
+        setParsed((prev) => (prev ? { ...prev } : prev));
+    };
+
+    // ---------- Structure overlay ----------
+
+    const structureOffset = useMemo(() => {
+        const raw = structureOffsetInput.trim() || "0";
+        const n = raw.toLowerCase().startsWith("0x") ? parseInt(raw, 16) : parseInt(raw, 10);
+        if (Number.isNaN(n) || n < 0) return 0;
+        return n;
+    }, [structureOffsetInput]);
+
+    const structureSize = ctx ? structureLength(ctx, structureKey) : 0;
+
+    const structureRows = useMemo(() => {
+        if (!parsed?.bytes || !ctx) return [];
+        return interpretStructure(
+            parsed.bytes,
+            ctx,
+            structureKey,
+            structureOffset,
+            structureEndian || ctx.wordEndian
+        );
+    }, [parsed, ctx, structureKey, structureOffset, structureEndian]);
+
+    // Move the overlay and keep it highlighted in the hex view
+    const placeStructure = (offset) => {
+        const start = Math.max(0, Math.min(offset, parsed.bytes.length - 1));
+        setStructureOffsetInput(`0x${start.toString(16).toUpperCase()}`);
+        showByteRange(start, Math.min(start + structureSize, parsed.bytes.length));
+    };
+
+    // ---------- Custom fields ----------
+
+    useEffect(() => {
+        localStorage.setItem(CUSTOM_FIELDS_STORAGE_KEY, serializeCustomLayout(customFields));
+    }, [customFields]);
+
+    const platformCustomFields = customFields.filter((f) => f.platform === platform);
+
+    const updateCustomDraft = (changes) => {
+        setCustomDraft((prev) => ({ ...prev, ...changes }));
+    };
+
+    // Prefill the form from the cursor or selection
+    const draftFromSelection = () => {
+        const range = hexSelection ?? (hexCursor && { start: hexCursor.offset, end: hexCursor.offset });
+        if (!range) return;
+        const width = range.end - range.start + 1;
+        const fixed = CUSTOM_FIELD_TYPES.find((t) => t.width === width);
+        updateCustomDraft({
+            offset: `0x${range.start.toString(16).toUpperCase()}`,
+            width: String(width),
+            type: fixed ? fixed.key : "bytes",
+        });
+    };
+
+    const addCustomField = () => {
+        const raw = customDraft.offset.trim();
+        const offset = raw.toLowerCase().startsWith("0x") ? parseInt(raw, 16) : parseInt(raw, 10);
+        let field;
+        try {
+            field = normalizeCustomField({
+                id: `${platform}-${Date.now().toString(36)}`,
+                name: customDraft.name.trim(),
+                platform,
+                offset: Number.isNaN(offset) ? NaN : slotZeroOffset(ctx, offset),
+                width: Number(customDraft.width),
+                type: customDraft.type,
+                note: customDraft.note.trim(),
+            });
+        } catch (err) {
+            setError(err.message);
+            return;
+        }
+        setCustomFields((prev) => [...prev, field]);
+        setCustomDraft(EMPTY_CUSTOM_DRAFT);
+    };
+
+    const removeCustomField = (id) => {
+        setCustomFields((prev) => prev.filter((f) => f.id !== id));
+    };
+
+    const handleExportCustomFields = () => {
+        downloadBytes(new TextEncoder().encode(serializeCustomLayout(customFields)), "bakugan-custom-fields.json");
+    };
+
+    // Imported definitions replace stored ones with the same id
+    const handleImportCustomFields = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        let imported;
+        try {
+            imported = parseCustomLayout(await file.text());
+        } catch (err) {
+            setError(`${file.name}: ${err.message}`);
+            return;
+        }
+        setCustomFields((prev) => [
+            ...prev.filter((f) => !imported.some((i) => i.id === f.id)),
+            ...imported,
+        ]);
+    };
+
+    const customFieldText = (field) => {
+        const value = readCustomField(parsed.bytes, ctx, field);
+        return value == null ? null : String(value);
+    };
+
+    const handleSaveCustomFields = () => {
+        const problems = [];
+        for (const [id, text] of Object.entries(customValues)) {
+            const field = customFields.find((f) => f.id === id);
+            if (!field) continue;
+            let value = text;
+            if (field.type !== "char16" && field.type !== "bytes") {
+                const raw = text.trim();
+                value = raw.toLowerCase().startsWith("0x") ? parseInt(raw, 16) : raw === "" ? NaN : Number(raw);
+            }
+            try {
+                writeCustomField(parsed.bytes, ctx, field, value);
+            } catch (err) {
+                problems.push(err.message);
+            }
+        }
+        setCustomValues({});
+        setParsed((prev) => (prev ? { ...prev } : prev));
+        if (problems.length > 0) setError(problems.join(" "));
+    };
+
+    // ---------- Snapshot assistant ----------
+
+    const addSnapshot = (name, bytes) => {
+        setSnapshots((prev) => [
+            ...prev,
+            { id: `${Date.now().toString(36)}-${prev.length}`, name, bytes, tag: EMPTY_SNAPSHOT_TAG },
+        ]);
+    };
+
+    const handleSnapshotFiles = async (e) => {
+        const files = Array.from(e.target.files ?? []);
+        e.target.value = "";
+        for (const file of files) {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            const detected = detectSaveFormat(bytes).best.platform;
+            if (detected !== platform) {
+                setError(`${file.name} looks like a ${detected.toUpperCase()} save, not ${platform.toUpperCase()}.`);
+                return;
+            }
+            addSnapshot(file.name, bytes);
+        }
+    };
+
+    const updateSnapshotTag = (id, changes) => {
+        setSnapshots((prev) => prev.map((snap) => (snap.id === id ? { ...snap, tag: { ...snap.tag, ...changes } } : snap)));
+    };
+
+    const moveSnapshot = (index, by) => {
+        setSnapshots((prev) => {
+            const next = [...prev];
+            [next[index], next[index + by]] = [next[index + by], next[index]];
+            return next;
+        });
+    };
+
+    const snapshotAnalysis = useMemo(() => {
+        if (!ctx || snapshots.length < 2) return null;
+        const tagged = snapshots.map(({ bytes, tag }) => ({
+            bytes,
+            tag: {
+                mode: tag.mode || null,
+                result: tag.result || null,
+                opponent: tag.opponent === "" ? null : Number(tag.opponent),
+            },
+        }));
+        const { start, end } = getSlotSpan(platform, saveSlot);
+        return analyzeSnapshots(tagged, ctx, start, end);
+    }, [snapshots, ctx, platform, saveSlot]);
+
+    const bookmarkCandidate = (target, candidate, steps) => {
+        setCustomFields((prev) => [
+            ...prev,
+            normalizeCustomField({
+                id: `${platform}-${Date.now().toString(36)}`,
+                name: target.label,
+                platform,
+                offset: slotZeroOffset(ctx, candidate.offset),
+                type: "u8",
+                note: `snapshot diff, ${candidate.matches}/${steps} steps`,
+            }),
+        ]);
+    };
+
+    // Proposes the candidate as this platform's stats mapping for the target,
+    // through the same experimental overrides as offset inference. Without a
+    // stats map the candidate starts a partial one; the other counters stay
+    // unmapped until they are found too.
+    const proposeCandidate = (target, candidate) => {
+        const statsOffsets = Object.fromEntries(
+            Object.entries(ctx.statsOffsets ?? {}).map(([key, offset]) => [key, slotZeroOffset(ctx, offset)])
+        );
+        statsOffsets[target.at] = slotZeroOffset(ctx, candidate.offset - target.element);
+        confirmOffsetProposal({ anchor: "statsOffsets", value: statsOffsets });
+    };
+
+    const hexEditProps = {
+        cursor: hexCursor,
+        selection: hexSelection,
+        onSelectByte: handleHexSelectByte,
+        onKeyDown: handleHexKeyDown,
+        onPaste: hexEditing ? handleHexPaste : null,
+        onOpenField: openAnnotatedField,
+        editing: hexEditing,
+    };
+
+    const handleDebugPresetPlayerName = () => {
+        if (!ctx) return;
+        setDebugRange(ctx.playerNameOffset, 32);
+    };
+
+    const handleDebugPresetStyling = () => {
+        if (!ctx) return;
+        setDebugRange(ctx.stylingOffset, 64);
+    };
+
+    const handleDebugPresetDeck = (deckIndex) => () => {
+        if (!ctx) return;
+        const deckOffset = ctx.deckOffsets?.[deckIndex];
+        if (deckOffset == null) return;
+
+        const nameOffset = ctx.deckNameOffsets?.[deckIndex];
+        const start = nameOffset != null ? nameOffset : deckOffset;
+        setDebugRange(start, 80);
+    };
+
+    // From the lowest mapped counter: a map proposed from snapshots may be partial
+    const handleDebugPresetStats = () => {
+        if (!ctx?.statsOffsets) return;
+        setDebugRange(Math.min(...Object.values(ctx.statsOffsets)), 64);
+    };
+
+    // ---------- Bakugan stats ----------
+
+    useEffect(() => {
+        const data = model?.bakugan?.find(
+            (e) => e.bakuganId === selectedBakuganId && e.attributeId === selectedAttributeId
+        );
+        if (!data) {
+            reportModelIssue("bakugan");
+            setEntry(null);
+            setEditableStats(null);
+            return;
+        }
+        setEntry(data);
+    }, [model, selectedBakuganId, selectedAttributeId, reportModelIssue]);
+
+    useEffect(() => {
+        if (!entry) {
+            setEditableStats(null);
+            setEditableUnknown(null);
+            return;
         }
         const { raw } = entry;
+        setEditableUnknown(
+            Object.fromEntries(UNKNOWN_ENTRY_FIELDS.map((f) => [f.key, raw[f.key] ?? 0]))
+        );
         const newEditable = {
             power: clamp(raw.power ?? 0, 0, 1000),
             speed: statDisplayFromStored(raw.speed ?? 10),
@@ -317,8 +1699,30 @@ export default function BakuganSaveEditor() {
         }));
     };
 
+    const handleUnknownByteChange = (key, radix) => (e) => {
+        const value = parseInt(e.target.value || "0", radix);
+        if (Number.isNaN(value)) return;
+        setEditableUnknown((prev) => ({ ...prev, [key]: clamp(value, 0, 255) }));
+    };
+
+    // How often each value appears in every unknown byte across all entries
+    const unknownByteHistogram = useMemo(() => {
+        if (!model?.bakugan) return null;
+        return UNKNOWN_ENTRY_FIELDS.map((field) => {
+            const counts = new Map();
+            for (const e of model.bakugan) {
+                const v = e.raw[field.key];
+                counts.set(v, (counts.get(v) ?? 0) + 1);
+            }
+            const values = [...counts]
+                .map(([value, count]) => ({ value, count }))
+                .sort((a, b) => b.count - a.count || a.value - b.value);
+            return { field, values, total: model.bakugan.length };
+        });
+    }, [model]);
+
     const handleSaveStats = () => {
-        if (!parsed?.bytes || !entry || !editableStats || !ctx) return;
+        if (!model || !entry || !editableStats) return;
 
         try {
             const power = clamp(Math.round(editableStats.power ?? 0), 0, 1000);
@@ -336,6 +1740,7 @@ export default function BakuganSaveEditor() {
 
             const rawToWrite = {
                 ...entry.raw,
+                ...editableUnknown,
                 power,
                 level,
                 speed: speedStored,
@@ -345,49 +1750,76 @@ export default function BakuganSaveEditor() {
                 jump: jumpStored,
             };
 
-            writeBakuganEntry(
-                parsed.bytes,
-                ctx,
-                selectedBakuganId,
-                selectedAttributeId,
-                rawToWrite
-            );
-
-            refreshEntry(selectedBakuganId, selectedAttributeId);
+            commitModel({ bakugan: [{ ...entry, raw: rawToWrite }] });
         } catch (e) {
             console.error(e);
             setError(e.message || "Failed to save stats.");
         }
     };
 
-    // ---------- Cards (unlock flags) ----------
+    // ---------- Collection ----------
 
-    useEffect(() => {
-        if (!parsed?.bytes || !ctx) {
-            setCardStates(null);
-            return;
-        }
+    const ownedVariants = useMemo(() => {
+        if (!model?.bakugan) return null;
+        return new Set(
+            model.bakugan
+                .filter(isBakuganOwned)
+                .map((e) => `${e.bakuganId}:${e.attributeId}`)
+        );
+    }, [model]);
+
+    const applyOwnership = (change) => {
         try {
-            const states = cardList.map((card) => ({
-                ...card,
-                unlocked: readCardFlag(parsed.bytes, ctx, card.id),
-            }));
-            setCardStates(states);
+            change();
+            setParsed((prev) => (prev ? { ...prev } : prev));
         } catch (e) {
             console.error(e);
-            setError(e.message || "Failed to read card data.");
+            setError(e.message || "Failed to update the collection.");
+        }
+    };
+
+    const handleToggleOwnership = (bakuganId, attributeId) => {
+        if (!parsed || !ctx) return;
+        setCollectionConflict(null);
+
+        if (!ownedVariants.has(`${bakuganId}:${attributeId}`)) {
+            applyOwnership(() => grantBakugan(parsed.bytes, ctx, bakuganId, attributeId));
+            return;
+        }
+
+        const uses = findBakuganInDecks(parsed.bytes, ctx, bakuganId, attributeId);
+        if (uses.length) {
+            setCollectionConflict({ bakuganId, attributeId, uses });
+            return;
+        }
+        applyOwnership(() => revokeBakugan(parsed.bytes, ctx, bakuganId, attributeId));
+    };
+
+    const handleConfirmRevoke = () => {
+        if (!parsed || !ctx || !collectionConflict) return;
+        const { bakuganId, attributeId } = collectionConflict;
+        applyOwnership(() => revokeBakugan(parsed.bytes, ctx, bakuganId, attributeId, true));
+        setCollectionConflict(null);
+    };
+
+    // ---------- Cards (unlock flags) ----------
+
+    useEffect(() => {
+        if (!model?.cardFlags) {
+            reportModelIssue("cardFlags");
             setCardStates(null);
+            return;
         }
-    }, [parsed, ctx]);
+        setCardStates(
+            cardList.map((card) => ({ ...card, unlocked: model.cardFlags[card.id] }))
+        );
+    }, [model, reportModelIssue]);
 
     const handleCardToggle = (cardId) => (e) => {
-        if (!parsed?.bytes || !ctx) return;
+        if (!model) return;
         const unlocked = e.target.checked;
         try {
-            writeCardFlag(parsed.bytes, ctx, cardId, unlocked);
-            setCardStates((prev) =>
-                prev ? prev.map((c) => (c.id === cardId ? { ...c, unlocked } : c)) : prev
-            );
+            commitModel({ cardFlags: { [cardId]: unlocked } });
         } catch (e2) {
             console.error(e2);
             setError(e2.message || "Failed to update card state.");
@@ -395,14 +1827,11 @@ export default function BakuganSaveEditor() {
     };
 
     const handleUnlockAllCards = () => {
-        if (!parsed?.bytes || !cardStates || !ctx) return;
+        if (!model || !cardStates) return;
         try {
-            cardStates.forEach((card) => {
-                writeCardFlag(parsed.bytes, ctx, card.id, true);
+            commitModel({
+                cardFlags: Object.fromEntries(cardStates.map((card) => [card.id, true])),
             });
-            setCardStates((prev) =>
-                prev ? prev.map((c) => ({ ...c, unlocked: true })) : prev
-            );
         } catch (e) {
             console.error(e);
             setError(e.message || "Failed to unlock all cards.");
@@ -410,14 +1839,11 @@ export default function BakuganSaveEditor() {
     };
 
     const handleLockAllCards = () => {
-        if (!parsed?.bytes || !cardStates || !ctx) return;
+        if (!model || !cardStates) return;
         try {
-            cardStates.forEach((card) => {
-                writeCardFlag(parsed.bytes, ctx, card.id, false);
+            commitModel({
+                cardFlags: Object.fromEntries(cardStates.map((card) => [card.id, false])),
             });
-            setCardStates((prev) =>
-                prev ? prev.map((c) => ({ ...c, unlocked: false })) : prev
-            );
         } catch (e) {
             console.error(e);
             setError(e.message || "Failed to lock all cards.");
@@ -444,7 +1870,7 @@ export default function BakuganSaveEditor() {
     // ---------- Appearance (name + styling + decks) ----------
 
     useEffect(() => {
-        if (!parsed?.bytes || !ctx) {
+        if (!model) {
             setPlayerName("");
             setStyling(null);
             setDecks(null);
@@ -452,54 +1878,17 @@ export default function BakuganSaveEditor() {
             return;
         }
 
-        // Player name
-        try {
-            const name = readPlayerName(parsed.bytes, ctx);
-            setPlayerName(name);
-        } catch (e) {
-            console.error(e);
-            setError(e.message || "Failed to read player name.");
-            setPlayerName("");
-        }
-
-        // Styling
-        try {
-            const currentStyling = readStyling(parsed.bytes, ctx);
-            setStyling(currentStyling);
-        } catch (e) {
-            console.error(e);
-            setError(e.message || "Failed to read styling.");
-            setStyling(null);
-        }
-
-        // Decks
-        try {
-            const deck1 = readDeck(parsed.bytes, ctx, 0);
-            const deck2 = readDeck(parsed.bytes, ctx, 1);
-            setDecks([deck1, deck2]);
-
-            try {
-                const name1 = readDeckName(parsed.bytes, ctx, 0);
-                const name2 = readDeckName(parsed.bytes, ctx, 1);
-                setDeckNames([name1, name2]);
-            } catch (nameErr) {
-                console.error(nameErr);
-                setDeckNames(null); // deck names not configured on this platform
-            }
-        } catch (e) {
-            console.error(e);
-            setError(e.message || "Failed to read decks.");
-            setDecks(null);
-            setDeckNames(null);
-        }
-    }, [parsed, ctx]);
+        ["player", "styling", "decks"].forEach(reportModelIssue);
+        setPlayerName(model.player?.name ?? "");
+        setStyling(model.styling);
+        setDecks(model.decks);
+        setDeckNames(model.decks ? model.deckNames : null);
+    }, [model, reportModelIssue]);
 
     const handleSavePlayerName = () => {
-        if (!parsed?.bytes || !ctx) return;
+        if (!model) return;
         try {
-            writePlayerName(parsed.bytes, ctx, playerName);
-            const updated = readPlayerName(parsed.bytes, ctx);
-            setPlayerName(updated);
+            commitModel({ player: { name: playerName } });
         } catch (e) {
             console.error(e);
             setError(e.message || "Failed to save player name.");
@@ -507,11 +1896,9 @@ export default function BakuganSaveEditor() {
     };
 
     const handleSaveStyling = () => {
-        if (!parsed?.bytes || !styling || !ctx) return;
+        if (!model || !styling) return;
         try {
-            writeStyling(parsed.bytes, ctx, styling);
-            const updated = readStyling(parsed.bytes, ctx);
-            setStyling(updated);
+            commitModel({ styling });
         } catch (e) {
             console.error(e);
             setError(e.message || "Failed to save styling.");
@@ -592,23 +1979,9 @@ export default function BakuganSaveEditor() {
     };
 
     const handleSaveDecks = () => {
-        if (!parsed?.bytes || !decks || !ctx) return;
+        if (!model || !decks) return;
         try {
-            decks.forEach((deck, idx) => {
-                writeDeck(parsed.bytes, ctx, idx, deck);
-                if (deckNames && deckNames[idx] != null) {
-                    writeDeckName(parsed.bytes, ctx, idx, deckNames[idx]);
-                }
-            });
-            const deck1 = readDeck(parsed.bytes, ctx, 0);
-            const deck2 = readDeck(parsed.bytes, ctx, 1);
-            setDecks([deck1, deck2]);
-
-            if (deckNames) {
-                const name1 = readDeckName(parsed.bytes, ctx, 0);
-                const name2 = readDeckName(parsed.bytes, ctx, 1);
-                setDeckNames([name1, name2]);
-            }
+            commitModel({ decks, deckNames: model.deckNames ? deckNames : null });
         } catch (e) {
             console.error(e);
             setError(e.message || "Failed to save decks.");
@@ -626,31 +1999,10 @@ export default function BakuganSaveEditor() {
     };
 
     useEffect(() => {
-        if (!parsed?.bytes || !ctx) {
-            setStats(null);
-            setBakuganUsage(null);
-            return;
-        }
-
-        try {
-            const s = readStats(parsed.bytes, ctx);
-            setStats(s);
-        } catch (e) {
-            console.error(e);
-            // Stats not available is not fatal; Stats tab will show a message
-            setStats(null);
-        }
-
-        // Per-Bakugan usage for the currently selected Bakugan
-        try {
-            const usage = readBakuganUsage(parsed.bytes, ctx, usageBakuganId);
-            setBakuganUsage(usage);
-        } catch (e) {
-            // Bakugan usage might not be configured on this platform
-            console.error(e);
-            setBakuganUsage(null);
-        }
-    }, [parsed, ctx, usageBakuganId]);
+        // Stats / usage not being mapped is not fatal; the Stats tab shows a message
+        setStats(model?.stats ?? null);
+        setBakuganUsage(model?.usage?.[usageBakuganId] ?? null);
+    }, [model, usageBakuganId]);
 
 
     const handleStatsFieldChange = (key) => (e) => {
@@ -684,11 +2036,9 @@ export default function BakuganSaveEditor() {
     };
 
     const handleSaveStatsSection = () => {
-        if (!parsed?.bytes || !ctx || !stats) return;
+        if (!model || !stats) return;
         try {
-            writeStats(parsed.bytes, ctx, stats);
-            const updated = readStats(parsed.bytes, ctx);
-            setStats(updated);
+            commitModel({ stats });
         } catch (e) {
             console.error(e);
             setError(e.message || "Failed to save stats.");
@@ -711,11 +2061,9 @@ export default function BakuganSaveEditor() {
     };
 
     const handleSaveBakuganUsage = () => {
-        if (!parsed?.bytes || !ctx || !bakuganUsage) return;
+        if (!model || !bakuganUsage) return;
         try {
-            writeBakuganUsage(parsed.bytes, ctx, usageBakuganId, bakuganUsage);
-            const updated = readBakuganUsage(parsed.bytes, ctx, usageBakuganId);
-            setBakuganUsage(updated);
+            commitModel({ usage: { [usageBakuganId]: bakuganUsage } });
             // Optional: you could also recompute stats.attributeUsage totals here later
         } catch (e) {
             console.error(e);
@@ -772,7 +2120,7 @@ export default function BakuganSaveEditor() {
                         </select>
                     </div>
 
-                    {platform === "wii" && (
+                    {slotCount > 1 && (
                         <div className="flex items-center gap-3">
                             <label className="text-sm font-medium text-gray-900">
                                 Save Slot
@@ -782,55 +2130,666 @@ export default function BakuganSaveEditor() {
                                 value={saveSlot}
                                 onChange={(e) => setSaveSlot(Number(e.target.value))}
                             >
-                                <option value={0}>Slot 1</option>
-                                <option value={1}>Slot 2</option>
-                                <option value={2}>Slot 3</option>
-                                <option value={3}>Slot 4</option>
+                                {Array.from({ length: slotCount }, (_, slot) => {
+                                    const detected = detectedSlots.find((s) => s.slot === slot);
+                                    return (
+                                        <option key={slot} value={slot}>
+                                            Slot {slot + 1}
+                                            {detected?.populated ? ` – ${detected.playerName}` : ""}
+                                        </option>
+                                    );
+                                })}
                             </select>
                         </div>
                     )}
                 </div>
 
-                {/* Upload / Drag & Drop */}
-                <div
-                    className={`border-2 border-dashed rounded-xl p-6 text-center cursor-pointer transition
-          ${isDragging ? "border-blue-500 bg-blue-50" : "border-gray-300 bg-gray-50"
-                        }`}
-                    onDrop={onDrop}
-                    onDragOver={onDragOver}
-                    onDragLeave={onDragLeave}
-                    onClick={() => document.getElementById("file-input")?.click()}
-                >
-                    <input
-                        id="file-input"
-                        type="file"
-                        className="hidden"
-                        onChange={onFileInputChange}
-                    />
-                    <p className="font-medium mb-1 text-gray-900">
-                        {fileName ? "Replace save file" : "Drop your save file here"}
-                    </p>
-                    <p className="text-sm text-gray-800">
-                        or click to choose a file from your computer
-                    </p>
-                </div>
-
-                {error && (
-                    <div className="rounded-lg bg-red-50 border border-red-300 text-red-700 px-4 py-2 text-sm">
-                        {error}
+                {/* Slot overview */}
+                {slotSummaries && (
+                    <div className="grid gap-3 sm:grid-cols-2 md:grid-cols-4">
+                        {slotSummaries.map((s) => (
+                            <button
+                                key={s.slot}
+                                type="button"
+                                onClick={() => setSaveSlot(s.slot)}
+                                className={`rounded-xl border p-3 text-left space-y-1 transition ${s.slot === saveSlot
+                                    ? "border-blue-500 bg-blue-50"
+                                    : "border-gray-200 hover:bg-gray-50"
+                                    }`}
+                            >
+                                <div className="flex items-center gap-3">
+                                    <StylingThumbnail styling={s.styling} />
+                                    <div className="min-w-0">
+                                        <p className="text-xs text-gray-800">Slot {s.slot + 1}</p>
+                                        <p className="text-sm font-semibold text-gray-900 truncate">
+                                            {s.playerName || "—"}
+                                        </p>
+                                        {!s.populated && (
+                                            <p className="text-xs text-amber-700">
+                                                {s.missing ? "Not in this file" : "Looks empty"}
+                                            </p>
+                                        )}
+                                    </div>
+                                </div>
+                                {s.deckNames && (
+                                    <p className="text-xs text-gray-800 truncate">
+                                        Decks: {s.deckNames.map((name) => name || "—").join(", ")}
+                                    </p>
+                                )}
+                                {s.stats && (
+                                    <p className="text-xs text-gray-800">
+                                        {s.stats.wins} wins · {s.stats.losses} losses
+                                    </p>
+                                )}
+                            </button>
+                        ))}
                     </div>
                 )}
 
-                {/* Tabs */}
+                {/* Slot management */}
+                {parsed && slotCount > 1 && (
+                    <div className="rounded-xl border border-gray-200 p-4 space-y-3">
+                        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-900">
+                            <h2 className="text-sm font-semibold">Slots</h2>
+                            <select
+                                className="border border-gray-300 rounded-lg px-3 py-1"
+                                value={slotOp.op}
+                                onChange={(e) => updateSlotOp({ op: e.target.value })}
+                            >
+                                <option value="copy">Copy slot</option>
+                                <option value="swap">Swap slots</option>
+                                <option value="clear">Wipe slot</option>
+                                <option value="import">Import slot from another file</option>
+                            </select>
+                            {slotOp.op === "import" && (
+                                <label className="px-3 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300 cursor-pointer">
+                                    {slotImport?.platform === platform ? slotImport.name : "Choose file…"}
+                                    <input type="file" className="hidden" onChange={handleSlotImportFile} />
+                                </label>
+                            )}
+                            {slotOp.op !== "clear" && (
+                                <select
+                                    className="border border-gray-300 rounded-lg px-3 py-1"
+                                    value={slotOp.from}
+                                    onChange={(e) => updateSlotOp({ from: Number(e.target.value) })}
+                                >
+                                    {Array.from({ length: slotCount }, (_, slot) => (
+                                        <option key={slot} value={slot}>
+                                            {slotOp.op === "swap" ? "Slot" : "From slot"} {slot + 1}
+                                        </option>
+                                    ))}
+                                </select>
+                            )}
+                            <select
+                                className="border border-gray-300 rounded-lg px-3 py-1"
+                                value={slotOp.to}
+                                onChange={(e) => updateSlotOp({ to: Number(e.target.value) })}
+                            >
+                                {Array.from({ length: slotCount }, (_, slot) => (
+                                    <option key={slot} value={slot}>
+                                        {slotOp.op === "clear" ? "Slot" : slotOp.op === "swap" ? "with slot" : "to slot"}{" "}
+                                        {slot + 1}
+                                    </option>
+                                ))}
+                            </select>
+                            <button
+                                type="button"
+                                onClick={reviewSlotOp}
+                                className="px-3 py-1 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700"
+                            >
+                                Review
+                            </button>
+                        </div>
+
+                        {slotConfirm && (
+                            <div className="rounded-lg bg-amber-50 border border-amber-300 text-amber-900 px-3 py-2 text-xs space-y-2">
+                                {slotConfirm.map((line) => (
+                                    <p key={line}>{line}</p>
+                                ))}
+                                <div className="flex gap-2">
+                                    <button
+                                        type="button"
+                                        onClick={applySlotOp}
+                                        className="px-3 py-1 rounded-lg bg-amber-600 text-white hover:bg-amber-700"
+                                    >
+                                        Confirm
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => setSlotConfirm(null)}
+                                        className="px-3 py-1 rounded-lg bg-gray-200 text-white hover:bg-gray-300"
+                                    >
+                                        Cancel
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {/* Format detection */}
+                {detection && (
+                    <div className="rounded-lg bg-gray-50 border border-gray-200 px-4 py-2 text-xs text-gray-800 space-y-1">
+                        <p>
+                            Detected{" "}
+                            <span className="font-semibold">
+                                {detection.best.platform.toUpperCase()}
+                            </span>{" "}
+                            ({detection.confidence}% confidence)
+                            {detection.best.populatedSlots.length > 0 &&
+                                getSlotCount(detection.best.platform) > 1 && (
+                                    <>
+                                        {" "}· populated slots:{" "}
+                                        {detection.best.populatedSlots
+                                            .map((slot) => slot + 1)
+                                            .join(", ")}
+                                    </>
+                                )}
+                            {platform !== detection.best.platform && (
+                                <span className="text-amber-700">
+                                    {" "}· overridden to {platform.toUpperCase()}
+                                </span>
+                            )}
+                        </p>
+                        <p className="text-gray-500">
+                            {detection.candidates
+                                .map((c) => `${c.platform.toUpperCase()} ${Math.round(c.score * 100)}%`)
+                                .join(" · ")}
+                        </p>
+                    </div>
+                )}
+
+                {/* Upload / Drag & Drop */}
+                <div
+                    className={`border-2 border-dashed rounded-xl p-6 text-center cursor-pointer transition
+          ${isDragging ? "border-blue-500 bg-blue-50" : "border-gray-300 bg-gray-50"
+                        }`}
+                    onDrop={onDrop}
+                    onDragOver={onDragOver}
+                    onDragLeave={onDragLeave}
+                    onClick={() => document.getElementById("file-input")?.click()}
+                >
+                    <input
+                        id="file-input"
+                        type="file"
+                        multiple
+                        className="hidden"
+                        onChange={onFileInputChange}
+                    />
+                    <input
+                        id="folder-input"
+                        type="file"
+                        webkitdirectory=""
+                        className="hidden"
+                        onChange={onFileInputChange}
+                    />
+                    <p className="font-medium mb-1 text-gray-900">
+                        {fileName ? "Replace save file" : "Drop your save file here"}
+                    </p>
+                    <p className="text-sm text-gray-800">
+                        or click to choose a file from your computer
+                    </p>
+                    <p className="text-xs text-gray-800 mt-2">
+                        PS3 savedata: drop a zipped folder or{" "}
+                        <button
+                            type="button"
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                document.getElementById("folder-input")?.click();
+                            }}
+                            className="underline text-blue-600"
+                        >
+                            choose the folder
+                        </button>
+                    </p>
+                    <p className="text-xs text-gray-800">
+                        PS2: memory card images (.ps2), .psu and .max saves are opened directly
+                    </p>
+                </div>
+
+                {/* Xbox 360 STFS package */}
+                {stfsPackage && (
+                    <div className="rounded-xl border border-gray-200 p-4 space-y-3">
+                        <h2 className="text-sm font-semibold text-gray-900">
+                            Xbox 360 {stfsPackage.pkg.magic} Package
+                        </h2>
+                        <div className="flex flex-wrap gap-4 items-start">
+                            {stfsPackage.thumbnailUrl && (
+                                <img
+                                    src={stfsPackage.thumbnailUrl}
+                                    alt="Package thumbnail"
+                                    className="rounded border border-gray-200"
+                                    width={64}
+                                    height={64}
+                                />
+                            )}
+                            <dl className="grid grid-cols-[max-content_1fr] gap-x-4 gap-y-1 text-xs text-gray-900">
+                                <dt className="font-medium">Title</dt>
+                                <dd>{stfsPackage.pkg.metadata.titleName || "—"}</dd>
+                                <dt className="font-medium">Display name</dt>
+                                <dd>{stfsPackage.pkg.metadata.displayName || "—"}</dd>
+                                <dt className="font-medium">Title ID</dt>
+                                <dd className="font-mono">{stfsPackage.pkg.metadata.titleId}</dd>
+                                <dt className="font-medium">Profile ID</dt>
+                                <dd className="font-mono">{stfsPackage.pkg.metadata.profileId}</dd>
+                                <dt className="font-medium">Device ID</dt>
+                                <dd className="font-mono break-all">{stfsPackage.pkg.metadata.deviceId}</dd>
+                                <dt className="font-medium">Hashes</dt>
+                                <dd>
+                                    {stfsPackage.status.ok
+                                        ? "Valid"
+                                        : [
+                                            !stfsPackage.status.blocksOk && "block hashes",
+                                            !stfsPackage.status.topHashOk && "top hash",
+                                            !stfsPackage.status.headerHashOk && "header hash",
+                                        ]
+                                            .filter(Boolean)
+                                            .join(", ") + " do not match"}
+                                </dd>
+                            </dl>
+                        </div>
+
+                        <div className="flex flex-col w-72">
+                            <label className="text-xs font-medium text-gray-900">Save file</label>
+                            <select
+                                className="border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900"
+                                value={stfsPackage.entryIndex}
+                                onChange={handleStfsFileChange}
+                            >
+                                {stfsPackage.pkg.files
+                                    .filter((f) => !f.isDirectory)
+                                    .map((f) => (
+                                        <option key={f.index} value={f.index}>
+                                            {f.path} ({f.size} bytes)
+                                        </option>
+                                    ))}
+                            </select>
+                        </div>
+
+                        <p className="text-xs text-gray-800">
+                            Downloading re-injects the edited file and rebuilds the STFS hash tables
+                            and header hash. The package signature is not regenerated; re-sign the
+                            package for your console if it refuses the save.
+                        </p>
+                    </div>
+                )}
+
+                {/* Wii data.bin */}
+                {wiiDataBin && (
+                    <div className="rounded-xl border border-gray-200 p-4 space-y-3">
+                        <h2 className="text-sm font-semibold text-gray-900">Wii data.bin</h2>
+                        <div className="flex flex-wrap gap-4 items-start">
+                            {wiiDataBin.bannerUrl && (
+                                <img
+                                    src={wiiDataBin.bannerUrl}
+                                    alt="Save banner"
+                                    className="rounded border border-gray-200"
+                                    width={192}
+                                    height={64}
+                                />
+                            )}
+                            {wiiDataBin.iconUrl && (
+                                <img
+                                    src={wiiDataBin.iconUrl}
+                                    alt="Save icon"
+                                    className="rounded border border-gray-200"
+                                    width={48}
+                                    height={48}
+                                />
+                            )}
+                            <dl className="grid grid-cols-[max-content_1fr] gap-x-4 gap-y-1 text-xs text-gray-900">
+                                <dt className="font-medium">Title</dt>
+                                <dd>{wiiDataBin.unpacked.banner?.title || "—"}</dd>
+                                <dt className="font-medium">Subtitle</dt>
+                                <dd>{wiiDataBin.unpacked.banner?.subtitle || "—"}</dd>
+                                <dt className="font-medium">Title ID</dt>
+                                <dd className="font-mono">{wiiDataBin.unpacked.titleId}</dd>
+                                <dt className="font-medium">Header MD5</dt>
+                                <dd>{wiiDataBin.unpacked.md5Ok ? "Valid" : "Mismatch"}</dd>
+                                <dt className="font-medium">Signature</dt>
+                                <dd>
+                                    {wiiDataBin.unpacked.signature.ok
+                                        ? "Valid"
+                                        : wiiDataBin.unpacked.signature.apCertOk
+                                            ? "Invalid data signature"
+                                            : "Invalid certificate chain"}
+                                </dd>
+                            </dl>
+                        </div>
+
+                        <div className="flex flex-col w-60">
+                            <label className="text-xs font-medium text-gray-900">Save file</label>
+                            <select
+                                className="border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900"
+                                value={wiiDataBin.dataFileName}
+                                onChange={handleWiiDataFileChange}
+                            >
+                                {wiiDataBin.unpacked.files
+                                    .filter((f) => f.data)
+                                    .map((f) => (
+                                        <option key={f.name} value={f.name}>
+                                            {f.name} ({f.data.length} bytes)
+                                        </option>
+                                    ))}
+                            </select>
+                        </div>
+
+                        <div className="space-y-2">
+                            <p className="text-xs text-gray-800">
+                                Downloading re-packs and re-encrypts data.bin with a fresh header MD5.
+                                The Wii only imports it if it is re-signed, which needs your console&apos;s
+                                NG keys (from a BootMii keys.bin dump). Leave these empty to keep the
+                                original signature.
+                            </p>
+                            <div className="grid gap-2 md:grid-cols-2">
+                                {[
+                                    { key: "ngId", label: "NG ID (8 hex digits)" },
+                                    { key: "ngKeyId", label: "NG key ID (8 hex digits)" },
+                                    { key: "ngPrivateKey", label: "NG private key (60 hex digits)" },
+                                    { key: "ngSignature", label: "NG signature (120 hex digits)" },
+                                ].map(({ key, label }) => (
+                                    <div key={key} className="flex flex-col">
+                                        <label className="text-xs font-medium text-gray-900">{label}</label>
+                                        <input
+                                            type="text"
+                                            value={wiiKeysInput[key]}
+                                            onChange={handleWiiKeyChange(key)}
+                                            className="border border-gray-300 rounded-lg px-2 py-1 text-xs font-mono text-gray-900"
+                                        />
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+                {/* PS2 memory card / .psu / .max */}
+                {ps2Container && (
+                    <div className="rounded-xl border border-gray-200 p-4 space-y-3">
+                        <h2 className="text-sm font-semibold text-gray-900">
+                            {ps2Container.container.kind === "card"
+                                ? `PS2 Memory Card${ps2Container.container.card.ecc ? " (with ECC)" : ""}`
+                                : `PS2 ${ps2Container.container.kind === "psu" ? ".psu" : ".max"} Save`}
+                        </h2>
+                        {ps2Container.container.kind === "max" && !ps2Container.container.crcOk && (
+                            <p className="text-xs text-amber-700">
+                                The .max header CRC does not match; it is rewritten on download.
+                            </p>
+                        )}
+
+                        <ul className="grid gap-2 md:grid-cols-2">
+                            {ps2Container.container.saves.map((save, index) => (
+                                <li key={save.dirName}>
+                                    <button
+                                        type="button"
+                                        disabled={!save.dataFileName}
+                                        onClick={() => selectPs2Save(index, save.dataFileName)}
+                                        className={`w-full flex items-center gap-3 rounded-lg border p-2 text-left text-xs text-gray-900 disabled:opacity-50 ${index === ps2Container.saveIndex
+                                            ? "border-blue-500 bg-blue-50"
+                                            : "border-gray-200 hover:bg-gray-50"
+                                            }`}
+                                    >
+                                        {ps2Container.iconUrls[index] ? (
+                                            <img
+                                                src={ps2Container.iconUrls[index]}
+                                                alt=""
+                                                className="rounded border border-gray-200"
+                                                width={48}
+                                                height={48}
+                                            />
+                                        ) : (
+                                            <div className="w-12 h-12 rounded border border-gray-200 bg-gray-100" />
+                                        )}
+                                        <span>
+                                            <span className="block font-medium">{save.title}</span>
+                                            <span className="block font-mono text-gray-600">{save.dirName}</span>
+                                        </span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+
+                        <div className="flex flex-col w-60">
+                            <label className="text-xs font-medium text-gray-900">Data file</label>
+                            <select
+                                className="border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900"
+                                value={ps2Container.dataFileName}
+                                onChange={handlePs2DataFileChange}
+                            >
+                                {ps2Container.container.saves[ps2Container.saveIndex].files.map((f) => (
+                                    <option key={f.name} value={f.name}>
+                                        {f.name} ({f.data.length} bytes)
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <p className="text-xs text-gray-800">
+                            Downloading writes the edited file back into the same{" "}
+                            {ps2Container.container.kind === "card"
+                                ? "card image, in place, with the ECC of every rewritten page recomputed. The FAT is left untouched because the file keeps its size."
+                                : ps2Container.container.kind === "psu"
+                                    ? ".psu export."
+                                    : ".max file, re-compressed with a fresh CRC."}
+                        </p>
+                    </div>
+                )}
+
+                {/* PS3 savedata folder */}
+                {ps3Savedata && (
+                    <div className="rounded-xl border border-gray-200 p-4 space-y-3">
+                        <h2 className="text-sm font-semibold text-gray-900">PS3 Savedata</h2>
+                        <dl className="grid grid-cols-[max-content_1fr] gap-x-4 gap-y-1 text-xs text-gray-900">
+                            <dt className="font-medium">Title</dt>
+                            <dd>{ps3Savedata.sfo.title || "—"}</dd>
+                            <dt className="font-medium">Subtitle</dt>
+                            <dd>{ps3Savedata.sfo.subtitle || "—"}</dd>
+                            <dt className="font-medium">Detail</dt>
+                            <dd className="whitespace-pre-line">{ps3Savedata.sfo.detail || "—"}</dd>
+                            <dt className="font-medium">Account ID</dt>
+                            <dd className="font-mono">{ps3Savedata.sfo.accountId || "—"}</dd>
+                            <dt className="font-medium">Savedata directory</dt>
+                            <dd className="font-mono">{ps3Savedata.sfo.savedataDirectory || "—"}</dd>
+                            <dt className="font-medium">PARAM.PFD</dt>
+                            <dd>
+                                {!ps3Savedata.pfd
+                                    ? "Not present"
+                                    : ps3Savedata.pfdStatus?.ok
+                                        ? `Version ${ps3Savedata.pfd.version}, hashes verified`
+                                        : `Version ${ps3Savedata.pfd.version}, hash tables do not verify`}
+                            </dd>
+                        </dl>
+
+                        <div className="flex flex-wrap items-end gap-3">
+                            <div className="flex flex-col">
+                                <label className="text-xs font-medium text-gray-900">Data file</label>
+                                <select
+                                    className="border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900"
+                                    value={ps3Savedata.dataFileName}
+                                    onChange={handlePs3DataFileChange}
+                                >
+                                    {ps3Savedata.dataFileCandidates.map((name) => (
+                                        <option key={name} value={name}>
+                                            {name}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            {ps3Savedata.pfd && (
+                                <>
+                                    <div className="flex flex-col">
+                                        <label className="text-xs font-medium text-gray-900">
+                                            Secure file ID (32 hex digits)
+                                        </label>
+                                        <input
+                                            type="text"
+                                            value={secureFileIdInput}
+                                            disabled={ps3Savedata.decrypted}
+                                            onChange={(e) => setSecureFileIdInput(e.target.value)}
+                                            className="border border-gray-300 rounded-lg px-2 py-1 text-sm font-mono text-gray-900 w-80"
+                                        />
+                                    </div>
+                                    <button
+                                        type="button"
+                                        onClick={handleDecryptPs3DataFile}
+                                        disabled={ps3Savedata.decrypted}
+                                        className="px-3 py-1 rounded-lg text-xs bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-200 disabled:text-gray-500"
+                                    >
+                                        Decrypt data file
+                                    </button>
+                                </>
+                            )}
+                        </div>
+
+                        {ps3Savedata.pfd &&
+                            getPfdHashKeyNeeds(ps3Savedata.pfd, ps3Savedata.dataFileName).length > 0 && (
+                            <div className="space-y-2">
+                                <p className="text-xs text-gray-800">
+                                    PARAM.PFD also keeps hashes of {ps3Savedata.dataFileName} keyed with
+                                    the keys below. Downloading an edited save needs them to rebuild
+                                    those hashes.
+                                </p>
+                                <div className="grid gap-2 md:grid-cols-3">
+                                    {getPfdHashKeyNeeds(ps3Savedata.pfd, ps3Savedata.dataFileName).map(
+                                        ({ key, label }) => (
+                                            <div key={key} className="flex flex-col">
+                                                <label className="text-xs font-medium text-gray-900">
+                                                    {label[0].toUpperCase() + label.slice(1)} (hex)
+                                                </label>
+                                                <input
+                                                    type="text"
+                                                    value={pfdHashKeysInput[key]}
+                                                    onChange={(e) => {
+                                                        const value = e.target.value;
+                                                        setPfdHashKeysInput((prev) => ({ ...prev, [key]: value }));
+                                                    }}
+                                                    className="border border-gray-300 rounded-lg px-2 py-1 text-xs font-mono text-gray-900"
+                                                />
+                                            </div>
+                                        )
+                                    )}
+                                </div>
+                            </div>
+                        )}
+
+                        <p className="text-xs text-gray-800">
+                            {ps3Savedata.decrypted
+                                ? ps3Savedata.fileHashOk
+                                    ? "Data file decrypted and its PARAM.PFD hashes verified. Downloading re-encrypts it and rebuilds PARAM.PFD."
+                                    : "Data file decrypted, but its PARAM.PFD hashes did not verify with this secure file ID. Check the ID before downloading."
+                                : ps3Savedata.pfd
+                                    ? "The data file is edited as-is. Enter the game's secure file ID to decrypt it and rebuild PARAM.PFD on download; without it an edited data file cannot be downloaded, since PARAM.PFD would no longer match. Folders loaded after the ID is entered are decrypted on load."
+                                    : "No PARAM.PFD in this folder; the data file is edited and exported as-is."}
+                        </p>
+                    </div>
+                )}
+
+                {/* Integrity */}
+                {integrity?.status === "unverified" && (
+                    <div className="rounded-lg bg-amber-50 border border-amber-300 text-amber-800 px-4 py-2 text-xs">
+                        Integrity unverified: no checksum field is known inside{" "}
+                        {platform.toUpperCase()} game data, so edits cannot be validated before
+                        download. Container hashes and signatures are handled separately.
+                    </div>
+                )}
+                {integrity?.status === "ok" && (
+                    <div className="rounded-lg bg-green-50 border border-green-300 text-green-800 px-4 py-2 text-xs">
+                        Checksums verified ({integrity.fields.length} field
+                        {integrity.fields.length === 1 ? "" : "s"}). They are recomputed on
+                        download.
+                    </div>
+                )}
+                {integrity?.status === "mismatch" && (
+                    <div className="rounded-lg bg-red-50 border border-red-300 text-red-700 px-4 py-2 text-xs space-y-1">
+                        <p>Checksum mismatch. Mismatched fields are recomputed on download.</p>
+                        <ul className="list-disc pl-5">
+                            {integrity.fields
+                                .filter((f) => !f.ok)
+                                .map((f) => (
+                                    <li key={f.name}>
+                                        {f.name} at 0x{f.offset.toString(16).toUpperCase()}: stored 0x
+                                        {f.stored.toString(16).toUpperCase()}, computed 0x
+                                        {f.computed.toString(16).toUpperCase()}
+                                    </li>
+                                ))}
+                        </ul>
+                    </div>
+                )}
+
+                {/* Convert to another platform */}
+                {parsed && ctx && (
+                    <div className="rounded-xl border border-gray-200 p-4 space-y-3">
+                        <div className="flex flex-wrap items-center gap-3">
+                            <h2 className="text-sm font-semibold text-gray-900">Convert to…</h2>
+                            <select
+                                className="border border-gray-300 rounded-lg px-3 py-1 text-sm text-gray-900"
+                                value={convertPlatform}
+                                onChange={(e) => {
+                                    setConvertPlatform(e.target.value);
+                                    setConvertSlot(0);
+                                    setConvertTarget(null);
+                                    setConvertReport(null);
+                                }}
+                            >
+                                {PLATFORMS.map((p) => (
+                                    <option key={p} value={p}>
+                                        {p.toUpperCase()}
+                                    </option>
+                                ))}
+                            </select>
+                            {getSlotCount(convertPlatform) > 1 && (
+                                <select
+                                    className="border border-gray-300 rounded-lg px-3 py-1 text-sm text-gray-900"
+                                    value={convertSlot}
+                                    onChange={(e) => setConvertSlot(Number(e.target.value))}
+                                >
+                                    {Array.from({ length: getSlotCount(convertPlatform) }, (_, slot) => (
+                                        <option key={slot} value={slot}>
+                                            Slot {slot + 1}
+                                        </option>
+                                    ))}
+                                </select>
+                            )}
+                            <label className="px-3 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300 cursor-pointer">
+                                {convertTarget
+                                    ? `Target: ${convertTarget.name}`
+                                    : `Choose a ${convertPlatform.toUpperCase()} save…`}
+                                <input type="file" className="hidden" onChange={handleConvertTargetFile} />
+                            </label>
+                            <button
+                                type="button"
+                                onClick={handleConvert}
+                                disabled={!convertTarget}
+                                className="px-3 py-1 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-200 disabled:text-gray-500"
+                            >
+                                Convert & Download
+                            </button>
+                        </div>
+                        <p className="text-xs text-gray-800">
+                            Copies the current {platform.toUpperCase()} slot into an existing raw{" "}
+                            {convertPlatform.toUpperCase()} save (its data file, not a container),
+                            which keeps everything the editor does not map. The target save is
+                            required: a save is more than the fields the editor knows.
+                        </p>
+                        {convertReport && (
+                            <ul className="list-disc pl-5 text-xs text-gray-900 space-y-0.5">
+                                {convertReport.map((r, i) => (
+                                    <li key={i}>{r.message}</li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+
+                {error && (
+                    <div className="rounded-lg bg-red-50 border border-red-300 text-red-700 px-4 py-2 text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {/* Tabs */}
                 <div className="flex justify-center gap-3 py-2">
-                    {[
-                        { key: "bakugan", label: "Bakugan Stats" },
-                        { key: "cards", label: "Cards" },
-                        { key: "stats", label: "Battle Stats" },
-                        { key: "appearance", label: "Appearance" },
-                        { key: "decks", label: "Decks" },
-                        { key: "debug", label: "Debug" },
-                    ].map((tab) => (
+                    {EDITOR_TABS.map((tab) => (
                         <button
                             key={tab.key}
                             type="button"
@@ -892,7 +2851,7 @@ export default function BakuganSaveEditor() {
                                 type="button"
                                 onClick={() => {
                                     if (!entry || !ctx) return;
-                                    setDebugRange(entry.offset, 14); // 14-byte Bakugan entry
+                                    setDebugRange(entry.offset, 20); // 20-byte attribute block
                                     setActiveTab("debug");
                                 }}
                                 className="mt-2 px-3 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300"
@@ -1056,6 +3015,76 @@ export default function BakuganSaveEditor() {
                                     </tbody>
                                 </table>
 
+                                {/* Unknown entry bytes */}
+                                {editableUnknown && (
+                                    <details className="mt-4 rounded-lg border border-gray-200 p-3">
+                                        <summary className="text-sm font-medium text-gray-900 cursor-pointer">
+                                            Advanced: unknown bytes
+                                        </summary>
+                                        <p className="mt-2 text-xs text-gray-800">
+                                            Bytes of this attribute block that no known field covers.
+                                            They are saved together with the stats above.
+                                        </p>
+                                        <table className="mt-2 w-full text-sm">
+                                            <thead>
+                                                <tr className="text-left text-xs text-gray-900">
+                                                    <th className="px-2 py-1">Byte</th>
+                                                    <th className="px-2 py-1">Hex</th>
+                                                    <th className="px-2 py-1">Decimal</th>
+                                                    <th className="px-2 py-1">Across all entries</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {unknownByteHistogram?.map(({ field, values, total }) => {
+                                                    const value = editableUnknown[field.key];
+                                                    return (
+                                                        <tr key={field.key} className="border-t border-gray-100 align-top">
+                                                            <td className="px-2 py-1 text-gray-900">+{field.offset}</td>
+                                                            <td className="px-2 py-1">
+                                                                <input
+                                                                    type="text"
+                                                                    value={value.toString(16).toUpperCase()}
+                                                                    onChange={handleUnknownByteChange(field.key, 16)}
+                                                                    className="w-14 border border-gray-300 rounded px-2 py-1 font-mono text-gray-900"
+                                                                />
+                                                            </td>
+                                                            <td className="px-2 py-1">
+                                                                <input
+                                                                    type="number"
+                                                                    min={0}
+                                                                    max={255}
+                                                                    value={value}
+                                                                    onChange={handleUnknownByteChange(field.key, 10)}
+                                                                    className="w-16 border border-gray-300 rounded px-2 py-1 text-gray-900"
+                                                                />
+                                                            </td>
+                                                            <td className="px-2 py-1 space-y-0.5">
+                                                                {values.slice(0, 5).map((v) => (
+                                                                    <div key={v.value} className="flex items-center gap-2 text-xs font-mono text-gray-900">
+                                                                        <span className={`w-6 ${v.value === entry.raw[field.key] ? "font-bold" : ""}`}>
+                                                                            {v.value.toString(16).toUpperCase().padStart(2, "0")}
+                                                                        </span>
+                                                                        <span
+                                                                            className="h-2 bg-sky-400 rounded"
+                                                                            style={{ width: `${Math.max(2, (v.count / total) * 120)}px` }}
+                                                                        />
+                                                                        <span>{v.count}</span>
+                                                                    </div>
+                                                                ))}
+                                                                {values.length > 5 && (
+                                                                    <p className="text-xs text-gray-800">
+                                                                        +{values.length - 5} more values
+                                                                    </p>
+                                                                )}
+                                                            </td>
+                                                        </tr>
+                                                    );
+                                                })}
+                                            </tbody>
+                                        </table>
+                                    </details>
+                                )}
+
                                 <div className="mt-4 flex justify-end">
                                     <button
                                         onClick={handleSaveStats}
@@ -1073,6 +3102,98 @@ export default function BakuganSaveEditor() {
                     </section>
                 )}
 
+                {parsed && ctx && activeTab === "collection" && (
+                    <section className="space-y-4">
+                        <h2 className="text-lg font-semibold text-gray-900">Collection</h2>
+                        <p className="text-xs text-gray-800">
+                            A variant counts as owned when its entry names its own Bakugan and
+                            attribute. Granting one copies the stats of another owned attribute of the
+                            same Bakugan (or the minimum stats) at level 1; revoking clears the entry.
+                        </p>
+
+                        {collectionConflict && (
+                            <div className="rounded-lg bg-amber-50 border border-amber-300 text-amber-900 px-3 py-2 text-xs space-y-2">
+                                <p>
+                                    {bakuganList.find((b) => b.id === collectionConflict.bakuganId)?.name}{" "}
+                                    ({attributeList.find((a) => a.id === collectionConflict.attributeId)?.name})
+                                    is in{" "}
+                                    {[...new Set(collectionConflict.uses.map((u) => `Deck ${u.deckIndex + 1}`))].join(", ")}.
+                                    Revoking it also removes it from{" "}
+                                    {collectionConflict.uses.length === 1 ? "that deck" : "those decks"}.
+                                </p>
+                                <div className="flex gap-2">
+                                    <button
+                                        type="button"
+                                        onClick={handleConfirmRevoke}
+                                        className="px-3 py-1 rounded-lg bg-amber-600 text-white hover:bg-amber-700"
+                                    >
+                                        Remove from decks and revoke
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => setCollectionConflict(null)}
+                                        className="px-3 py-1 rounded-lg bg-gray-200 text-white hover:bg-gray-300"
+                                    >
+                                        Cancel
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {ownedVariants ? (
+                            <>
+                                <p className="text-sm text-gray-900">
+                                    {ownedVariants.size} of {bakuganList.length * attributeList.length}{" "}
+                                    variants owned
+                                </p>
+                                <div className="overflow-auto max-h-[32rem] border border-gray-200 rounded-lg">
+                                    <table className="w-full text-xs">
+                                        <thead className="bg-gray-100 sticky top-0">
+                                            <tr>
+                                                <th className="text-left px-2 py-1 text-gray-900">Bakugan</th>
+                                                {attributeList.map((a) => (
+                                                    <th key={a.id} className="px-2 py-1 text-gray-900">
+                                                        {a.name}
+                                                    </th>
+                                                ))}
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {bakuganList.map((b) => (
+                                                <tr key={b.id} className="border-t border-gray-100">
+                                                    <td className="px-2 py-1 text-gray-900">{b.name}</td>
+                                                    {attributeList.map((a) => {
+                                                        const owned = ownedVariants.has(`${b.id}:${a.id}`);
+                                                        return (
+                                                            <td key={a.id} className="px-1 py-1 text-center">
+                                                                <button
+                                                                    type="button"
+                                                                    onClick={() => handleToggleOwnership(b.id, a.id)}
+                                                                    title={owned ? "Revoke" : "Grant"}
+                                                                    className={`w-full rounded px-2 py-1 ${owned
+                                                                        ? "bg-green-600 text-white hover:bg-green-700"
+                                                                        : "bg-gray-200 text-gray-500 hover:bg-gray-300"
+                                                                        }`}
+                                                                >
+                                                                    {owned ? "Owned" : "—"}
+                                                                </button>
+                                                            </td>
+                                                        );
+                                                    })}
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </>
+                        ) : (
+                            <p className="text-sm text-gray-800">
+                                Bakugan data not available for this save.
+                            </p>
+                        )}
+                    </section>
+                )}
+
                 {parsed && ctx && activeTab === "cards" && (
                     <section className="space-y-6">
                         <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
@@ -1579,13 +3700,19 @@ export default function BakuganSaveEditor() {
                             These values track your overall performance and wins against each opponent
                             for the current platform and save slot.
                         </p>
+                        {ctx.experimental.some((a) => a === "statsOffsets" || a === "bakuganUsageBase") && (
+                            <p className="text-xs rounded-lg bg-amber-50 text-amber-900 px-3 py-2">
+                                Part of this tab uses an experimental mapping confirmed in the Debug
+                                tab. Double-check values before downloading.
+                            </p>
+                        )}
 
                         <div className="flex justify-end">
                             {ctx.statsOffsets && (
                                 <button
                                     type="button"
                                     onClick={() => {
-                                        setDebugRange(ctx.statsOffsets.rankingPoints, 64);
+                                        handleDebugPresetStats();
                                         setActiveTab("debug");
                                     }}
                                     className="px-3 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300"
@@ -1902,7 +4029,9 @@ export default function BakuganSaveEditor() {
                                         </>
                                     ) : (
                                         <p className="text-xs text-gray-800">
-                                            Bakugan usage data is not available for this platform or save slot.
+                                            Bakugan usage is not mapped on {platform.toUpperCase()} yet.
+                                            Candidate offsets are listed under Offset inference in the
+                                            Debug tab.
                                         </p>
                                     )}
                                 </div>
@@ -1919,32 +4048,110 @@ export default function BakuganSaveEditor() {
                             </>
                         ) : (
                             <p className="text-sm text-gray-800">
-                                Stats are not available for this platform or save slot yet.
+                                Stats are not mapped on {platform.toUpperCase()} yet. Candidate
+                                offsets can be checked and confirmed under Offset inference in the
+                                Debug tab.
                             </p>
                         )}
                     </section>
                 )}
 
-                {parsed && ctx && activeTab === "debug" && (
+                {parsed && ctx && activeTab === "custom" && (
                     <section className="space-y-4">
-                        <h2 className="text-lg font-semibold text-gray-900">Debug / Hex Viewer</h2>
+                        <h2 className="text-lg font-semibold text-gray-900">Custom Fields</h2>
                         <p className="text-xs text-gray-800">
-                            Expert view. Shows raw bytes from the currently loaded file and save slot.
-                            All changes made in other tabs are reflected here before you download.
+                            Fields defined in the Debug tab or imported from a layout file. They are
+                            research, not part of the editor&apos;s known layout, so check each note
+                            before trusting a value.
                         </p>
 
-                        {/* Controls */}
-                        <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
-                            <div className="flex flex-wrap gap-3 items-end">
-                                <div className="flex flex-col">
-                                    <label className="text-xs font-medium text-gray-900">
-                                        Start offset (dec or 0x...)
-                                    </label>
-                                    <input
-                                        type="text"
-                                        value={debugOffsetInput}
-                                        onChange={(e) => setDebugOffsetInput(e.target.value)}
-                                        className="border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900 w-40"
+                        {platformCustomFields.length === 0 ? (
+                            <p className="text-sm text-gray-800">
+                                No custom fields for {platform.toUpperCase()} yet. Add one under Research
+                                fields in the Debug tab, or import a layout file there.
+                            </p>
+                        ) : (
+                            <>
+                                <table className="w-full text-sm border border-gray-200 rounded-lg overflow-hidden">
+                                    <thead className="bg-gray-100">
+                                        <tr className="text-left text-gray-900">
+                                            <th className="px-3 py-2">Field</th>
+                                            <th className="px-3 py-2">Offset</th>
+                                            <th className="px-3 py-2">Type</th>
+                                            <th className="px-3 py-2">Value</th>
+                                            <th className="px-3 py-2">Note</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {platformCustomFields.map((field) => {
+                                            const text = customFieldText(field);
+                                            const offset = customFieldOffset(ctx, field, parsed.bytes.length);
+                                            return (
+                                                <tr key={field.id} className="border-t border-gray-100 text-gray-900">
+                                                    <td className="px-3 py-1">{field.name}</td>
+                                                    <td className="px-3 py-1 font-mono text-xs">
+                                                        {offset == null ? "–" : `0x${offset.toString(16).toUpperCase()}`}
+                                                    </td>
+                                                    <td className="px-3 py-1 text-xs">
+                                                        {field.type} ({field.width} byte{field.width === 1 ? "" : "s"})
+                                                    </td>
+                                                    <td className="px-3 py-1">
+                                                        {text == null ? (
+                                                            <span className="text-xs text-gray-500">outside this save</span>
+                                                        ) : (
+                                                            <input
+                                                                type="text"
+                                                                value={customValues[field.id] ?? text}
+                                                                onChange={(e) =>
+                                                                    setCustomValues((prev) => ({
+                                                                        ...prev,
+                                                                        [field.id]: e.target.value,
+                                                                    }))
+                                                                }
+                                                                className="w-48 border border-gray-300 rounded px-2 py-1 text-sm font-mono"
+                                                            />
+                                                        )}
+                                                    </td>
+                                                    <td className="px-3 py-1 text-xs text-gray-800">{field.note}</td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                                <div className="flex justify-end">
+                                    <button
+                                        onClick={handleSaveCustomFields}
+                                        className="px-4 py-2 bg-green-600 text-white rounded-xl hover:bg-green-700 transition text-sm font-medium"
+                                    >
+                                        Save Custom Fields to Memory
+                                    </button>
+                                </div>
+                            </>
+                        )}
+                    </section>
+                )}
+
+                {parsed && ctx && activeTab === "debug" && (
+                    <section className="space-y-4">
+                        <h2 className="text-lg font-semibold text-gray-900">Debug / Hex Viewer</h2>
+                        <p className="text-xs text-gray-800">
+                            Expert view. Shows raw bytes from the currently loaded file and save slot.
+                            All changes made in other tabs are reflected here before you download, and
+                            byte edits made here show up in the other tabs.
+                        </p>
+
+                        {/* Controls */}
+                        <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+                            <div className="flex flex-wrap gap-3 items-end">
+                                <div className="flex flex-col">
+                                    <label className="text-xs font-medium text-gray-900">
+                                        Start offset (dec or 0x...)
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={debugOffsetInput}
+                                        onChange={(e) => setDebugOffsetInput(e.target.value)}
+                                        className="border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900 w-40"
                                     />
                                 </div>
                                 <div className="flex flex-col">
@@ -2003,93 +4210,851 @@ export default function BakuganSaveEditor() {
                             </div>
                         </div>
 
-                        {/* Hex view */}
-                        <div className="border border-gray-200 rounded-xl overflow-auto max-h-80 bg-black">
-                            <div className="font-mono text-xs text-gray-100 p-3 space-y-0.5">
-                                {(() => {
-                                    const bytes = parsed.bytes;
-                                    if (!bytes || bytes.length === 0) {
-                                        return <div>No data loaded.</div>;
-                                    }
-
-                                    const start = Math.min(debugOffset, bytes.length - 1);
-                                    const end = Math.min(start + debugLength, bytes.length);
-                                    const rows = [];
+                        {/* Search */}
+                        <div className="rounded-xl border border-gray-200 p-3 space-y-2">
+                            <h3 className="text-sm font-semibold text-gray-900">Search</h3>
+                            <form
+                                className="flex flex-wrap items-center gap-2 text-xs text-gray-900"
+                                onSubmit={(e) => {
+                                    e.preventDefault();
+                                    runSearch();
+                                }}
+                            >
+                                <select
+                                    className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                                    value={searchKind}
+                                    onChange={(e) => setSearchKind(e.target.value)}
+                                >
+                                    {SEARCH_KINDS.map((k) => (
+                                        <option key={k.key} value={k.key}>
+                                            {k.label}
+                                        </option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="text"
+                                    value={searchText}
+                                    onChange={(e) => setSearchText(e.target.value)}
+                                    placeholder={searchKind === "hex" ? "44 ?? 41" : searchKind.startsWith("u") ? "dec or 0x..." : "Dan"}
+                                    className="border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900 w-48 font-mono"
+                                />
+                                {slotCount > 1 && (
+                                    <label className="flex items-center gap-1">
+                                        <input
+                                            type="checkbox"
+                                            checked={searchSlotOnly}
+                                            onChange={(e) => setSearchSlotOnly(e.target.checked)}
+                                        />
+                                        Only slot {saveSlot + 1}
+                                    </label>
+                                )}
+                                <button
+                                    type="submit"
+                                    className="px-3 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300"
+                                >
+                                    Find
+                                </button>
+                            </form>
+                            {searchKind.startsWith("u") && (
+                                <p className="text-xs text-gray-800">
+                                    Integers are matched {ctx.wordEndian}-endian, as this platform stores them.
+                                </p>
+                            )}
+                            {searchResults &&
+                                (searchResults.hits.length === 0 ? (
+                                    <p className="text-xs text-gray-800">No matches.</p>
+                                ) : (
+                                    <>
+                                        <div className="flex items-center gap-2 text-xs text-gray-900">
+                                            <button
+                                                type="button"
+                                                onClick={() => goToSearchHit(searchIndex - 1)}
+                                                className="px-2 py-1 rounded-lg bg-gray-200 text-white hover:bg-gray-300"
+                                            >
+                                                Previous
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => goToSearchHit(searchIndex + 1)}
+                                                className="px-2 py-1 rounded-lg bg-gray-200 text-white hover:bg-gray-300"
+                                            >
+                                                Next
+                                            </button>
+                                            <span>
+                                                Match {searchIndex + 1} of {searchResults.hits.length}
+                                                {searchResults.hits.length >= SEARCH_LIMIT && "+"}
+                                            </span>
+                                        </div>
+                                        <ul className="max-h-40 overflow-auto text-xs font-mono text-gray-900 space-y-0.5">
+                                            {searchResults.hits.map((offset, i) => (
+                                                <li key={offset}>
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => goToSearchHit(i)}
+                                                        className={`text-left hover:underline ${i === searchIndex ? "font-semibold" : ""}`}
+                                                    >
+                                                        0x{offset.toString(16).toUpperCase().padStart(5, "0")}
+                                                        {fieldAnnotations?.get(offset) && ` ${fieldAnnotations.get(offset).label}`}
+                                                    </button>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </>
+                                ))}
+                        </div>
 
-                                    const inHighlight = (i) =>
-                                        debugHighlight &&
-                                        i >= debugHighlight.start &&
-                                        i < debugHighlight.end;
+                        {/* Compare */}
+                        <div className="rounded-xl border border-gray-200 p-3 space-y-2">
+                            <div className="flex flex-wrap items-center gap-3">
+                                <h3 className="text-sm font-semibold text-gray-900">Compare</h3>
+                                <label className="px-3 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300 cursor-pointer">
+                                    {compareFile ? compareFile.name : "Compare with…"}
+                                    <input type="file" className="hidden" onChange={handleCompareFile} />
+                                </label>
+                                {compareFile && (
+                                    <>
+                                        <label className="flex items-center gap-1 text-xs text-gray-900">
+                                            <input
+                                                type="checkbox"
+                                                checked={compareSlotOnly}
+                                                onChange={(e) => setCompareSlotOnly(e.target.checked)}
+                                            />
+                                            Only slot {saveSlot + 1}
+                                        </label>
+                                        <button
+                                            type="button"
+                                            onClick={() => setCompareFile(null)}
+                                            className="px-2 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300"
+                                        >
+                                            Clear
+                                        </button>
+                                    </>
+                                )}
+                            </div>
+                            {compareFile &&
+                                (diffRanges.length === 0 ? (
+                                    <p className="text-xs text-gray-800">No differences in this range.</p>
+                                ) : (
+                                    <>
+                                        <p className="text-xs text-gray-800">
+                                            {diffRanges.length} changed range
+                                            {diffRanges.length === 1 ? "" : "s"}. Click one to show it below.
+                                        </p>
+                                        <ul className="max-h-40 overflow-auto text-xs font-mono text-gray-900 space-y-0.5">
+                                            {diffRanges.slice(0, 500).map((r) => (
+                                                <li key={r.start}>
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => showByteRange(r.start, r.end)}
+                                                        className="text-left hover:underline"
+                                                    >
+                                                        0x{r.start.toString(16).toUpperCase().padStart(5, "0")}{" "}
+                                                        ({r.end - r.start} byte{r.end - r.start === 1 ? "" : "s"})
+                                                        {r.fields.length > 0 &&
+                                                            ` ${r.fields.map((f) => `${f.path} (${f.label})`).join(", ")}`}
+                                                    </button>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </>
+                                ))}
+                        </div>
 
-                                    for (let offset = start; offset < end; offset += 16) {
-                                        const rowEnd = Math.min(offset + 16, end);
-                                        const offsetLabel = offset
-                                            .toString(16)
-                                            .toUpperCase()
-                                            .padStart(8, "0");
+                        {/* Edit mode */}
+                        <div className="rounded-xl border border-gray-200 p-3 space-y-2">
+                            <label className="flex items-center gap-2 text-sm font-semibold text-gray-900">
+                                <input
+                                    type="checkbox"
+                                    checked={hexEditing}
+                                    onChange={(e) => setHexEditing(e.target.checked)}
+                                />
+                                Edit bytes
+                            </label>
+                            {hexEditing && (
+                                <>
+                                    <p className="text-xs text-gray-800">
+                                        Click a byte, then type hex digits (or text in the ASCII column) to
+                                        overwrite it. Arrow keys move, Shift extends the selection, Tab
+                                        switches columns and pasting writes from the cursor. Edits change the
+                                        loaded save directly, so keep a backup of the original file.
+                                    </p>
+                                    <div className="flex flex-wrap items-center gap-2 text-xs text-gray-900">
+                                        <span className="font-mono">
+                                            {hexSelection
+                                                ? `Selected 0x${hexSelection.start.toString(16).toUpperCase()}–0x${hexSelection.end.toString(16).toUpperCase()} (${hexSelection.end - hexSelection.start + 1} bytes)`
+                                                : hexCursor
+                                                  ? `Cursor at 0x${hexCursor.offset.toString(16).toUpperCase()}`
+                                                  : "No byte selected"}
+                                        </span>
+                                        <input
+                                            type="text"
+                                            value={hexFillInput}
+                                            onChange={(e) => setHexFillInput(e.target.value)}
+                                            className="border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900 w-16 font-mono"
+                                        />
+                                        <button
+                                            type="button"
+                                            onClick={handleHexFill}
+                                            disabled={!hexCursor}
+                                            className="px-2 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300 disabled:opacity-50"
+                                        >
+                                            Fill selection
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => fillHexSelection(0)}
+                                            disabled={!hexCursor}
+                                            className="px-2 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300 disabled:opacity-50"
+                                        >
+                                            Zero selection
+                                        </button>
+                                    </div>
+                                </>
+                            )}
+                        </div>
 
-                                        const byteSpans = [];
-                                        const charSpans = [];
+                        {/* Hex view */}
+                        {compareFile ? (
+                            <div className="grid gap-3 md:grid-cols-2">
+                                <div className="space-y-1">
+                                    <p className="text-xs font-medium text-gray-900">{fileName || "Loaded save"}</p>
+                                    <HexView
+                                        bytes={parsed.bytes}
+                                        start={debugOffset}
+                                        length={debugLength}
+                                        highlight={debugHighlight}
+                                        annotations={fieldAnnotations}
+                                        compareTo={compareFile.bytes}
+                                        {...hexEditProps}
+                                    />
+                                </div>
+                                <div className="space-y-1">
+                                    <p className="text-xs font-medium text-gray-900">{compareFile.name}</p>
+                                    <HexView
+                                        bytes={compareFile.bytes}
+                                        start={debugOffset}
+                                        length={debugLength}
+                                        highlight={debugHighlight}
+                                        annotations={compareAnnotations}
+                                        compareTo={parsed.bytes}
+                                    />
+                                </div>
+                            </div>
+                        ) : (
+                            <HexView
+                                bytes={parsed.bytes}
+                                start={debugOffset}
+                                length={debugLength}
+                                highlight={debugHighlight}
+                                annotations={fieldAnnotations}
+                                {...hexEditProps}
+                            />
+                        )}
+                        <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-gray-800">
+                            {Object.entries(SECTION_HEX_STYLES).map(([key, style]) => (
+                                <span key={key} className="flex items-center gap-1">
+                                    <span className={`inline-block w-2.5 h-2.5 rounded-sm ${style.swatch}`} />
+                                    {style.label}
+                                </span>
+                            ))}
+                        </div>
+                        <p className="text-xs text-gray-800">
+                            Coloured bytes belong to a known field; hover one for its name and value,
+                            or double-click it to open it in its tab. A single click only moves the
+                            cursor: it inspects the byte, and the inspector offers the field's tab.
+                            {compareFile && " Bytes that differ between the two files are red."}
+                        </p>
 
-                                        for (let i = offset; i < rowEnd; i++) {
-                                            const b = bytes[i];
-                                            const hex = b.toString(16).toUpperCase().padStart(2, "0");
-                                            const ch =
-                                                b >= 0x20 && b <= 0x7e ? String.fromCharCode(b) : ".";
+                        {/* Inspector */}
+                        <div className="rounded-xl border border-gray-200 p-3 space-y-2">
+                            <h3 className="text-sm font-semibold text-gray-900">
+                                Inspector
+                                {hexCursor && (
+                                    <span className="ml-2 font-mono font-normal text-xs text-gray-800">
+                                        0x{hexCursor.offset.toString(16).toUpperCase().padStart(5, "0")}
+                                        {cursorAnnotation && ` · ${cursorAnnotation.label}`}
+                                    </span>
+                                )}
+                                {cursorAnnotation && (
+                                    <button
+                                        type="button"
+                                        onClick={() => openAnnotatedField(cursorAnnotation)}
+                                        className="ml-2 text-xs font-normal text-blue-600 hover:underline"
+                                    >
+                                        Open in {tabLabel(cursorAnnotation.tab)}
+                                    </button>
+                                )}
+                            </h3>
+                            {!hexCursor ? (
+                                <p className="text-xs text-gray-800">
+                                    Click a byte in the hex view to read it as every type the save uses.
+                                </p>
+                            ) : (
+                                <>
+                                    {!hexEditing && (
+                                        <p className="text-xs text-gray-800">
+                                            Turn on Edit bytes to change these values.
+                                        </p>
+                                    )}
+                                    <table className="text-xs">
+                                        <tbody>
+                                            {inspection.map((item) => (
+                                                <InspectorRow
+                                                    key={`${hexCursor.offset}-${item.key}-${item.text}`}
+                                                    item={item}
+                                                    stylingKey={cursorStylingKey}
+                                                    disabled={!hexEditing}
+                                                    onCommit={commitInterpretation}
+                                                />
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                    {cursorAnnotation?.section !== "styling" && (
+                                        <label className="flex items-center gap-2 text-xs text-gray-900">
+                                            Styling options from
+                                            <select
+                                                className="border border-gray-300 rounded-lg px-2 py-0.5 text-xs"
+                                                value={inspectStylingKey}
+                                                onChange={(e) => setInspectStylingKey(e.target.value)}
+                                            >
+                                                {STYLING_FIELDS.map((f) => (
+                                                    <option key={f.key} value={f.key}>
+                                                        {f.label}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </label>
+                                    )}
+                                </>
+                            )}
+                        </div>
 
-                                            const highlighted = inHighlight(i);
+                        {/* Structure overlay */}
+                        <div className="rounded-xl border border-gray-200 p-3 space-y-2">
+                            <h3 className="text-sm font-semibold text-gray-900">Interpret as structure</h3>
+                            <div className="flex flex-wrap items-center gap-2 text-xs text-gray-900">
+                                <select
+                                    className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                                    value={structureKey}
+                                    onChange={(e) => setStructureKey(e.target.value)}
+                                >
+                                    {STRUCTURE_SECTIONS.map((key) => (
+                                        <option key={key} value={key}>
+                                            {SAVE_LAYOUT[key].label}
+                                        </option>
+                                    ))}
+                                </select>
+                                <span>at</span>
+                                <input
+                                    type="text"
+                                    value={structureOffsetInput}
+                                    onChange={(e) => setStructureOffsetInput(e.target.value)}
+                                    className="border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900 w-28 font-mono"
+                                />
+                                <select
+                                    className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                                    value={structureEndian}
+                                    onChange={(e) => setStructureEndian(e.target.value)}
+                                >
+                                    <option value="">Platform words ({ctx.wordEndian}-endian)</option>
+                                    <option value="big">Big-endian words</option>
+                                    <option value="little">Little-endian words</option>
+                                </select>
+                                {[
+                                    [-structureSize, `−${structureSize}`],
+                                    [-1, "−1"],
+                                    [1, "+1"],
+                                    [structureSize, `+${structureSize}`],
+                                ].map(([step, label]) => (
+                                    <button
+                                        key={label}
+                                        type="button"
+                                        onClick={() => placeStructure(structureOffset + step)}
+                                        className="px-2 py-1 rounded-lg bg-gray-200 text-white hover:bg-gray-300 font-mono"
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                                <button
+                                    type="button"
+                                    onClick={() => placeStructure(hexCursor.offset)}
+                                    disabled={!hexCursor}
+                                    className="px-2 py-1 rounded-lg bg-gray-200 text-white hover:bg-gray-300 disabled:opacity-50"
+                                >
+                                    At cursor
+                                </button>
+                            </div>
+                            <p className="text-xs text-gray-800">
+                                Values outside the range the real {SAVE_LAYOUT[structureKey].label.toLowerCase()}{" "}
+                                uses are marked ✗; a run of ✓ suggests the structure fits here.
+                            </p>
+                            <div className="max-h-60 overflow-auto">
+                                <table className="text-xs font-mono text-gray-900">
+                                    <tbody>
+                                        {structureRows.map((row) => (
+                                            <tr
+                                                key={row.start}
+                                                onClick={() => showByteRange(row.start, row.end)}
+                                                className="cursor-pointer hover:bg-gray-100"
+                                            >
+                                                <td className="pr-3 text-gray-500">
+                                                    0x{row.start.toString(16).toUpperCase().padStart(5, "0")}
+                                                </td>
+                                                <td className="pr-3 font-sans">{row.label}</td>
+                                                <td className="pr-3">{row.text}</td>
+                                                <td className={row.ok === false ? "text-red-600" : "text-green-600"}>
+                                                    {row.ok === false ? "✗" : row.ok ? "✓" : ""}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
 
-                                            byteSpans.push(
-                                                <span
-                                                    key={`b-${i}`}
-                                                    className={highlighted ? "text-yellow-300 font-semibold" : ""}
-                                                >
-                                                    {hex}
+                        {/* Research fields */}
+                        <div className="rounded-xl border border-gray-200 p-3 space-y-2">
+                            <div className="flex flex-wrap items-center gap-2">
+                                <h3 className="text-sm font-semibold text-gray-900">Research fields</h3>
+                                <button
+                                    type="button"
+                                    onClick={handleExportCustomFields}
+                                    disabled={customFields.length === 0}
+                                    className="px-2 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300 disabled:opacity-50"
+                                >
+                                    Export JSON
+                                </button>
+                                <label className="px-2 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300 cursor-pointer">
+                                    Import JSON
+                                    <input
+                                        type="file"
+                                        accept=".json,application/json"
+                                        className="hidden"
+                                        onChange={handleImportCustomFields}
+                                    />
+                                </label>
+                            </div>
+                            <p className="text-xs text-gray-800">
+                                Name a byte range you have worked out and it is annotated in the hex view
+                                and editable in the Custom Fields tab. Definitions are kept in this browser;
+                                export them to share. Offsets are entered as shown here and follow the
+                                selected save slot.
+                            </p>
+                            <div className="flex flex-wrap items-end gap-2 text-xs text-gray-900">
+                                <label className="flex flex-col">
+                                    Name
+                                    <input
+                                        type="text"
+                                        value={customDraft.name}
+                                        onChange={(e) => updateCustomDraft({ name: e.target.value })}
+                                        className="border border-gray-300 rounded-lg px-2 py-1 text-sm w-36"
+                                    />
+                                </label>
+                                <label className="flex flex-col">
+                                    Offset
+                                    <input
+                                        type="text"
+                                        value={customDraft.offset}
+                                        onChange={(e) => updateCustomDraft({ offset: e.target.value })}
+                                        placeholder="0x..."
+                                        className="border border-gray-300 rounded-lg px-2 py-1 text-sm w-24 font-mono"
+                                    />
+                                </label>
+                                <label className="flex flex-col">
+                                    Type
+                                    <select
+                                        value={customDraft.type}
+                                        onChange={(e) => {
+                                            const width = CUSTOM_FIELD_TYPES.find((t) => t.key === e.target.value).width;
+                                            updateCustomDraft({
+                                                type: e.target.value,
+                                                width: width ? String(width) : customDraft.width,
+                                            });
+                                        }}
+                                        className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                                    >
+                                        {CUSTOM_FIELD_TYPES.map((t) => (
+                                            <option key={t.key} value={t.key}>
+                                                {t.label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="flex flex-col">
+                                    Width
+                                    <input
+                                        type="number"
+                                        min={1}
+                                        value={customDraft.width}
+                                        disabled={CUSTOM_FIELD_TYPES.find((t) => t.key === customDraft.type).width != null}
+                                        onChange={(e) => updateCustomDraft({ width: e.target.value })}
+                                        className="border border-gray-300 rounded-lg px-2 py-1 text-sm w-16"
+                                    />
+                                </label>
+                                <label className="flex flex-col">
+                                    Confidence / note
+                                    <input
+                                        type="text"
+                                        value={customDraft.note}
+                                        onChange={(e) => updateCustomDraft({ note: e.target.value })}
+                                        placeholder="e.g. seen change after a win"
+                                        className="border border-gray-300 rounded-lg px-2 py-1 text-sm w-56"
+                                    />
+                                </label>
+                                <button
+                                    type="button"
+                                    onClick={draftFromSelection}
+                                    disabled={!hexCursor}
+                                    className="px-2 py-1 rounded-lg bg-gray-200 text-white hover:bg-gray-300 disabled:opacity-50"
+                                >
+                                    From selection
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={addCustomField}
+                                    className="px-3 py-1 rounded-lg bg-green-600 text-white hover:bg-green-700"
+                                >
+                                    Add
+                                </button>
+                            </div>
+                            {platformCustomFields.length > 0 && (
+                                <ul className="max-h-40 overflow-auto text-xs text-gray-900 space-y-0.5">
+                                    {platformCustomFields.map((field) => {
+                                        const start = customFieldOffset(ctx, field, parsed.bytes.length);
+                                        return (
+                                            <li key={field.id} className="flex items-center gap-2">
+                                                {start == null ? (
+                                                    <span className="font-mono text-gray-500">outside</span>
+                                                ) : (
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => showByteRange(start, start + field.width)}
+                                                        className="text-left hover:underline font-mono"
+                                                    >
+                                                        0x{start.toString(16).toUpperCase().padStart(5, "0")}
+                                                    </button>
+                                                )}
+                                                <span className="font-medium">{field.name}</span>
+                                                <span className="text-gray-800">
+                                                    {field.type}, {field.width} byte{field.width === 1 ? "" : "s"}
+                                                    {field.note && ` · ${field.note}`}
                                                 </span>
-                                            );
+                                                <button
+                                                    type="button"
+                                                    onClick={() => removeCustomField(field.id)}
+                                                    className="ml-auto text-red-600 hover:underline"
+                                                >
+                                                    Remove
+                                                </button>
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            )}
+                            {customFields.length > platformCustomFields.length && (
+                                <p className="text-xs text-gray-800">
+                                    {customFields.length - platformCustomFields.length} more for other platforms.
+                                </p>
+                            )}
+                        </div>
 
-                                            charSpans.push(
-                                                <span
-                                                    key={`c-${i}`}
-                                                    className={highlighted ? "text-yellow-300 font-semibold" : ""}
+                        {/* Snapshot assistant */}
+                        <div className="rounded-xl border border-gray-200 p-3 space-y-2">
+                            <div className="flex flex-wrap items-center gap-2">
+                                <h3 className="text-sm font-semibold text-gray-900">Snapshot assistant</h3>
+                                <button
+                                    type="button"
+                                    onClick={() =>
+                                        addSnapshot(`${fileName || "Loaded save"} #${snapshots.length + 1}`, parsed.bytes.slice())
+                                    }
+                                    className="px-2 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300"
+                                >
+                                    Add loaded save
+                                </button>
+                                <label className="px-2 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300 cursor-pointer">
+                                    Add files…
+                                    <input type="file" multiple className="hidden" onChange={handleSnapshotFiles} />
+                                </label>
+                                {snapshots.length > 0 && (
+                                    <button
+                                        type="button"
+                                        onClick={() => setSnapshots([])}
+                                        className="px-2 py-1 rounded-lg text-xs bg-gray-200 text-white hover:bg-gray-300"
+                                    >
+                                        Clear
+                                    </button>
+                                )}
+                            </div>
+                            <p className="text-xs text-gray-800">
+                                Save, play, save again: add each save in order and tag it with what happened
+                                since the one before. Bytes in slot {saveSlot + 1} that went up by one exactly
+                                when a counter should have are ranked below. Vary the battles (modes, results,
+                                opponents) to split counters that moved together.
+                            </p>
+                            {snapshots.length > 0 && (
+                                <ol className="space-y-1 text-xs text-gray-900">
+                                    {snapshots.map((snap, index) => (
+                                        <li key={snap.id} className="flex flex-wrap items-center gap-2">
+                                            <span className="font-medium w-6">{index + 1}.</span>
+                                            <span className="truncate max-w-48">{snap.name}</span>
+                                            {index === 0 ? (
+                                                <span className="text-gray-500">starting point</span>
+                                            ) : (
+                                                <>
+                                                    <select
+                                                        className="border border-gray-300 rounded-lg px-1 py-0.5"
+                                                        value={snap.tag.mode}
+                                                        onChange={(e) => updateSnapshotTag(snap.id, { mode: e.target.value })}
+                                                    >
+                                                        <option value="">No battle mode</option>
+                                                        {SNAPSHOT_MODES.map((m) => (
+                                                            <option key={m.key} value={m.key}>
+                                                                {m.label}
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                    <select
+                                                        className="border border-gray-300 rounded-lg px-1 py-0.5"
+                                                        value={snap.tag.result}
+                                                        onChange={(e) => updateSnapshotTag(snap.id, { result: e.target.value })}
+                                                    >
+                                                        <option value="">No result</option>
+                                                        <option value="win">Won</option>
+                                                        <option value="loss">Lost</option>
+                                                    </select>
+                                                    <select
+                                                        className="border border-gray-300 rounded-lg px-1 py-0.5"
+                                                        value={snap.tag.opponent}
+                                                        onChange={(e) => updateSnapshotTag(snap.id, { opponent: e.target.value })}
+                                                    >
+                                                        <option value="">Any opponent</option>
+                                                        {OPPONENT_NAMES.map((name, i) => (
+                                                            <option key={name} value={i}>
+                                                                vs {name}
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                    <input
+                                                        type="text"
+                                                        value={snap.tag.note}
+                                                        onChange={(e) => updateSnapshotTag(snap.id, { note: e.target.value })}
+                                                        placeholder="What happened"
+                                                        className="border border-gray-300 rounded-lg px-2 py-0.5 w-40"
+                                                    />
+                                                </>
+                                            )}
+                                            <button
+                                                type="button"
+                                                disabled={index === 0}
+                                                onClick={() => moveSnapshot(index, -1)}
+                                                className="px-1.5 rounded bg-gray-200 text-white hover:bg-gray-300 disabled:opacity-50"
+                                            >
+                                                ↑
+                                            </button>
+                                            <button
+                                                type="button"
+                                                disabled={index === snapshots.length - 1}
+                                                onClick={() => moveSnapshot(index, 1)}
+                                                className="px-1.5 rounded bg-gray-200 text-white hover:bg-gray-300 disabled:opacity-50"
+                                            >
+                                                ↓
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => setSnapshots((prev) => prev.filter((s) => s.id !== snap.id))}
+                                                className="text-red-600 hover:underline"
+                                            >
+                                                Remove
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ol>
+                            )}
+                            {snapshotAnalysis &&
+                                (snapshotAnalysis.length === 0 ? (
+                                    <p className="text-xs text-gray-800">
+                                        Tag at least one snapshot with a battle to rank candidates.
+                                    </p>
+                                ) : (
+                                    <div className="space-y-2">
+                                        {snapshotAnalysis.map(({ target, steps, candidates }) => (
+                                            <div key={target.key} className="text-xs text-gray-900">
+                                                <p className="font-medium">
+                                                    {target.label}{" "}
+                                                    <span className="font-mono font-normal text-gray-800">
+                                                        statsOffsets.{target.at}
+                                                        {target.at === "opponentWins" && `[${target.element}]`}
+                                                    </span>
+                                                </p>
+                                                {candidates.length === 0 ? (
+                                                    <p className="text-gray-800">No byte changed to match.</p>
+                                                ) : (
+                                                    <ul className="space-y-0.5">
+                                                        {candidates.map((c, i) => (
+                                                            <li key={c.offset} className="flex flex-wrap items-center gap-2">
+                                                                <button
+                                                                    type="button"
+                                                                    onClick={() => showByteRange(c.offset, c.offset + 1)}
+                                                                    className="font-mono hover:underline"
+                                                                >
+                                                                    0x{c.offset.toString(16).toUpperCase().padStart(5, "0")}
+                                                                </button>
+                                                                <span>
+                                                                    {c.matches}/{steps} steps
+                                                                    {i > 0 && c.matches === candidates[0].matches && " (tied)"}
+                                                                </span>
+                                                                {c.known ? (
+                                                                    <span className="px-1.5 py-0.5 rounded bg-green-100 text-green-900">
+                                                                        current mapping
+                                                                    </span>
+                                                                ) : (
+                                                                    <button
+                                                                        type="button"
+                                                                        onClick={() => proposeCandidate(target, c)}
+                                                                        className="px-2 py-0.5 rounded bg-gray-200 text-white hover:bg-gray-300"
+                                                                    >
+                                                                        Use as experimental mapping
+                                                                    </button>
+                                                                )}
+                                                                <button
+                                                                    type="button"
+                                                                    onClick={() => bookmarkCandidate(target, c, steps)}
+                                                                    className="px-2 py-0.5 rounded bg-gray-200 text-white hover:bg-gray-300"
+                                                                >
+                                                                    Bookmark
+                                                                </button>
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                )}
+                                            </div>
+                                        ))}
+                                    </div>
+                                ))}
+                        </div>
+
+                        {/* Layout check */}
+                        <div className="rounded-xl border border-gray-200 p-3 space-y-2">
+                            <h3 className="text-sm font-semibold text-gray-900">Layout check</h3>
+                            {layoutProblems.length === 0 ? (
+                                <p className="text-xs text-gray-800">
+                                    Every mapped field holds a value inside its documented range.
+                                </p>
+                            ) : (
+                                <>
+                                    <p className="text-xs text-gray-800">
+                                        {layoutProblems.length} mapped value
+                                        {layoutProblems.length === 1 ? " is" : "s are"} outside the
+                                        documented range. Unused entries often hold zeros or leftovers,
+                                        so treat these as hints rather than corruption.
+                                    </p>
+                                    <ul className="max-h-40 overflow-auto text-xs font-mono text-gray-900 space-y-0.5">
+                                        {layoutProblems.slice(0, 200).map((p) => (
+                                            <li key={p.offset}>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setDebugRange(p.offset, 16)}
+                                                    className="text-left hover:underline"
                                                 >
-                                                    {ch}
-                                                </span>
-                                            );
-                                        }
+                                                    0x{p.offset.toString(16).toUpperCase().padStart(5, "0")}{" "}
+                                                    {p.label} = {p.value} (expected {p.expected})
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </>
+                            )}
+                        </div>
 
-                                        // pad to 16 for alignment
-                                        while (byteSpans.length < 16) {
-                                            byteSpans.push(
-                                                <span key={`padb-${offset}-${byteSpans.length}`}>{"  "}</span>
-                                            );
-                                            charSpans.push(
-                                                <span key={`padc-${offset}-${charSpans.length}`}>{" "}</span>
-                                            );
-                                        }
+                        {/* Offset inference */}
+                        <div className="rounded-xl border border-gray-200 p-3 space-y-2">
+                            <h3 className="text-sm font-semibold text-gray-900">Offset inference</h3>
+                            <p className="text-xs text-gray-800">
+                                How far {platform.toUpperCase()} offsets sit from the same offsets on
+                                other platforms:{" "}
+                                {PLATFORMS.filter((p) => p !== platform)
+                                    .map((p) => {
+                                        const deltas = learnOffsetDeltas(platform, p)
+                                            .map((d) => `${formatOffsetDelta(d.delta)} ×${d.support.length}`)
+                                            .join(", ");
+                                        return `${p.toUpperCase()} ${deltas || "n/a"}`;
+                                    })
+                                    .join(" · ")}
+                            </p>
 
-                                        rows.push(
-                                            <div key={offset} className="whitespace-pre">
-                                                <span className="text-gray-500">
-                                                    {offsetLabel}:
-                                                </span>
-                                                {"  "}
-                                                {byteSpans.map((span, idx) => (
-                                                    <React.Fragment key={span.key ?? idx}>
-                                                        {span}
-                                                        {idx < 15 && " "}
-                                                    </React.Fragment>
-                                                ))}
-                                                {"  |"}
-                                                {charSpans}
-                                                {"|"}
-                                            </div>
-                                        );
-                                    }
+                            {ctx.experimental.length > 0 && (
+                                <ul className="text-xs text-gray-900 space-y-1">
+                                    {ctx.experimental.map((anchor) => (
+                                        <li key={anchor} className="flex items-center gap-2">
+                                            <span className="px-1.5 py-0.5 rounded bg-amber-100 text-amber-900">
+                                                Experimental
+                                            </span>
+                                            <span className="font-mono">{anchor}</span>
+                                            <button
+                                                type="button"
+                                                onClick={() => discardOffsetOverride(anchor)}
+                                                className="px-2 py-0.5 rounded bg-gray-200 text-white hover:bg-gray-300"
+                                            >
+                                                Discard
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
 
-                                    return rows;
-                                })()}
-                            </div>
+                            {offsetProposals.length === 0 ? (
+                                <p className="text-xs text-gray-800">
+                                    Every layout section is mapped on {platform.toUpperCase()}; there
+                                    is nothing to infer.
+                                </p>
+                            ) : (
+                                <>
+                                    <p className="text-xs text-gray-800">
+                                        Candidates for unmapped sections, ranked by how many domain,
+                                        padding and value checks pass on this slot. None of them is
+                                        read or written until you confirm it, and a confirmed one only
+                                        lasts for this session; check the values before saving edits
+                                        through it.
+                                    </p>
+                                    <ul className="max-h-48 overflow-auto text-xs text-gray-900 space-y-1">
+                                        {offsetProposals.map((p) => (
+                                            <li
+                                                key={`${p.anchor}-${JSON.stringify(p.value)}`}
+                                                className="flex flex-wrap items-center gap-2"
+                                            >
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setDebugRange(p.start, 64)}
+                                                    className="font-mono text-left hover:underline"
+                                                >
+                                                    0x{p.start.toString(16).toUpperCase().padStart(5, "0")}
+                                                </button>
+                                                <span>{p.label}</span>
+                                                <span
+                                                    className="text-gray-800"
+                                                    title={p.failed.length ? `Fails: ${p.failed.join("; ")}` : undefined}
+                                                >
+                                                    {p.checked
+                                                        ? `${p.passed}/${p.checked} checks`
+                                                        : "no checkable fields"}
+                                                    {p.blank && " · all zero on this slot"}
+                                                    {" · from "}
+                                                    {p.sources
+                                                        .map((src) => `${src.platform.toUpperCase()} ${formatOffsetDelta(src.delta)}`)
+                                                        .join(", ")}
+                                                </span>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => confirmOffsetProposal(p)}
+                                                    className="px-2 py-0.5 rounded bg-gray-200 text-white hover:bg-gray-300"
+                                                >
+                                                    Confirm
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </>
+                            )}
                         </div>
                     </section>
                 )}
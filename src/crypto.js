@@ -0,0 +1,217 @@
+// crypto.js
+// Hash and cipher helpers shared by the save container formats.
+// AES and SHA-1 go through WebCrypto; everything here works on Uint8Arrays.
+
+const subtle = globalThis.crypto?.subtle;
+
+function requireSubtle() {
+    if (!subtle) {
+        throw new Error("WebCrypto is not available in this browser.");
+    }
+    return subtle;
+}
+
+export function concatBytes(...parts) {
+    const total = parts.reduce((acc, p) => acc + p.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (const p of parts) {
+        out.set(p, offset);
+        offset += p.length;
+    }
+    return out;
+}
+
+export function bytesEqual(a, b) {
+    if (!a || !b || a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+export function hexToBytes(hex) {
+    const clean = (hex || "").replace(/[^0-9a-fA-F]/g, "");
+    if (clean.length % 2 !== 0) {
+        throw new Error("Hex string must have an even number of digits.");
+    }
+    const out = new Uint8Array(clean.length / 2);
+    for (let i = 0; i < out.length; i++) {
+        out[i] = parseInt(clean.slice(i * 2, i * 2 + 2), 16);
+    }
+    return out;
+}
+
+export function bytesToHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).toUpperCase().padStart(2, "0")).join("");
+}
+
+// -------------
+// CRC-32
+// -------------
+
+let crc32Table = null;
+
+export function crc32(bytes, start = 0, end = bytes.length) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = start; i < end; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// -------------
+// MD5
+// -------------
+
+// WebCrypto has no MD5, which the Wii save header still uses.
+
+const MD5_SHIFTS = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21,
+];
+const MD5_CONSTANTS = Array.from(
+    { length: 64 },
+    (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0
+);
+
+export function md5(data) {
+    const bitLength = data.length * 8;
+    const paddedLength = (((data.length + 8) >> 6) + 1) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(data);
+    padded[data.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+    view.setUint32(paddedLength - 4, Math.floor(bitLength / 2 ** 32), true);
+
+    let a0 = 0x67452301;
+    let b0 = 0xefcdab89;
+    let c0 = 0x98badcfe;
+    let d0 = 0x10325476;
+
+    const m = new Uint32Array(16);
+    for (let chunk = 0; chunk < paddedLength; chunk += 64) {
+        for (let i = 0; i < 16; i++) m[i] = view.getUint32(chunk + i * 4, true);
+
+        let a = a0;
+        let b = b0;
+        let c = c0;
+        let d = d0;
+
+        for (let i = 0; i < 64; i++) {
+            let f;
+            let g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+            const sum = (a + f + MD5_CONSTANTS[i] + m[g]) >>> 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) >>> 0;
+        }
+
+        a0 = (a0 + a) >>> 0;
+        b0 = (b0 + b) >>> 0;
+        c0 = (c0 + c) >>> 0;
+        d0 = (d0 + d) >>> 0;
+    }
+
+    const out = new Uint8Array(16);
+    const outView = new DataView(out.buffer);
+    [a0, b0, c0, d0].forEach((v, i) => outView.setUint32(i * 4, v, true));
+    return out;
+}
+
+// -------------
+// SHA-1 / HMAC
+// -------------
+
+export async function sha1(data) {
+    return new Uint8Array(await requireSubtle().digest("SHA-1", data));
+}
+
+export async function hmacSha1(key, data) {
+    const s = requireSubtle();
+    const k = await s.importKey("raw", key, { name: "HMAC", hash: "SHA-1" }, false, [
+        "sign",
+    ]);
+    return new Uint8Array(await s.sign("HMAC", k, data));
+}
+
+// -------------
+// AES-128
+// -------------
+
+// WebCrypto only offers padded AES-CBC. Encryption drops the trailing
+// padding block; decryption appends a block that decrypts to valid padding.
+
+async function importAes(key) {
+    return requireSubtle().importKey("raw", key, "AES-CBC", false, ["encrypt", "decrypt"]);
+}
+
+async function cbcEncryptWithKey(k, iv, data) {
+    const out = await requireSubtle().encrypt({ name: "AES-CBC", iv }, k, data);
+    return new Uint8Array(out, 0, data.length).slice();
+}
+
+export async function aesCbcEncrypt(key, iv, data) {
+    if (data.length % 16 !== 0) {
+        throw new Error("AES-CBC input must be a multiple of 16 bytes.");
+    }
+    return cbcEncryptWithKey(await importAes(key), iv, data);
+}
+
+export async function aesCbcDecrypt(key, iv, data) {
+    if (data.length % 16 !== 0) {
+        throw new Error("AES-CBC input must be a multiple of 16 bytes.");
+    }
+    if (data.length === 0) return new Uint8Array(0);
+
+    const k = await importAes(key);
+    const padding = new Uint8Array(16).fill(16);
+    const padBlock = await cbcEncryptWithKey(k, data.subarray(data.length - 16), padding);
+    const out = await requireSubtle().decrypt(
+        { name: "AES-CBC", iv },
+        k,
+        concatBytes(data, padBlock)
+    );
+    return new Uint8Array(out);
+}
+
+export async function aesEcbEncrypt(key, data) {
+    if (data.length % 16 !== 0) {
+        throw new Error("AES-ECB input must be a multiple of 16 bytes.");
+    }
+    const k = await importAes(key);
+    const out = new Uint8Array(data.length);
+    const zeroIv = new Uint8Array(16);
+    for (let i = 0; i < data.length; i += 16) {
+        out.set(await cbcEncryptWithKey(k, zeroIv, data.subarray(i, i + 16)), i);
+    }
+    return out;
+}
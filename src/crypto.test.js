@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import {
+    aesCbcDecrypt,
+    aesCbcEncrypt,
+    aesEcbEncrypt,
+    bytesToHex,
+    crc32,
+    hexToBytes,
+    md5,
+} from "./crypto";
+
+const ascii = (text) => new TextEncoder().encode(text);
+
+// NIST SP 800-38A, F.2.1 / F.1.1 (AES-128)
+const NIST_KEY = hexToBytes("2B7E151628AED2A6ABF7158809CF4F3C");
+const NIST_IV = hexToBytes("000102030405060708090A0B0C0D0E0F");
+const NIST_PLAIN = hexToBytes(
+    "6BC1BEE22E409F96E93D7E117393172AAE2D8A571E03AC9C9EB76FAC45AF8E51"
+);
+
+describe("md5", () => {
+    it("matches the RFC 1321 test suite", () => {
+        expect(bytesToHex(md5(ascii("")))).toBe("D41D8CD98F00B204E9800998ECF8427E");
+        expect(bytesToHex(md5(ascii("abc")))).toBe("900150983CD24FB0D6963F7D28E17F72");
+        expect(bytesToHex(md5(ascii("12345678901234567890123456789012345678901234567890123456789012345678901234567890"))))
+            .toBe("57EDF4A22BE3C955AC49DA2E2107B67A");
+    });
+
+    it("pads inputs that end next to a block boundary", () => {
+        expect(bytesToHex(md5(new Uint8Array(55)))).toBe("C9EA3314B91C9FD4E38F9432064FD1F2");
+        expect(bytesToHex(md5(new Uint8Array(56)))).toBe("E3C4DD21A9171FD39D208EFA09BF7883");
+    });
+});
+
+describe("crc32", () => {
+    it("matches the standard check value", () => {
+        expect(crc32(ascii("123456789"))).toBe(0xcbf43926);
+    });
+
+    it("honours the start and end bounds", () => {
+        const bytes = ascii("xx123456789yy");
+        expect(crc32(bytes, 2, 11)).toBe(0xcbf43926);
+    });
+});
+
+describe("AES", () => {
+    it("encrypts CBC without a trailing padding block", async () => {
+        const encrypted = await aesCbcEncrypt(NIST_KEY, NIST_IV, NIST_PLAIN);
+        expect(bytesToHex(encrypted)).toBe(
+            "7649ABAC8119B246CEE98E9B12E9197D5086CB9B507219EE95DB113A917678B2"
+        );
+    });
+
+    it("decrypts unpadded CBC data", async () => {
+        const encrypted = await aesCbcEncrypt(NIST_KEY, NIST_IV, NIST_PLAIN);
+        expect(await aesCbcDecrypt(NIST_KEY, NIST_IV, encrypted)).toEqual(NIST_PLAIN);
+    });
+
+    it("round-trips data whose last block looks like padding", async () => {
+        const data = new Uint8Array(48).fill(16);
+        const encrypted = await aesCbcEncrypt(NIST_KEY, NIST_IV, data);
+        expect(await aesCbcDecrypt(NIST_KEY, NIST_IV, encrypted)).toEqual(data);
+    });
+
+    it("encrypts ECB block by block", async () => {
+        expect(bytesToHex(await aesEcbEncrypt(NIST_KEY, NIST_PLAIN))).toBe(
+            "3AD77BB40D7A3660A89ECAF32466EF97F5D3D58503B9699DE785895A96FDBAAF"
+        );
+    });
+
+    it("rejects data that is not block aligned", async () => {
+        await expect(aesCbcEncrypt(NIST_KEY, NIST_IV, new Uint8Array(15))).rejects.toThrow();
+        await expect(aesCbcDecrypt(NIST_KEY, NIST_IV, new Uint8Array(17))).rejects.toThrow();
+    });
+});
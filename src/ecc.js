@@ -0,0 +1,187 @@
+// ecc.js
+// ECDSA over sect233r1, the curve the Wii uses for save signatures and
+// certificates. Field elements and scalars are BigInts; keys and signatures
+// are exchanged as 30-byte big-endian values (signatures are R || S).
+
+const FIELD_BITS = 233n;
+const FIELD_POLY = (1n << 233n) | (1n << 74n) | 1n;
+
+const CURVE_B = 0x0066647ede6c332c7f8c0923bb58213b333b20e9ce4281fe115f7d8f90adn;
+const ORDER = 0x01000000000000000000000000000013e974e72f8a6922031d2603cfe0d7n;
+const GENERATOR = [
+    0x00fac9dfcbac8313bb2139f1bb755fef65bc391f8b36f8f8eb7371fd558bn,
+    0x01006a08a41903350678e58528bebf8a0beff867a7ca36716f7e01f81052n,
+];
+
+const ELEMENT_SIZE = 30;
+
+// -----------------
+// GF(2^233)
+// -----------------
+
+function fieldMul(a, b) {
+    let result = 0n;
+    while (b) {
+        if (b & 1n) result ^= a;
+        b >>= 1n;
+        a <<= 1n;
+        if (a >> FIELD_BITS) a ^= FIELD_POLY;
+    }
+    return result;
+}
+
+function degree(a) {
+    return a.toString(2).length - 1;
+}
+
+function fieldInv(a) {
+    if (a === 0n) {
+        throw new Error("Cannot invert zero in GF(2^233).");
+    }
+    let u = a;
+    let v = FIELD_POLY;
+    let g1 = 1n;
+    let g2 = 0n;
+    while (u !== 1n) {
+        let j = degree(u) - degree(v);
+        if (j < 0) {
+            [u, v] = [v, u];
+            [g1, g2] = [g2, g1];
+            j = -j;
+        }
+        u ^= v << BigInt(j);
+        g1 ^= g2 << BigInt(j);
+    }
+    return g1;
+}
+
+// -----------------
+// Curve points
+// -----------------
+
+// y^2 + xy = x^3 + x^2 + b; null is the point at infinity
+
+function pointDouble(p) {
+    if (!p || p[0] === 0n) return null;
+    const [x, y] = p;
+    const l = x ^ fieldMul(y, fieldInv(x));
+    const x3 = fieldMul(l, l) ^ l ^ 1n;
+    const y3 = fieldMul(x, x) ^ fieldMul(l ^ 1n, x3);
+    return [x3, y3];
+}
+
+function pointAdd(p, q) {
+    if (!p) return q;
+    if (!q) return p;
+    const [x1, y1] = p;
+    const [x2, y2] = q;
+    if (x1 === x2) {
+        return y1 === y2 ? pointDouble(p) : null;
+    }
+    const l = fieldMul(y1 ^ y2, fieldInv(x1 ^ x2));
+    const x3 = fieldMul(l, l) ^ l ^ x1 ^ x2 ^ 1n;
+    const y3 = fieldMul(l, x1 ^ x3) ^ x3 ^ y1;
+    return [x3, y3];
+}
+
+function pointMul(k, p) {
+    let result = null;
+    for (let i = BigInt(k.toString(2).length - 1); i >= 0n; i--) {
+        result = pointDouble(result);
+        if ((k >> i) & 1n) result = pointAdd(result, p);
+    }
+    return result;
+}
+
+// -----------------
+// Scalars
+// -----------------
+
+function mod(a, m) {
+    const r = a % m;
+    return r < 0n ? r + m : r;
+}
+
+function modInv(a, m) {
+    let [oldR, r] = [mod(a, m), m];
+    let [oldS, s] = [1n, 0n];
+    while (r !== 0n) {
+        const q = oldR / r;
+        [oldR, r] = [r, oldR - q * r];
+        [oldS, s] = [s, oldS - q * s];
+    }
+    return mod(oldS, m);
+}
+
+function bytesToBigInt(bytes) {
+    let v = 0n;
+    for (const b of bytes) v = (v << 8n) | BigInt(b);
+    return v;
+}
+
+function bigIntToBytes(v, length = ELEMENT_SIZE) {
+    const out = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+        out[i] = Number(v & 0xffn);
+        v >>= 8n;
+    }
+    return out;
+}
+
+function randomScalar() {
+    const bytes = new Uint8Array(ELEMENT_SIZE);
+    let k = 0n;
+    while (k === 0n) {
+        globalThis.crypto.getRandomValues(bytes);
+        k = mod(bytesToBigInt(bytes), ORDER);
+    }
+    return k;
+}
+
+// -----------------
+// Public API
+// -----------------
+
+export function ecPrivateToPublic(privateKey) {
+    const [x, y] = pointMul(mod(bytesToBigInt(privateKey), ORDER), GENERATOR);
+    const out = new Uint8Array(ELEMENT_SIZE * 2);
+    out.set(bigIntToBytes(x), 0);
+    out.set(bigIntToBytes(y), ELEMENT_SIZE);
+    return out;
+}
+
+export function ecdsaSign(privateKey, hash) {
+    const d = mod(bytesToBigInt(privateKey), ORDER);
+    const e = bytesToBigInt(hash);
+
+    for (;;) {
+        const k = randomScalar();
+        const r = mod(pointMul(k, GENERATOR)[0], ORDER);
+        if (r === 0n) continue;
+        const s = mod(modInv(k, ORDER) * (e + r * d), ORDER);
+        if (s === 0n) continue;
+
+        const out = new Uint8Array(ELEMENT_SIZE * 2);
+        out.set(bigIntToBytes(r), 0);
+        out.set(bigIntToBytes(s), ELEMENT_SIZE);
+        return out;
+    }
+}
+
+export function ecdsaVerify(publicKey, hash, signature) {
+    const q = [
+        bytesToBigInt(publicKey.subarray(0, ELEMENT_SIZE)),
+        bytesToBigInt(publicKey.subarray(ELEMENT_SIZE, ELEMENT_SIZE * 2)),
+    ];
+    const r = bytesToBigInt(signature.subarray(0, ELEMENT_SIZE));
+    const s = bytesToBigInt(signature.subarray(ELEMENT_SIZE, ELEMENT_SIZE * 2));
+    if (r <= 0n || r >= ORDER || s <= 0n || s >= ORDER) return false;
+
+    const e = bytesToBigInt(hash);
+    const w = modInv(s, ORDER);
+    const point = pointAdd(
+        pointMul(mod(e * w, ORDER), GENERATOR),
+        pointMul(mod(r * w, ORDER), q)
+    );
+    return point != null && mod(point[0], ORDER) === r;
+}
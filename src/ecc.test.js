@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { hexToBytes } from "./crypto";
+import { ecPrivateToPublic, ecdsaSign, ecdsaVerify } from "./ecc";
+
+const PRIVATE_KEY = hexToBytes("00A1B2C3D4E5F60718293A4B5C6D7E8F90A1B2C3D4E5F60718293A4B5C6D");
+const HASH = hexToBytes("A9993E364706816ABA3E25717850C26C9CD0D89D");
+
+describe("sect233r1 ECDSA", () => {
+    it("derives the generator from the private key 1", () => {
+        const one = new Uint8Array(30);
+        one[29] = 1;
+        expect(ecPrivateToPublic(one)).toEqual(
+            hexToBytes(
+                "00FAC9DFCBAC8313BB2139F1BB755FEF65BC391F8B36F8F8EB7371FD558B" +
+                "01006A08A41903350678E58528BEBF8A0BEFF867A7CA36716F7E01F81052"
+            )
+        );
+    });
+
+    it("verifies its own signatures", () => {
+        const publicKey = ecPrivateToPublic(PRIVATE_KEY);
+        const signature = ecdsaSign(PRIVATE_KEY, HASH);
+        expect(signature).toHaveLength(60);
+        expect(ecdsaVerify(publicKey, HASH, signature)).toBe(true);
+    });
+
+    it("rejects a signature over different data", () => {
+        const publicKey = ecPrivateToPublic(PRIVATE_KEY);
+        const signature = ecdsaSign(PRIVATE_KEY, HASH);
+        const otherHash = HASH.slice();
+        otherHash[0] ^= 1;
+        expect(ecdsaVerify(publicKey, otherHash, signature)).toBe(false);
+    });
+
+    it("rejects out-of-range signature values", () => {
+        const publicKey = ecPrivateToPublic(PRIVATE_KEY);
+        expect(ecdsaVerify(publicKey, HASH, new Uint8Array(60))).toBe(false);
+    });
+});
@@ -0,0 +1,371 @@
+// lzari.js
+// LZARI (LZSS + adaptive arithmetic coding), as used by Action Replay Max
+// .max saves. Port of Haruhiko Okumura's reference implementation; the
+// 4-byte length prefix of the original stream format is handled by callers.
+
+const N = 4096; // ring buffer size
+const F = 60; // upper limit for match length
+const THRESHOLD = 2;
+const NIL = N;
+
+const M = 15;
+const Q1 = 2 ** M;
+const Q2 = 2 * Q1;
+const Q3 = 3 * Q1;
+const Q4 = 4 * Q1;
+const MAX_CUM = Q1 - 1;
+const N_CHAR = 256 - THRESHOLD + F;
+
+function createModel() {
+    const charToSym = new Int32Array(N_CHAR);
+    const symToChar = new Int32Array(N_CHAR + 1);
+    const symFreq = new Uint32Array(N_CHAR + 1);
+    const symCum = new Uint32Array(N_CHAR + 1);
+    const positionCum = new Uint32Array(N + 1);
+
+    symCum[N_CHAR] = 0;
+    for (let sym = N_CHAR; sym >= 1; sym--) {
+        const ch = sym - 1;
+        charToSym[ch] = sym;
+        symToChar[sym] = ch;
+        symFreq[sym] = 1;
+        symCum[sym - 1] = symCum[sym] + symFreq[sym];
+    }
+    symFreq[0] = 0; // sentinel
+    positionCum[N] = 0;
+    for (let i = N; i >= 1; i--) {
+        positionCum[i - 1] = positionCum[i] + Math.floor(10000 / (i + 200));
+    }
+
+    const update = (sym) => {
+        if (symCum[0] >= MAX_CUM) {
+            let c = 0;
+            for (let i = N_CHAR; i > 0; i--) {
+                symCum[i] = c;
+                symFreq[i] = (symFreq[i] + 1) >> 1;
+                c += symFreq[i];
+            }
+            symCum[0] = c;
+        }
+        let i = sym;
+        while (symFreq[i] === symFreq[i - 1]) i--;
+        if (i < sym) {
+            const chI = symToChar[i];
+            const chSym = symToChar[sym];
+            symToChar[i] = chSym;
+            symToChar[sym] = chI;
+            charToSym[chI] = sym;
+            charToSym[chSym] = i;
+        }
+        symFreq[i]++;
+        while (--i >= 0) symCum[i]++;
+    };
+
+    return { charToSym, symToChar, symCum, positionCum, update };
+}
+
+function createRingBuffer() {
+    const textBuf = new Uint8Array(N + F - 1);
+    textBuf.fill(0x20, 0, N - F);
+    return textBuf;
+}
+
+// -----------------
+// Decoding
+// -----------------
+
+export function lzariDecode(input, outLength) {
+    const out = new Uint8Array(outLength);
+    if (outLength === 0) return out;
+
+    let inPos = 0;
+    let buffer = 0;
+    let mask = 0;
+    const getBit = () => {
+        if ((mask >>= 1) === 0) {
+            buffer = inPos < input.length ? input[inPos] : 0;
+            inPos++;
+            mask = 128;
+        }
+        return (buffer & mask) !== 0 ? 1 : 0;
+    };
+
+    const model = createModel();
+    const { symToChar, symCum, positionCum } = model;
+    let low = 0;
+    let high = Q4;
+    let value = 0;
+    for (let i = 0; i < M + 2; i++) value = 2 * value + getBit();
+
+    const normalize = () => {
+        for (;;) {
+            if (low >= Q2) {
+                value -= Q2;
+                low -= Q2;
+                high -= Q2;
+            } else if (low >= Q1 && high <= Q3) {
+                value -= Q1;
+                low -= Q1;
+                high -= Q1;
+            } else if (high > Q2) {
+                break;
+            }
+            low += low;
+            high += high;
+            value = 2 * value + getBit();
+        }
+    };
+
+    const decodeChar = () => {
+        const range = high - low;
+        const x = Math.floor(((value - low + 1) * symCum[0] - 1) / range);
+        let i = 1;
+        let j = N_CHAR;
+        while (i < j) {
+            const k = (i + j) >> 1;
+            if (symCum[k] > x) i = k + 1;
+            else j = k;
+        }
+        const sym = i;
+        high = low + Math.floor((range * symCum[sym - 1]) / symCum[0]);
+        low += Math.floor((range * symCum[sym]) / symCum[0]);
+        normalize();
+        const ch = symToChar[sym];
+        model.update(sym);
+        return ch;
+    };
+
+    const decodePosition = () => {
+        const range = high - low;
+        const x = Math.floor(((value - low + 1) * positionCum[0] - 1) / range);
+        let i = 1;
+        let j = N;
+        while (i < j) {
+            const k = (i + j) >> 1;
+            if (positionCum[k] > x) i = k + 1;
+            else j = k;
+        }
+        const position = i - 1;
+        high = low + Math.floor((range * positionCum[position]) / positionCum[0]);
+        low += Math.floor((range * positionCum[position + 1]) / positionCum[0]);
+        normalize();
+        return position;
+    };
+
+    const textBuf = createRingBuffer();
+    let r = N - F;
+    let count = 0;
+    while (count < outLength) {
+        const c = decodeChar();
+        if (c < 256) {
+            out[count++] = c;
+            textBuf[r++] = c;
+            r &= N - 1;
+        } else {
+            const start = (r - decodePosition() - 1) & (N - 1);
+            const length = c - 255 + THRESHOLD;
+            for (let k = 0; k < length && count < outLength; k++) {
+                const b = textBuf[(start + k) & (N - 1)];
+                out[count++] = b;
+                textBuf[r++] = b;
+                r &= N - 1;
+            }
+        }
+    }
+
+    return out;
+}
+
+// -----------------
+// Encoding
+// -----------------
+
+export function lzariEncode(input) {
+    const output = [];
+    let buffer = 0;
+    let mask = 128;
+    const putBit = (bit) => {
+        if (bit) buffer |= mask;
+        if ((mask >>= 1) === 0) {
+            output.push(buffer);
+            buffer = 0;
+            mask = 128;
+        }
+    };
+    if (input.length === 0) return new Uint8Array(0);
+
+    // Binary search trees over the ring buffer
+    const textBuf = createRingBuffer();
+    const lson = new Int32Array(N + 1);
+    const rson = new Int32Array(N + 257);
+    const dad = new Int32Array(N + 1);
+    for (let i = N + 1; i <= N + 256; i++) rson[i] = NIL;
+    for (let i = 0; i < N; i++) dad[i] = NIL;
+    let matchPosition = 0;
+    let matchLength = 0;
+
+    const insertNode = (r) => {
+        let cmp = 1;
+        let p = N + 1 + textBuf[r];
+        rson[r] = lson[r] = NIL;
+        matchLength = 0;
+        for (;;) {
+            if (cmp >= 0) {
+                if (rson[p] !== NIL) {
+                    p = rson[p];
+                } else {
+                    rson[p] = r;
+                    dad[r] = p;
+                    return;
+                }
+            } else if (lson[p] !== NIL) {
+                p = lson[p];
+            } else {
+                lson[p] = r;
+                dad[r] = p;
+                return;
+            }
+            let i;
+            for (i = 1; i < F; i++) {
+                cmp = textBuf[r + i] - textBuf[p + i];
+                if (cmp !== 0) break;
+            }
+            if (i > THRESHOLD) {
+                if (i > matchLength) {
+                    matchPosition = (r - p) & (N - 1);
+                    matchLength = i;
+                    if (matchLength >= F) break;
+                } else if (i === matchLength) {
+                    const temp = (r - p) & (N - 1);
+                    if (temp < matchPosition) matchPosition = temp;
+                }
+            }
+        }
+        dad[r] = dad[p];
+        lson[r] = lson[p];
+        rson[r] = rson[p];
+        dad[lson[p]] = r;
+        dad[rson[p]] = r;
+        if (rson[dad[p]] === p) rson[dad[p]] = r;
+        else lson[dad[p]] = r;
+        dad[p] = NIL;
+    };
+
+    const deleteNode = (p) => {
+        if (dad[p] === NIL) return;
+        let q;
+        if (rson[p] === NIL) {
+            q = lson[p];
+        } else if (lson[p] === NIL) {
+            q = rson[p];
+        } else {
+            q = lson[p];
+            if (rson[q] !== NIL) {
+                do {
+                    q = rson[q];
+                } while (rson[q] !== NIL);
+                rson[dad[q]] = lson[q];
+                dad[lson[q]] = dad[q];
+                lson[q] = lson[p];
+                dad[lson[p]] = q;
+            }
+            rson[q] = rson[p];
+            dad[rson[p]] = q;
+        }
+        dad[q] = dad[p];
+        if (rson[dad[p]] === p) rson[dad[p]] = q;
+        else lson[dad[p]] = q;
+        dad[p] = NIL;
+    };
+
+    // Arithmetic coder
+    const model = createModel();
+    const { charToSym, symCum, positionCum } = model;
+    let low = 0;
+    let high = Q4;
+    let shifts = 0;
+
+    const emit = (bit) => {
+        putBit(bit);
+        for (; shifts > 0; shifts--) putBit(bit ? 0 : 1);
+    };
+
+    const normalize = () => {
+        for (;;) {
+            if (high <= Q2) {
+                emit(0);
+            } else if (low >= Q2) {
+                emit(1);
+                low -= Q2;
+                high -= Q2;
+            } else if (low >= Q1 && high <= Q3) {
+                shifts++;
+                low -= Q1;
+                high -= Q1;
+            } else {
+                break;
+            }
+            low += low;
+            high += high;
+        }
+    };
+
+    const encodeChar = (ch) => {
+        const sym = charToSym[ch];
+        const range = high - low;
+        high = low + Math.floor((range * symCum[sym - 1]) / symCum[0]);
+        low += Math.floor((range * symCum[sym]) / symCum[0]);
+        normalize();
+        model.update(sym);
+    };
+
+    const encodePosition = (position) => {
+        const range = high - low;
+        high = low + Math.floor((range * positionCum[position]) / positionCum[0]);
+        low += Math.floor((range * positionCum[position + 1]) / positionCum[0]);
+        normalize();
+    };
+
+    let inPos = 0;
+    let s = 0;
+    let r = N - F;
+    let len = 0;
+    for (; len < F && inPos < input.length; len++) textBuf[r + len] = input[inPos++];
+    for (let i = 1; i <= F; i++) insertNode(r - i);
+    insertNode(r);
+
+    do {
+        if (matchLength > len) matchLength = len;
+        if (matchLength <= THRESHOLD) {
+            matchLength = 1;
+            encodeChar(textBuf[r]);
+        } else {
+            encodeChar(255 - THRESHOLD + matchLength);
+            encodePosition(matchPosition - 1);
+        }
+        const lastMatchLength = matchLength;
+        let i = 0;
+        for (; i < lastMatchLength && inPos < input.length; i++) {
+            const c = input[inPos++];
+            deleteNode(s);
+            textBuf[s] = c;
+            if (s < F - 1) textBuf[s + N] = c;
+            s = (s + 1) & (N - 1);
+            r = (r + 1) & (N - 1);
+            insertNode(r);
+        }
+        while (i++ < lastMatchLength) {
+            deleteNode(s);
+            s = (s + 1) & (N - 1);
+            r = (r + 1) & (N - 1);
+            if (--len) insertNode(r);
+        }
+    } while (len > 0);
+
+    // Flush
+    shifts++;
+    emit(low < Q1 ? 0 : 1);
+    for (let i = 0; i < 7; i++) putBit(0);
+
+    return Uint8Array.from(output);
+}
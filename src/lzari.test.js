@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { lzariDecode, lzariEncode } from "./lzari";
+
+function roundTrip(data) {
+    return lzariDecode(lzariEncode(data), data.length);
+}
+
+// Deterministic noise so failures reproduce
+function pseudoRandom(length, seed) {
+    const out = new Uint8Array(length);
+    let x = seed;
+    for (let i = 0; i < length; i++) {
+        x = (x * 1103515245 + 12345) >>> 0;
+        out[i] = x >>> 24;
+    }
+    return out;
+}
+
+describe("LZARI", () => {
+    it("round-trips empty input", () => {
+        expect(roundTrip(new Uint8Array(0))).toEqual(new Uint8Array(0));
+    });
+
+    it("round-trips repetitive data and compresses it", () => {
+        const data = new Uint8Array(20000);
+        for (let i = 0; i < data.length; i++) data[i] = "BAKUGAN"[i % 7].charCodeAt(0);
+        const encoded = lzariEncode(data);
+        expect(encoded.length).toBeLessThan(data.length / 10);
+        expect(lzariDecode(encoded, data.length)).toEqual(data);
+    });
+
+    it("round-trips incompressible data larger than the ring buffer", () => {
+        const data = pseudoRandom(10000, 1);
+        expect(roundTrip(data)).toEqual(data);
+    });
+
+    it("round-trips a save-like mix of zeros, text and noise", () => {
+        const data = new Uint8Array(14000);
+        data.set(new TextEncoder().encode("Dan Kuso"), 0x100);
+        data.set(pseudoRandom(3000, 7), 0x2000);
+        data.fill(0xff, 0x3000, 0x3400);
+        expect(roundTrip(data)).toEqual(data);
+    });
+});
@@ -0,0 +1,524 @@
+// ps2MemoryCard.js
+// PS2 saves in their usual containers: raw memory card images (PCSX2 .ps2,
+// with or without ECC spare areas), EMS/uLaunchELF .psu exports and Action
+// Replay Max .max files. Card layout and ECC follow mymc; all multi-byte
+// fields are little-endian.
+
+import { concatBytes, crc32 } from "./crypto";
+import { lzariDecode, lzariEncode } from "./lzari";
+
+const textDecoder = new TextDecoder();
+
+const CARD_MAGIC = "Sony PS2 Memory Card Format ";
+const MAX_MAGIC = "Ps2PowerSave";
+
+const DIR_ENTRY_SIZE = 0x200;
+const MODE_FILE = 0x0010;
+const MODE_DIR = 0x0020;
+const MODE_EXISTS = 0x8000;
+
+const FAT_ALLOCATED = 0x80000000;
+const FAT_CHAIN_END = 0xffffffff;
+
+const ECC_CHUNK_SIZE = 128;
+
+const PSU_DATA_ALIGN = 0x400;
+const MAX_HEADER_SIZE = 0x5c;
+const MAX_FILE_HEADER_SIZE = 36;
+
+const ICON_SYS_MAGIC = "PS2D";
+const ICON_MAGIC = 0x00010000;
+const ICON_TEXTURE_SIZE = 128;
+
+const roundUp = (n, to) => Math.ceil(n / to) * to;
+
+function dataView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function readCString(bytes) {
+    const end = bytes.indexOf(0);
+    return textDecoder.decode(end === -1 ? bytes : bytes.subarray(0, end));
+}
+
+function writeCString(bytes, offset, length, text) {
+    const encoded = new TextEncoder().encode(text).subarray(0, length - 1);
+    bytes.fill(0, offset, offset + length);
+    bytes.set(encoded, offset);
+}
+
+export function detectPs2Container(bytes) {
+    if (bytes.length >= 0x150 && textDecoder.decode(bytes.subarray(0, 28)) === CARD_MAGIC) {
+        return "card";
+    }
+    if (bytes.length >= MAX_HEADER_SIZE && textDecoder.decode(bytes.subarray(0, 12)) === MAX_MAGIC) {
+        return "max";
+    }
+    if (bytes.length >= DIR_ENTRY_SIZE * 3) {
+        const mode = dataView(bytes).getUint16(0, true);
+        const dot = parseDirEntry(bytes, DIR_ENTRY_SIZE);
+        if ((mode & (MODE_EXISTS | MODE_DIR)) === (MODE_EXISTS | MODE_DIR) && dot.name === ".") {
+            return "psu";
+        }
+    }
+    return null;
+}
+
+// Directory entries are shared by the card file system and .psu exports
+function parseDirEntry(bytes, offset) {
+    const view = dataView(bytes);
+    return {
+        mode: view.getUint16(offset, true),
+        length: view.getUint32(offset + 0x04, true),
+        cluster: view.getUint32(offset + 0x10, true),
+        name: readCString(bytes.subarray(offset + 0x40, offset + 0x60)),
+    };
+}
+
+const isDirectory = (entry) => (entry.mode & (MODE_EXISTS | MODE_DIR)) === (MODE_EXISTS | MODE_DIR);
+const isFile = (entry) => (entry.mode & (MODE_EXISTS | MODE_FILE)) === (MODE_EXISTS | MODE_FILE);
+
+// -----------------
+// icon.sys and icons
+// -----------------
+
+function decodeShiftJis(bytes) {
+    try {
+        return new TextDecoder("shift_jis").decode(bytes).normalize("NFKC");
+    } catch {
+        return textDecoder.decode(bytes);
+    }
+}
+
+function parseIconSys(bytes) {
+    if (!bytes || bytes.length < 0x1c4 || textDecoder.decode(bytes.subarray(0, 4)) !== ICON_SYS_MAGIC) {
+        return null;
+    }
+    const lineBreak = dataView(bytes).getUint16(6, true);
+    const title = bytes.subarray(0xc0, 0x104);
+    const end = title.indexOf(0) === -1 ? title.length : title.indexOf(0) & ~1;
+    const split = Math.min(lineBreak, end);
+
+    return {
+        title: [decodeShiftJis(title.subarray(0, split)), decodeShiftJis(title.subarray(split, end))]
+            .map((s) => s.trim())
+            .filter(Boolean)
+            .join(" "),
+        listIcon: readCString(bytes.subarray(0x104, 0x144)),
+        copyIcon: readCString(bytes.subarray(0x144, 0x184)),
+        deleteIcon: readCString(bytes.subarray(0x184, 0x1c4)),
+    };
+}
+
+// 128x128 A1B5G5R5 texture; compressed textures use 16-bit run lengths
+function decodeIconTexture(bytes, compressed) {
+    const view = dataView(bytes);
+    const pixelCount = ICON_TEXTURE_SIZE * ICON_TEXTURE_SIZE;
+    const pixels = new Uint16Array(pixelCount);
+
+    if (!compressed) {
+        for (let i = 0; i < pixelCount; i++) pixels[i] = view.getUint16(i * 2, true);
+    } else {
+        let ptr = 0;
+        let out = 0;
+        while (out < pixelCount && ptr + 2 <= bytes.length) {
+            const code = view.getUint16(ptr, true);
+            ptr += 2;
+            if (code & 0x8000) {
+                const count = 0x10000 - code;
+                for (let i = 0; i < count && out < pixelCount && ptr + 2 <= bytes.length; i++) {
+                    pixels[out++] = view.getUint16(ptr, true);
+                    ptr += 2;
+                }
+            } else if (ptr + 2 <= bytes.length) {
+                const value = view.getUint16(ptr, true);
+                ptr += 2;
+                for (let i = 0; i < code && out < pixelCount; i++) pixels[out++] = value;
+            }
+        }
+    }
+
+    const rgba = new Uint8ClampedArray(pixelCount * 4);
+    pixels.forEach((v, i) => {
+        rgba[i * 4] = (v & 0x1f) * 255 / 31;
+        rgba[i * 4 + 1] = ((v >> 5) & 0x1f) * 255 / 31;
+        rgba[i * 4 + 2] = ((v >> 10) & 0x1f) * 255 / 31;
+        rgba[i * 4 + 3] = 255;
+    });
+    return { width: ICON_TEXTURE_SIZE, height: ICON_TEXTURE_SIZE, rgba };
+}
+
+// Only the texture is decoded. It sits at the end of the file: either the
+// raw 32 KiB image, or a u32 byte count followed by the run-length data.
+function parseIconTexture(bytes) {
+    if (!bytes || bytes.length < 20 || dataView(bytes).getUint32(0, true) !== ICON_MAGIC) {
+        return null;
+    }
+    const view = dataView(bytes);
+    const compressed = (view.getUint32(8, true) & 8) !== 0;
+
+    if (!compressed) {
+        const size = ICON_TEXTURE_SIZE * ICON_TEXTURE_SIZE * 2;
+        return bytes.length >= size + 20 ? decodeIconTexture(bytes.subarray(bytes.length - size), false) : null;
+    }
+
+    for (let p = bytes.length - 4; p >= 20; p -= 4) {
+        if (view.getUint32(p, true) === bytes.length - p - 4) {
+            return decodeIconTexture(bytes.subarray(p + 4), true);
+        }
+    }
+    return null;
+}
+
+function describeSave(dirName, files) {
+    const byName = (name) => files.find((f) => f.name.toLowerCase() === name.toLowerCase());
+    const iconSys = parseIconSys(byName("icon.sys")?.data);
+
+    let icon = null;
+    if (iconSys?.listIcon) {
+        try {
+            icon = parseIconTexture(byName(iconSys.listIcon)?.data);
+        } catch {
+            icon = null;
+        }
+    }
+
+    const iconFiles = new Set(
+        ["icon.sys", iconSys?.listIcon, iconSys?.copyIcon, iconSys?.deleteIcon]
+            .filter(Boolean)
+            .map((n) => n.toLowerCase())
+    );
+    const dataFileCandidates = files
+        .filter((f) => !iconFiles.has(f.name.toLowerCase()) && !/\.ico$/i.test(f.name))
+        .sort((a, b) => b.data.length - a.data.length)
+        .map((f) => f.name);
+
+    return {
+        dirName,
+        title: iconSys?.title || dirName,
+        icon,
+        files,
+        dataFileName: dataFileCandidates[0] ?? null,
+        dataFileCandidates,
+    };
+}
+
+// -----------------
+// Memory card image
+// -----------------
+
+// Hamming code over one 128-byte chunk; three bytes per chunk
+let parityTable = null;
+let columnParityMasks = null;
+
+function eccChunk(bytes) {
+    if (!parityTable) {
+        parityTable = new Uint8Array(256);
+        columnParityMasks = new Uint8Array(256);
+        const cpMasks = [0x55, 0x33, 0x0f, 0x00, 0xaa, 0xcc, 0xf0];
+        for (let b = 0; b < 256; b++) {
+            let p = b ^ (b >> 1);
+            p ^= p >> 2;
+            p ^= p >> 4;
+            parityTable[b] = p & 1;
+        }
+        for (let b = 0; b < 256; b++) {
+            let mask = 0;
+            cpMasks.forEach((m, i) => {
+                mask |= parityTable[b & m] << i;
+            });
+            columnParityMasks[b] = mask;
+        }
+    }
+
+    let columnParity = 0x77;
+    let lineParity0 = 0x7f;
+    let lineParity1 = 0x7f;
+    for (let i = 0; i < bytes.length; i++) {
+        const b = bytes[i];
+        columnParity ^= columnParityMasks[b];
+        if (parityTable[b]) {
+            lineParity0 ^= ~i;
+            lineParity1 ^= i;
+        }
+    }
+    return [columnParity, lineParity0 & 0x7f, lineParity1];
+}
+
+function pageEcc(page) {
+    const out = [];
+    for (let i = 0; i < page.length; i += ECC_CHUNK_SIZE) {
+        out.push(...eccChunk(page.subarray(i, i + ECC_CHUNK_SIZE)));
+    }
+    return Uint8Array.from(out);
+}
+
+function createCardLayout(bytes) {
+    const view = dataView(bytes);
+    const pageSize = view.getUint16(0x28, true);
+    const pagesPerCluster = view.getUint16(0x2a, true);
+    const clustersPerCard = view.getUint32(0x30, true);
+    const totalPages = clustersPerCard * pagesPerCluster;
+    const spareSize = pageSize / 32;
+
+    let ecc;
+    if (bytes.length >= totalPages * (pageSize + spareSize)) {
+        ecc = true;
+    } else if (bytes.length >= totalPages * pageSize) {
+        ecc = false;
+    } else {
+        throw new Error("The memory card image is truncated.");
+    }
+
+    const ifcList = [];
+    for (let i = 0; i < 32; i++) {
+        const cluster = view.getUint32(0x50 + i * 4, true);
+        if (cluster === 0) break;
+        ifcList.push(cluster);
+    }
+
+    return {
+        bytes,
+        ecc,
+        pageSize,
+        rawPageSize: ecc ? pageSize + spareSize : pageSize,
+        pagesPerCluster,
+        clusterSize: pageSize * pagesPerCluster,
+        allocOffset: view.getUint32(0x34, true),
+        rootCluster: view.getUint32(0x3c, true),
+        ifcList,
+    };
+}
+
+const pageAddress = (card, page) => page * card.rawPageSize;
+
+function readCluster(card, cluster) {
+    const pages = [];
+    for (let i = 0; i < card.pagesPerCluster; i++) {
+        const address = pageAddress(card, cluster * card.pagesPerCluster + i);
+        pages.push(card.bytes.subarray(address, address + card.pageSize));
+    }
+    return concatBytes(...pages);
+}
+
+// Two-level FAT: indirect clusters list FAT clusters, which hold one u32
+// per allocatable cluster (bit 31 = in use, low bits = next cluster).
+function fatEntry(card, cluster) {
+    const perCluster = card.clusterSize / 4;
+    const fatIndex = Math.floor(cluster / perCluster);
+    const ifcCluster = card.ifcList[Math.floor(fatIndex / perCluster)];
+    if (ifcCluster === undefined) {
+        throw new Error(`Cluster ${cluster} is outside the memory card FAT.`);
+    }
+    const fatCluster = dataView(readCluster(card, ifcCluster)).getUint32((fatIndex % perCluster) * 4, true);
+    return dataView(readCluster(card, fatCluster)).getUint32((cluster % perCluster) * 4, true);
+}
+
+function clusterChain(card, start, length) {
+    const count = Math.ceil(length / card.clusterSize);
+    const chain = [];
+    let cluster = start;
+    for (let i = 0; i < count; i++) {
+        chain.push(cluster);
+        if (i === count - 1) break;
+        const next = fatEntry(card, cluster);
+        if (next === FAT_CHAIN_END || !(next & FAT_ALLOCATED)) {
+            throw new Error("The memory card FAT chain ends before the file does.");
+        }
+        cluster = next & ~FAT_ALLOCATED;
+    }
+    return chain;
+}
+
+function readChain(card, start, length) {
+    const data = concatBytes(
+        ...clusterChain(card, start, length).map((c) => readCluster(card, card.allocOffset + c))
+    );
+    return data.slice(0, length);
+}
+
+function readCardDirectory(card, cluster) {
+    const first = readChain(card, cluster, DIR_ENTRY_SIZE);
+    const count = parseDirEntry(first, 0).length;
+    const data = readChain(card, cluster, count * DIR_ENTRY_SIZE);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        entries.push(parseDirEntry(data, i * DIR_ENTRY_SIZE));
+    }
+    return entries;
+}
+
+function openCard(bytes) {
+    const card = createCardLayout(bytes);
+    const saves = [];
+
+    for (const dir of readCardDirectory(card, card.rootCluster)) {
+        if (!isDirectory(dir) || dir.name === "." || dir.name === "..") continue;
+        const files = readCardDirectory(card, dir.cluster)
+            .filter(isFile)
+            .map((f) => ({
+                name: f.name,
+                cluster: f.cluster,
+                data: readChain(card, f.cluster, f.length),
+            }));
+        saves.push(describeSave(dir.name, files));
+    }
+
+    return { kind: "card", card, saves };
+}
+
+// Rewrites the file's clusters in place and recomputes the ECC of every
+// touched page. The size must not change, so the FAT stays untouched.
+function writeCardFile(container, file, data) {
+    const bytes = container.card.bytes.slice();
+    const card = { ...container.card, bytes };
+
+    clusterChain(card, file.cluster, data.length).forEach((cluster, i) => {
+        const chunk = new Uint8Array(card.clusterSize);
+        chunk.set(readCluster(card, card.allocOffset + cluster));
+        chunk.set(data.subarray(i * card.clusterSize, (i + 1) * card.clusterSize));
+
+        for (let p = 0; p < card.pagesPerCluster; p++) {
+            const address = pageAddress(card, (card.allocOffset + cluster) * card.pagesPerCluster + p);
+            const page = chunk.subarray(p * card.pageSize, (p + 1) * card.pageSize);
+            bytes.set(page, address);
+            if (card.ecc) bytes.set(pageEcc(page), address + card.pageSize);
+        }
+    });
+
+    return bytes;
+}
+
+// -----------------
+// .psu export
+// -----------------
+
+function openPsu(bytes) {
+    const root = parseDirEntry(bytes, 0);
+    const files = [];
+    let offset = DIR_ENTRY_SIZE;
+
+    for (let i = 0; i < root.length && offset + DIR_ENTRY_SIZE <= bytes.length; i++) {
+        const entry = parseDirEntry(bytes, offset);
+        offset += DIR_ENTRY_SIZE;
+        if (!isFile(entry)) continue;
+        if (offset + entry.length > bytes.length) {
+            throw new Error(`${entry.name} runs past the end of the .psu file.`);
+        }
+        files.push({ name: entry.name, dataOffset: offset, data: bytes.slice(offset, offset + entry.length) });
+        offset += roundUp(entry.length, PSU_DATA_ALIGN);
+    }
+
+    return { kind: "psu", bytes, saves: [describeSave(root.name, files)] };
+}
+
+function writePsuFile(container, file, data) {
+    const bytes = container.bytes.slice();
+    bytes.set(data, file.dataOffset);
+    return bytes;
+}
+
+// -----------------
+// .max (Action Replay Max)
+// -----------------
+
+// Header: magic, CRC32, directory name, icon.sys title, compressed size
+// (+4), file count, uncompressed size; then the LZARI stream. The body is a
+// list of { u32 size, char name[32], data } padded so each header sits at
+// 8 bytes past a 16-byte boundary.
+function openMax(bytes) {
+    const view = dataView(bytes);
+    const dirName = readCString(bytes.subarray(0x10, 0x30));
+    const compressedSize = view.getUint32(0x50, true) - 4;
+    const fileCount = view.getUint32(0x54, true);
+    const length = view.getUint32(0x58, true);
+
+    const header = bytes.slice(0, MAX_HEADER_SIZE);
+    dataView(header).setUint32(0x0c, 0, true);
+    const compressed = bytes.subarray(MAX_HEADER_SIZE, MAX_HEADER_SIZE + compressedSize);
+    const crcOk = crc32(concatBytes(header, compressed)) === view.getUint32(0x0c, true);
+
+    const body = lzariDecode(compressed, length);
+    const bodyView = dataView(body);
+    const files = [];
+    let offset = 0;
+    for (let i = 0; i < fileCount; i++) {
+        if (offset + MAX_FILE_HEADER_SIZE > body.length) {
+            throw new Error("The .max file list is truncated.");
+        }
+        const size = bodyView.getUint32(offset, true);
+        const name = readCString(body.subarray(offset + 4, offset + MAX_FILE_HEADER_SIZE));
+        offset += MAX_FILE_HEADER_SIZE;
+        files.push({ name, data: body.slice(offset, offset + size) });
+        offset = roundUp(offset + size + 8, 16) - 8;
+    }
+
+    return { kind: "max", header: bytes.slice(0, MAX_HEADER_SIZE), crcOk, saves: [describeSave(dirName, files)] };
+}
+
+function writeMaxFile(container, file, data) {
+    const [save] = container.saves;
+    const parts = [];
+    let length = 0;
+    for (const f of save.files) {
+        const fileData = f === file ? data : f.data;
+        const fileHeader = new Uint8Array(MAX_FILE_HEADER_SIZE);
+        dataView(fileHeader).setUint32(0, fileData.length, true);
+        writeCString(fileHeader, 4, 32, f.name);
+        length += MAX_FILE_HEADER_SIZE + fileData.length;
+        const padding = roundUp(length + 8, 16) - 8 - length;
+        parts.push(fileHeader, fileData, new Uint8Array(padding));
+        length += padding;
+    }
+
+    const compressed = lzariEncode(concatBytes(...parts));
+    const header = container.header.slice();
+    const view = dataView(header);
+    view.setUint32(0x0c, 0, true);
+    view.setUint32(0x50, compressed.length + 4, true);
+    view.setUint32(0x54, save.files.length, true);
+    view.setUint32(0x58, length, true);
+    view.setUint32(0x0c, crc32(concatBytes(header, compressed)), true);
+
+    return concatBytes(header, compressed);
+}
+
+// -----------------
+// Public API
+// -----------------
+
+// Returns { kind, saves: [{ dirName, title, icon, files, dataFileName,
+// dataFileCandidates }] } plus the state needed to write files back.
+export function openPs2Container(bytes) {
+    const kind = detectPs2Container(bytes);
+    if (kind === "card") return openCard(bytes);
+    if (kind === "psu") return openPsu(bytes);
+    if (kind === "max") return openMax(bytes);
+    throw new Error("Not a PS2 memory card image, .psu or .max file.");
+}
+
+function findSaveFile(container, saveIndex, fileName) {
+    const save = container.saves[saveIndex];
+    const file = save?.files.find((f) => f.name === fileName);
+    if (!file) {
+        throw new Error(`${fileName} not found in ${save?.dirName ?? "the save"}.`);
+    }
+    return file;
+}
+
+export function getPs2SaveFile(container, saveIndex, fileName) {
+    return findSaveFile(container, saveIndex, fileName).data;
+}
+
+// Returns the whole container with one file replaced, in its original format
+export function writePs2SaveFile(container, saveIndex, fileName, data) {
+    const file = findSaveFile(container, saveIndex, fileName);
+    if (container.kind !== "max" && data.length !== file.data.length) {
+        throw new Error(
+            `Replacement for ${fileName} is ${data.length} bytes; it must stay ${file.data.length} bytes.`
+        );
+    }
+    if (container.kind === "card") return writeCardFile(container, file, data);
+    if (container.kind === "psu") return writePsuFile(container, file, data);
+    return writeMaxFile(container, file, data);
+}
@@ -0,0 +1,178 @@
+import { describe, expect, it } from "vitest";
+import { concatBytes, crc32 } from "./crypto";
+import { lzariEncode } from "./lzari";
+import {
+    detectPs2Container,
+    getPs2SaveFile,
+    openPs2Container,
+    writePs2SaveFile,
+} from "./ps2MemoryCard";
+
+const PAGE_SIZE = 512;
+const SPARE_SIZE = 16;
+const PAGES_PER_CLUSTER = 2;
+const CLUSTER_SIZE = PAGE_SIZE * PAGES_PER_CLUSTER;
+const ALLOC_OFFSET = 3;
+
+const DIR_NAME = "BASLUS-21829BAKU";
+const FILE_NAME = "BAKU";
+const FILE_SIZE = 1500;
+
+function fileData(fill) {
+    const data = new Uint8Array(FILE_SIZE);
+    for (let i = 0; i < data.length; i++) data[i] = (i * 7 + fill) & 0xff;
+    return data;
+}
+
+function dirEntry(mode, length, cluster, name) {
+    const entry = new Uint8Array(0x200);
+    const view = new DataView(entry.buffer);
+    view.setUint16(0, mode, true);
+    view.setUint32(4, length, true);
+    view.setUint32(0x10, cluster, true);
+    entry.set(new TextEncoder().encode(name), 0x40);
+    return entry;
+}
+
+const directory = (cluster, child) =>
+    concatBytes(dirEntry(0x8427, 3, cluster, "."), dirEntry(0xa426, 0, 0, ".."), child);
+
+// Nine clusters: superblock, indirect FAT, FAT, then six allocatable
+// clusters holding the root directory, the save directory and the file,
+// two clusters each.
+function buildCard(data, { ecc }) {
+    const clusters = Array.from({ length: 9 }, () => new Uint8Array(CLUSTER_SIZE));
+
+    const superblock = clusters[0];
+    const sv = new DataView(superblock.buffer);
+    superblock.set(new TextEncoder().encode("Sony PS2 Memory Card Format 1.2.0.0"));
+    sv.setUint16(0x28, PAGE_SIZE, true);
+    sv.setUint16(0x2a, PAGES_PER_CLUSTER, true);
+    sv.setUint32(0x30, clusters.length, true);
+    sv.setUint32(0x34, ALLOC_OFFSET, true);
+    sv.setUint32(0x3c, 0, true);
+    sv.setUint32(0x50, 1, true);
+
+    new DataView(clusters[1].buffer).setUint32(0, 2, true);
+    const fat = new DataView(clusters[2].buffer);
+    [0, 2, 4].forEach((first) => {
+        fat.setUint32(first * 4, 0x80000000 | (first + 1), true);
+        fat.setUint32((first + 1) * 4, 0xffffffff, true);
+    });
+
+    const place = (bytes, rel) => {
+        clusters[ALLOC_OFFSET + rel].set(bytes.subarray(0, CLUSTER_SIZE));
+        clusters[ALLOC_OFFSET + rel + 1].set(bytes.subarray(CLUSTER_SIZE));
+    };
+    place(directory(0, dirEntry(0x8427, 3, 2, DIR_NAME)), 0);
+    place(directory(2, dirEntry(0x8497, FILE_SIZE, 4, FILE_NAME)), 2);
+    place(data, 4);
+
+    const pages = concatBytes(...clusters);
+    if (!ecc) return pages;
+
+    const raw = new Uint8Array((pages.length / PAGE_SIZE) * (PAGE_SIZE + SPARE_SIZE));
+    for (let p = 0; p < pages.length / PAGE_SIZE; p++) {
+        raw.set(pages.subarray(p * PAGE_SIZE, (p + 1) * PAGE_SIZE), p * (PAGE_SIZE + SPARE_SIZE));
+    }
+    return raw;
+}
+
+function buildPsu(data) {
+    const pad = new Uint8Array(0x400 - (FILE_SIZE % 0x400));
+    return concatBytes(
+        dirEntry(0x8427, 3, 0, DIR_NAME),
+        dirEntry(0x8427, 0, 0, "."),
+        dirEntry(0xa426, 0, 0, ".."),
+        dirEntry(0x8497, FILE_SIZE, 0, FILE_NAME),
+        data,
+        pad
+    );
+}
+
+function buildMax(data) {
+    const fileHeader = new Uint8Array(36);
+    new DataView(fileHeader.buffer).setUint32(0, data.length, true);
+    fileHeader.set(new TextEncoder().encode(FILE_NAME), 4);
+    const length = 36 + data.length;
+    const padding = Math.ceil((length + 8) / 16) * 16 - 8 - length;
+    const body = concatBytes(fileHeader, data, new Uint8Array(padding));
+    const compressed = lzariEncode(body);
+
+    const header = new Uint8Array(0x5c);
+    const view = new DataView(header.buffer);
+    header.set(new TextEncoder().encode("Ps2PowerSave"));
+    header.set(new TextEncoder().encode(DIR_NAME), 0x10);
+    view.setUint32(0x50, compressed.length + 4, true);
+    view.setUint32(0x54, 1, true);
+    view.setUint32(0x58, body.length, true);
+    view.setUint32(0x0c, crc32(concatBytes(header, compressed)), true);
+    return concatBytes(header, compressed);
+}
+
+describe("PS2 containers", () => {
+    it("detects each container kind", () => {
+        expect(detectPs2Container(buildCard(fileData(0), { ecc: true }))).toBe("card");
+        expect(detectPs2Container(buildPsu(fileData(0)))).toBe("psu");
+        expect(detectPs2Container(buildMax(fileData(0)))).toBe("max");
+        expect(detectPs2Container(new Uint8Array(0x800))).toBe(null);
+    });
+
+    for (const ecc of [false, true]) {
+        it(`round-trips a file on a card image ${ecc ? "with" : "without"} ECC`, () => {
+            const card = openPs2Container(buildCard(fileData(0), { ecc }));
+            expect(card.saves).toHaveLength(1);
+            expect(card.saves[0].dirName).toBe(DIR_NAME);
+            expect(card.saves[0].dataFileName).toBe(FILE_NAME);
+            expect(getPs2SaveFile(card, 0, FILE_NAME)).toEqual(fileData(0));
+
+            const written = writePs2SaveFile(card, 0, FILE_NAME, fileData(1));
+            expect(written).toHaveLength(card.card.bytes.length);
+            expect(getPs2SaveFile(openPs2Container(written), 0, FILE_NAME)).toEqual(fileData(1));
+        });
+    }
+
+    it("writes the Hamming ECC of every rewritten page", () => {
+        const card = openPs2Container(buildCard(fileData(0), { ecc: true }));
+        const data = new Uint8Array(FILE_SIZE);
+        data[5] = 0x01;
+        const written = writePs2SaveFile(card, 0, FILE_NAME, data);
+
+        const rawPage = PAGE_SIZE + SPARE_SIZE;
+        const firstPage = (ALLOC_OFFSET + 4) * PAGES_PER_CLUSTER;
+        const spare = (page) => written.subarray(page * rawPage + PAGE_SIZE, (page + 1) * rawPage);
+
+        // One set bit at byte 5 of the first 128-byte chunk; the other
+        // chunks are blank.
+        expect(Array.from(spare(firstPage))).toEqual([
+            0x70, 0x05, 0x7a, 0x77, 0x7f, 0x7f, 0x77, 0x7f, 0x7f, 0x77, 0x7f, 0x7f, 0, 0, 0, 0,
+        ]);
+        for (let p = 1; p < 4; p++) {
+            expect(Array.from(spare(firstPage + p).subarray(0, 12))).toEqual(
+                Array(4).fill([0x77, 0x7f, 0x7f]).flat()
+            );
+        }
+    });
+
+    it("round-trips a .psu export", () => {
+        const psu = openPs2Container(buildPsu(fileData(0)));
+        expect(getPs2SaveFile(psu, 0, FILE_NAME)).toEqual(fileData(0));
+        const written = writePs2SaveFile(psu, 0, FILE_NAME, fileData(2));
+        expect(getPs2SaveFile(openPs2Container(written), 0, FILE_NAME)).toEqual(fileData(2));
+    });
+
+    it("round-trips a .max file and keeps its CRC valid", () => {
+        const max = openPs2Container(buildMax(fileData(0)));
+        expect(max.crcOk).toBe(true);
+        expect(getPs2SaveFile(max, 0, FILE_NAME)).toEqual(fileData(0));
+
+        const written = openPs2Container(writePs2SaveFile(max, 0, FILE_NAME, fileData(3)));
+        expect(written.crcOk).toBe(true);
+        expect(getPs2SaveFile(written, 0, FILE_NAME)).toEqual(fileData(3));
+    });
+
+    it("refuses to resize a file on a card", () => {
+        const card = openPs2Container(buildCard(fileData(0), { ecc: false }));
+        expect(() => writePs2SaveFile(card, 0, FILE_NAME, new Uint8Array(10))).toThrow(/must stay/);
+    });
+});
@@ -0,0 +1,508 @@
+// ps3Savedata.js
+// PS3 savedata folders: PARAM.SFO metadata, PARAM.PFD integrity tables and
+// the protected data file. The PFD layout and key derivation follow
+// pfdtool; all multi-byte PFD fields are big-endian, SFO fields little-endian.
+
+import {
+    aesCbcDecrypt,
+    aesCbcEncrypt,
+    aesEcbEncrypt,
+    bytesEqual,
+    concatBytes,
+    hexToBytes,
+    hmacSha1,
+} from "./crypto";
+import { writeZip } from "./zip";
+
+const textDecoder = new TextDecoder();
+
+// Folder files that are never the game's data file
+const SYSTEM_FILES = ["PARAM.SFO", "PARAM.PFD", "ICON0.PNG", "ICON1.PAM", "PIC1.PNG", "SND0.AT3"];
+
+// -----------------
+// PARAM.SFO
+// -----------------
+
+const SFO_MAGIC = 0x46535000; // "\0PSF"
+const SFO_FMT_UTF8_SPECIAL = 0x0004;
+const SFO_FMT_UTF8 = 0x0204;
+const SFO_FMT_INT32 = 0x0404;
+
+export function parseParamSfo(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 20 || view.getUint32(0, true) !== SFO_MAGIC) {
+        throw new Error("PARAM.SFO has an invalid header.");
+    }
+
+    const keyTableStart = view.getUint32(8, true);
+    const dataTableStart = view.getUint32(12, true);
+    const count = view.getUint32(16, true);
+
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+        const idx = 20 + i * 16;
+        const keyOffset = view.getUint16(idx, true);
+        const format = view.getUint16(idx + 2, true);
+        const length = view.getUint32(idx + 4, true);
+        const dataOffset = view.getUint32(idx + 12, true);
+
+        const keyStart = keyTableStart + keyOffset;
+        let keyEnd = keyStart;
+        while (keyEnd < bytes.length && bytes[keyEnd] !== 0) keyEnd++;
+        const key = textDecoder.decode(bytes.subarray(keyStart, keyEnd));
+
+        const start = dataTableStart + dataOffset;
+        const raw = bytes.subarray(start, start + length);
+
+        if (format === SFO_FMT_INT32) {
+            entries[key] = view.getUint32(start, true);
+        } else if (format === SFO_FMT_UTF8) {
+            const end = raw.indexOf(0);
+            entries[key] = textDecoder.decode(end === -1 ? raw : raw.subarray(0, end));
+        } else if (format === SFO_FMT_UTF8_SPECIAL && key !== "PARAMS") {
+            entries[key] = textDecoder.decode(raw).replace(/\0+$/, "");
+        } else {
+            entries[key] = raw.slice();
+        }
+    }
+
+    return {
+        entries,
+        title: entries.TITLE ?? "",
+        subtitle: entries.SUB_TITLE ?? "",
+        detail: entries.DETAIL ?? "",
+        accountId: typeof entries.ACCOUNT_ID === "string" ? entries.ACCOUNT_ID : "",
+        savedataDirectory: entries.SAVEDATA_DIRECTORY ?? "",
+    };
+}
+
+// -----------------
+// PARAM.PFD
+// -----------------
+
+const PFD_MAGIC = 0x50464442; // "PFDB"
+const PFD_HEADER_SIZE = 0x60;
+const PFD_ENTRY_SIZE = 0x110;
+const PFD_HASH_SIZE = 20;
+
+const SYSCON_MANAGER_KEY = hexToBytes("D413B89663E1FE9F75143D3BB4565274");
+const KEYGEN_KEY = hexToBytes("6B1ACEA246B745FD8F93763B920594CD53483B82");
+
+function readU64(view, offset) {
+    return view.getUint32(offset, false) * 2 ** 32 + view.getUint32(offset + 4, false);
+}
+
+export async function parseParamPfd(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < PFD_HEADER_SIZE || view.getUint32(4, false) !== PFD_MAGIC) {
+        throw new Error("PARAM.PFD has an invalid header.");
+    }
+
+    const version = readU64(view, 8);
+    if (version !== 3 && version !== 4) {
+        throw new Error(`Unsupported PARAM.PFD version ${version}.`);
+    }
+
+    const iv = bytes.slice(0x10, 0x20);
+    const signature = await aesCbcDecrypt(SYSCON_MANAGER_KEY, iv, bytes.subarray(0x20, 0x60));
+    const hashKey = signature.slice(40, 60);
+    const realHashKey = version === 4 ? await hmacSha1(KEYGEN_KEY, hashKey) : hashKey;
+
+    const hashTableOffset = PFD_HEADER_SIZE;
+    const capacity = readU64(view, hashTableOffset);
+    const numReserved = readU64(view, hashTableOffset + 8);
+    const numUsed = readU64(view, hashTableOffset + 16);
+    const hashTableSize = 24 + capacity * 8;
+
+    const buckets = [];
+    for (let i = 0; i < capacity; i++) {
+        buckets.push(readU64(view, hashTableOffset + 24 + i * 8));
+    }
+
+    const entryTableOffset = hashTableOffset + hashTableSize;
+    const entries = [];
+    for (let i = 0; i < numReserved; i++) {
+        const offset = entryTableOffset + i * PFD_ENTRY_SIZE;
+        const nameBytes = bytes.subarray(offset + 8, offset + 8 + 65);
+        const nameEnd = nameBytes.indexOf(0);
+        entries.push({
+            index: i,
+            offset,
+            nextIndex: readU64(view, offset),
+            fileName: textDecoder.decode(nameEnd === -1 ? nameBytes : nameBytes.subarray(0, nameEnd)),
+            fileSize: readU64(view, offset + 0x108),
+        });
+    }
+
+    const signatureTableOffset = entryTableOffset + numReserved * PFD_ENTRY_SIZE;
+
+    return {
+        bytes: bytes.slice(),
+        version,
+        iv,
+        bottomHash: signature.slice(0, 20),
+        topHash: signature.slice(20, 40),
+        hashKey,
+        realHashKey,
+        capacity,
+        numReserved,
+        numUsed,
+        buckets,
+        hashTableOffset,
+        hashTableSize,
+        entries: entries.filter((e) => e.index < numUsed),
+        signatureTableOffset,
+    };
+}
+
+function findPfdEntry(pfd, fileName) {
+    return pfd.entries.find((e) => e.fileName === fileName) ?? null;
+}
+
+async function computeBucketSignature(pfd, bucket) {
+    const parts = [];
+    let idx = pfd.buckets[bucket];
+    while (idx < pfd.numReserved) {
+        const offset = pfd.hashTableOffset + pfd.hashTableSize + idx * PFD_ENTRY_SIZE;
+        parts.push(pfd.bytes.subarray(offset + 8, offset + PFD_ENTRY_SIZE));
+        idx = readU64(new DataView(pfd.bytes.buffer), offset);
+    }
+    return hmacSha1(pfd.realHashKey, concatBytes(...parts));
+}
+
+async function computeTopHash(pfd) {
+    return hmacSha1(
+        pfd.realHashKey,
+        pfd.bytes.subarray(pfd.hashTableOffset, pfd.hashTableOffset + pfd.hashTableSize)
+    );
+}
+
+async function computeBottomHash(pfd) {
+    return hmacSha1(
+        pfd.realHashKey,
+        pfd.bytes.subarray(
+            pfd.signatureTableOffset,
+            pfd.signatureTableOffset + pfd.capacity * PFD_HASH_SIZE
+        )
+    );
+}
+
+export async function verifyParamPfd(pfd) {
+    const topOk = bytesEqual(await computeTopHash(pfd), pfd.topHash);
+    const bottomOk = bytesEqual(await computeBottomHash(pfd), pfd.bottomHash);
+
+    let signaturesOk = true;
+    for (let i = 0; i < pfd.capacity; i++) {
+        const offset = pfd.signatureTableOffset + i * PFD_HASH_SIZE;
+        const stored = pfd.bytes.subarray(offset, offset + PFD_HASH_SIZE);
+        if (!bytesEqual(await computeBucketSignature(pfd, i), stored)) {
+            signaturesOk = false;
+            break;
+        }
+    }
+
+    return { topOk, bottomOk, signaturesOk, ok: topOk && bottomOk && signaturesOk };
+}
+
+// -----------------
+// Protected files
+// -----------------
+
+// Each protected file has a 64-byte key in its PFD entry, encrypted with the
+// game's secure file ID. Files are encrypted per 16-byte block: the block is
+// AES-decrypted and XORed with the AES encryption of its block counter.
+
+async function getEntryKey(pfd, entry, secureFileId) {
+    const encrypted = pfd.bytes.subarray(entry.offset + 0x50, entry.offset + 0x90);
+    return aesCbcDecrypt(secureFileId, new Uint8Array(16), encrypted);
+}
+
+async function getCounterBlocks(fileKey, length) {
+    const counters = new Uint8Array(length);
+    const view = new DataView(counters.buffer);
+    for (let i = 0; i < length / 16; i++) {
+        view.setUint32(i * 16 + 4, i, false);
+    }
+    return aesEcbEncrypt(fileKey, counters);
+}
+
+export async function decryptProtectedFile(pfd, fileName, data, secureFileId) {
+    const entry = findPfdEntry(pfd, fileName);
+    if (!entry) {
+        throw new Error(`${fileName} has no PARAM.PFD entry.`);
+    }
+    if (data.length % 16 !== 0) {
+        throw new Error(`${fileName} is not block aligned; it does not look encrypted.`);
+    }
+
+    const fileKey = (await getEntryKey(pfd, entry, secureFileId)).subarray(0, 16);
+    const counters = await getCounterBlocks(fileKey, data.length);
+
+    // CBC with a zero IV gives D(C[i]) ^ C[i-1]; undo the chaining and apply
+    // the counter block instead.
+    const chained = await aesCbcDecrypt(fileKey, new Uint8Array(16), data);
+    const out = new Uint8Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        const prev = i >= 16 ? data[i - 16] : 0;
+        out[i] = chained[i] ^ prev ^ counters[i];
+    }
+    return out;
+}
+
+export async function encryptProtectedFile(pfd, fileName, data, secureFileId) {
+    const entry = findPfdEntry(pfd, fileName);
+    if (!entry) {
+        throw new Error(`${fileName} has no PARAM.PFD entry.`);
+    }
+
+    const fileKey = (await getEntryKey(pfd, entry, secureFileId)).subarray(0, 16);
+    const counters = await getCounterBlocks(fileKey, data.length);
+    const mixed = data.map((b, i) => b ^ counters[i]);
+    return aesEcbEncrypt(fileKey, mixed);
+}
+
+// An entry holds four HMAC-SHA1 hashes of its file. The first is keyed with
+// the entry key; pfdtool keys the others with the console ID, the disc hash
+// key and the authentication ID. An all-zero slot is unused.
+const PFD_ENTRY_HASHES = [
+    { offset: 0x90, key: null, label: "file" },
+    { offset: 0xa4, key: "consoleId", label: "console ID" },
+    { offset: 0xb8, key: "discHashKey", label: "disc hash key" },
+    { offset: 0xcc, key: "authenticationId", label: "authentication ID" },
+];
+
+function getEntryHash(pfd, entry, slot) {
+    const offset = entry.offset + slot.offset;
+    return pfd.bytes.subarray(offset, offset + PFD_HASH_SIZE);
+}
+
+function usedEntryHashes(pfd, entry) {
+    return PFD_ENTRY_HASHES.filter(
+        (slot) => !slot.key || getEntryHash(pfd, entry, slot).some((b) => b !== 0)
+    );
+}
+
+// The keys besides the secure file ID that the file's entry needs:
+// [{ key, label }] for each used console ID / disc hash / authentication slot
+export function getPfdHashKeyNeeds(pfd, fileName) {
+    const entry = findPfdEntry(pfd, fileName);
+    if (!entry) return [];
+    return usedEntryHashes(pfd, entry)
+        .filter((slot) => slot.key)
+        .map(({ key, label }) => ({ key, label }));
+}
+
+// Hex strings keyed like PFD_ENTRY_HASHES -> bytes; empty values are left out
+export function parsePfdHashKeys(hexKeys) {
+    const keys = {};
+    for (const { key, label } of PFD_ENTRY_HASHES.filter((slot) => slot.key)) {
+        const hex = hexKeys[key]?.trim();
+        if (!hex) continue;
+        keys[key] = hexToBytes(hex);
+        if (!keys[key].length) {
+            throw new Error(`The ${label} must be hex digits.`);
+        }
+    }
+    return keys;
+}
+
+// hashKeys: { consoleId, discHashKey, authenticationId } as bytes; each is
+// only needed when the entry uses that slot. A used slot without its key
+// does not verify.
+export async function verifyProtectedFile(pfd, fileName, data, secureFileId, hashKeys = {}) {
+    const entry = findPfdEntry(pfd, fileName);
+    if (!entry) return false;
+    const entryKey = await getEntryKey(pfd, entry, secureFileId);
+    for (const slot of usedEntryHashes(pfd, entry)) {
+        const key = slot.key ? hashKeys[slot.key] : entryKey;
+        if (!key || !bytesEqual(await hmacSha1(key, data), getEntryHash(pfd, entry, slot))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Rewrites every hash the data file's entry uses, its bucket signature and
+// the header hashes. Other entries (including PARAM.SFO) are untouched and
+// stay valid.
+export async function rebuildParamPfd(pfd, fileName, data, secureFileId, hashKeys = {}) {
+    const entry = findPfdEntry(pfd, fileName);
+    if (!entry) {
+        throw new Error(`${fileName} has no PARAM.PFD entry.`);
+    }
+
+    const next = { ...pfd, bytes: pfd.bytes.slice() };
+    const entryKey = await getEntryKey(pfd, entry, secureFileId);
+    for (const slot of usedEntryHashes(pfd, entry)) {
+        const key = slot.key ? hashKeys[slot.key] : entryKey;
+        if (!key) {
+            throw new Error(
+                `PARAM.PFD keeps a ${slot.label} hash of ${fileName}; it cannot be rebuilt without the ${slot.label}.`
+            );
+        }
+        next.bytes.set(await hmacSha1(key, data), entry.offset + slot.offset);
+    }
+
+    for (let bucket = 0; bucket < next.capacity; bucket++) {
+        const signature = await computeBucketSignature(next, bucket);
+        next.bytes.set(signature, next.signatureTableOffset + bucket * PFD_HASH_SIZE);
+    }
+
+    next.topHash = await computeTopHash(next);
+    next.bottomHash = await computeBottomHash(next);
+
+    const signature = new Uint8Array(64);
+    signature.set(next.bottomHash, 0);
+    signature.set(next.topHash, 20);
+    signature.set(next.hashKey, 40);
+    next.bytes.set(await aesCbcEncrypt(SYSCON_MANAGER_KEY, next.iv, signature), 0x20);
+
+    return next;
+}
+
+// -----------------
+// Savedata folder
+// -----------------
+
+function baseName(path) {
+    const parts = path.split(/[\\/]/);
+    return parts[parts.length - 1];
+}
+
+export function isPs3SavedataFolder(files) {
+    return files.some((f) => baseName(f.name).toUpperCase() === "PARAM.SFO");
+}
+
+function parseSecureFileId(secureFileIdHex) {
+    if (!secureFileIdHex) return null;
+    const secureFileId = hexToBytes(secureFileIdHex);
+    if (secureFileId.length !== 16) {
+        throw new Error("The secure file ID must be 16 bytes (32 hex digits).");
+    }
+    return secureFileId;
+}
+
+// files: [{ name, data }] where name may include the folder path. With the
+// secure file ID the data file is decrypted on load (see openPs3DataFile).
+export async function loadPs3Savedata(files, secureFileIdHex = "", hashKeys = {}) {
+    const byName = new Map();
+    for (const f of files) {
+        byName.set(baseName(f.name).toUpperCase(), { name: baseName(f.name), data: f.data });
+    }
+
+    const sfoFile = byName.get("PARAM.SFO");
+    if (!sfoFile) {
+        throw new Error("PARAM.SFO not found in the savedata folder.");
+    }
+    const sfo = parseParamSfo(sfoFile.data);
+
+    const pfdFile = byName.get("PARAM.PFD");
+    const pfd = pfdFile ? await parseParamPfd(pfdFile.data) : null;
+    const pfdStatus = pfd ? await verifyParamPfd(pfd) : null;
+
+    const dataFileCandidates = [...byName.values()]
+        .filter((f) => !SYSTEM_FILES.includes(f.name.toUpperCase()))
+        .sort((a, b) => b.data.length - a.data.length)
+        .map((f) => f.name);
+
+    if (!dataFileCandidates.length) {
+        throw new Error("No game data file found in the savedata folder.");
+    }
+
+    const folderName =
+        sfo.savedataDirectory ||
+        files.map((f) => f.name.split(/[\\/]/).slice(-2, -1)[0]).find(Boolean) ||
+        "SAVEDATA";
+
+    const savedata = {
+        folderName,
+        files: [...byName.values()],
+        sfo,
+        pfd,
+        pfdStatus,
+        dataFileName: dataFileCandidates[0],
+        dataFileCandidates,
+    };
+    return {
+        ...savedata,
+        ...(await openPs3DataFile(savedata, secureFileIdHex, savedata.dataFileName, hashKeys)),
+    };
+}
+
+export function getPs3DataFile(savedata, fileName = savedata.dataFileName) {
+    const file = savedata.files.find((f) => f.name === fileName);
+    if (!file) {
+        throw new Error(`${fileName} not found in the savedata folder.`);
+    }
+    return file.data;
+}
+
+// The data file's bytes to edit: decrypted when PARAM.PFD has an entry for
+// it and the secure file ID is given, as stored otherwise. Returns
+// { dataFileName, data, decrypted, fileHashOk }.
+export async function openPs3DataFile(
+    savedata,
+    secureFileIdHex,
+    fileName = savedata.dataFileName,
+    hashKeys = {}
+) {
+    const stored = getPs3DataFile(savedata, fileName);
+    const secureFileId = parseSecureFileId(secureFileIdHex);
+    if (!savedata.pfd || !secureFileId || !findPfdEntry(savedata.pfd, fileName)) {
+        return { dataFileName: fileName, data: stored, decrypted: false, fileHashOk: null };
+    }
+    return {
+        dataFileName: fileName,
+        data: await decryptProtectedFile(savedata.pfd, fileName, stored, secureFileId),
+        decrypted: true,
+        fileHashOk: await verifyProtectedFile(savedata.pfd, fileName, stored, secureFileId, hashKeys),
+    };
+}
+
+// Returns a ZIP of the folder with the edited data file and, when the secure
+// file ID is known, a re-encrypted data file and rebuilt PARAM.PFD.
+// hashKeys are passed on to rebuildParamPfd. A data file PARAM.PFD protects
+// is refused without the ID once edited: its old hashes would no longer
+// match and the console would reject the save.
+export async function exportPs3Savedata(savedata, dataBytes, secureFileIdHex, hashKeys = {}) {
+    const secureFileId = parseSecureFileId(secureFileIdHex);
+    const protectedFile = savedata.pfd && findPfdEntry(savedata.pfd, savedata.dataFileName);
+    if (
+        protectedFile &&
+        !secureFileId &&
+        !bytesEqual(dataBytes, getPs3DataFile(savedata, savedata.dataFileName))
+    ) {
+        throw new Error(
+            `${savedata.dataFileName} is protected by PARAM.PFD and was edited; enter the secure file ID so its hashes can be rebuilt.`
+        );
+    }
+
+    let dataFile = dataBytes;
+    let pfdBytes = savedata.pfd?.bytes ?? null;
+
+    if (savedata.pfd && secureFileId) {
+        dataFile = await encryptProtectedFile(
+            savedata.pfd,
+            savedata.dataFileName,
+            dataBytes,
+            secureFileId
+        );
+        const pfd = await rebuildParamPfd(
+            savedata.pfd,
+            savedata.dataFileName,
+            dataFile,
+            secureFileId,
+            hashKeys
+        );
+        pfdBytes = pfd.bytes;
+    }
+
+    const files = savedata.files.map((f) => {
+        let data = f.data;
+        if (f.name === savedata.dataFileName) data = dataFile;
+        if (f.name.toUpperCase() === "PARAM.PFD" && pfdBytes) data = pfdBytes;
+        return { name: `${savedata.folderName}/${f.name}`, data };
+    });
+
+    return writeZip(files);
+}
@@ -0,0 +1,256 @@
+import { describe, expect, it } from "vitest";
+import { aesCbcEncrypt, bytesToHex, hexToBytes, hmacSha1 } from "./crypto";
+import {
+    decryptProtectedFile,
+    encryptProtectedFile,
+    exportPs3Savedata,
+    getPfdHashKeyNeeds,
+    loadPs3Savedata,
+    parseParamPfd,
+    parseParamSfo,
+    parsePfdHashKeys,
+    rebuildParamPfd,
+    verifyParamPfd,
+    verifyProtectedFile,
+} from "./ps3Savedata";
+import { readZip } from "./zip";
+
+const SYSCON_MANAGER_KEY = hexToBytes("D413B89663E1FE9F75143D3BB4565274");
+const SECURE_FILE_ID = "00112233445566778899AABBCCDDEEFF";
+const DATA_FILE = "DATA.BIN";
+const FOLDER = "BLUS30219-SAVE00";
+
+const CAPACITY = 3;
+const RESERVED = 4;
+const ENTRY_SIZE = 0x110;
+
+function fileData(length, fill) {
+    const data = new Uint8Array(length);
+    for (let i = 0; i < data.length; i++) data[i] = (i * 5 + fill) & 0xff;
+    return data;
+}
+
+function buildSfo(entries) {
+    const encoder = new TextEncoder();
+    const keys = [];
+    const values = [];
+    let keyOffset = 0;
+    let dataOffset = 0;
+    const index = new Uint8Array(entries.length * 16);
+    const iv = new DataView(index.buffer);
+    entries.forEach(([key, value], i) => {
+        const keyBytes = encoder.encode(`${key}\0`);
+        const valueBytes = encoder.encode(`${value}\0`);
+        iv.setUint16(i * 16, keyOffset, true);
+        iv.setUint16(i * 16 + 2, 0x0204, true);
+        iv.setUint32(i * 16 + 4, valueBytes.length, true);
+        iv.setUint32(i * 16 + 8, valueBytes.length, true);
+        iv.setUint32(i * 16 + 12, dataOffset, true);
+        keys.push(keyBytes);
+        values.push(valueBytes);
+        keyOffset += keyBytes.length;
+        dataOffset += valueBytes.length;
+    });
+
+    const keyTableStart = 20 + index.length;
+    const dataTableStart = keyTableStart + keyOffset;
+    const bytes = new Uint8Array(dataTableStart + dataOffset);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, 0x46535000, true);
+    view.setUint32(4, 0x101, true);
+    view.setUint32(8, keyTableStart, true);
+    view.setUint32(12, dataTableStart, true);
+    view.setUint32(16, entries.length, true);
+    bytes.set(index, 20);
+    let ptr = keyTableStart;
+    for (const part of [...keys, ...values]) {
+        bytes.set(part, ptr);
+        ptr += part.length;
+    }
+    return bytes;
+}
+
+// A version 3 PFD with PARAM.SFO in bucket 0 and the data file in bucket 2.
+// Its hashes are left zeroed; rebuildParamPfd has to fill them in. The data
+// file's entry marks the extra hash slots in `usedSlots` as in use.
+async function buildPfd(usedSlots = []) {
+    const entryTable = 0x60 + 24 + CAPACITY * 8;
+    const bytes = new Uint8Array(entryTable + RESERVED * ENTRY_SIZE + CAPACITY * 20);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(4, 0x50464442, false);
+    view.setUint32(12, 3, false);
+    bytes.fill(0x24, 0x10, 0x20);
+
+    const signature = new Uint8Array(64);
+    signature.fill(0x99, 40, 60);
+    bytes.set(await aesCbcEncrypt(SYSCON_MANAGER_KEY, bytes.subarray(0x10, 0x20), signature), 0x20);
+
+    view.setUint32(0x64, CAPACITY, false);
+    view.setUint32(0x6c, RESERVED, false);
+    view.setUint32(0x74, 2, false);
+    [0, RESERVED, 1].forEach((first, bucket) => view.setUint32(0x7c + bucket * 8, first, false));
+
+    const entryKey = fileData(64, 0x30);
+    const encryptedKey = await aesCbcEncrypt(hexToBytes(SECURE_FILE_ID), new Uint8Array(16), entryKey);
+    ["PARAM.SFO", DATA_FILE].forEach((name, i) => {
+        const offset = entryTable + i * ENTRY_SIZE;
+        view.setUint32(offset + 4, RESERVED, false);
+        bytes.set(new TextEncoder().encode(name), offset + 8);
+        bytes.set(encryptedKey, offset + 0x50);
+    });
+    for (const slot of usedSlots) {
+        const hash = entryTable + ENTRY_SIZE + 0x90 + slot * 20;
+        bytes.fill(0xee, hash, hash + 20);
+    }
+    return bytes;
+}
+
+async function buildSavedata(plain, secureFileIdHex = "") {
+    const key = hexToBytes(SECURE_FILE_ID);
+    const pfd = await parseParamPfd(await buildPfd());
+    const encrypted = await encryptProtectedFile(pfd, DATA_FILE, plain, key);
+    const rebuilt = await rebuildParamPfd(pfd, DATA_FILE, encrypted, key);
+    return loadPs3Savedata(
+        [
+            { name: `${FOLDER}/PARAM.SFO`, data: buildSfo([["SAVEDATA_DIRECTORY", FOLDER], ["TITLE", "Bakugan"]]) },
+            { name: `${FOLDER}/PARAM.PFD`, data: rebuilt.bytes },
+            { name: `${FOLDER}/ICON0.PNG`, data: new Uint8Array(20000) },
+            { name: `${FOLDER}/${DATA_FILE}`, data: encrypted },
+        ],
+        secureFileIdHex
+    );
+}
+
+describe("PARAM.SFO", () => {
+    it("reads string entries", () => {
+        const sfo = parseParamSfo(buildSfo([["TITLE", "Bakugan"], ["SUB_TITLE", "Slot 1"]]));
+        expect(sfo.title).toBe("Bakugan");
+        expect(sfo.subtitle).toBe("Slot 1");
+    });
+});
+
+describe("PARAM.PFD", () => {
+    it("parses the header, hash table and entries", async () => {
+        const pfd = await parseParamPfd(await buildPfd());
+        expect(pfd.version).toBe(3);
+        expect(pfd.capacity).toBe(CAPACITY);
+        expect(pfd.entries.map((e) => e.fileName)).toEqual(["PARAM.SFO", DATA_FILE]);
+        expect(bytesToHex(pfd.hashKey)).toBe("99".repeat(20));
+        expect((await verifyParamPfd(pfd)).ok).toBe(false);
+    });
+
+    it("round-trips a protected file", async () => {
+        const pfd = await parseParamPfd(await buildPfd());
+        const key = hexToBytes(SECURE_FILE_ID);
+        const plain = fileData(0x400, 1);
+        const encrypted = await encryptProtectedFile(pfd, DATA_FILE, plain, key);
+        expect(encrypted).not.toEqual(plain);
+        expect(await decryptProtectedFile(pfd, DATA_FILE, encrypted, key)).toEqual(plain);
+    });
+
+    it("rebuilds the file hash, bucket signatures and header hashes", async () => {
+        const pfd = await parseParamPfd(await buildPfd());
+        const key = hexToBytes(SECURE_FILE_ID);
+        const encrypted = await encryptProtectedFile(pfd, DATA_FILE, fileData(0x400, 1), key);
+        const rebuilt = await parseParamPfd((await rebuildParamPfd(pfd, DATA_FILE, encrypted, key)).bytes);
+
+        expect(await verifyParamPfd(rebuilt)).toEqual({
+            topOk: true,
+            bottomOk: true,
+            signaturesOk: true,
+            ok: true,
+        });
+        expect(await verifyProtectedFile(rebuilt, DATA_FILE, encrypted, key)).toBe(true);
+    });
+
+    it("rebuilds every entry hash the data file uses", async () => {
+        const pfd = await parseParamPfd(await buildPfd([2]));
+        const key = hexToBytes(SECURE_FILE_ID);
+        const discHashKey = fileData(16, 7);
+        const encrypted = await encryptProtectedFile(pfd, DATA_FILE, fileData(0x400, 1), key);
+        await expect(rebuildParamPfd(pfd, DATA_FILE, encrypted, key)).rejects.toThrow(/disc hash key/);
+
+        const rebuilt = await parseParamPfd(
+            (await rebuildParamPfd(pfd, DATA_FILE, encrypted, key, { discHashKey })).bytes
+        );
+        const entry = rebuilt.entries.find((e) => e.fileName === DATA_FILE);
+        const slot = (i) => {
+            const hash = entry.offset + 0x90 + i * 20;
+            return rebuilt.bytes.subarray(hash, hash + 20);
+        };
+        expect(slot(2)).toEqual(await hmacSha1(discHashKey, encrypted));
+        expect(slot(1).every((b) => b === 0)).toBe(true);
+        expect(slot(3).every((b) => b === 0)).toBe(true);
+
+        expect((await verifyParamPfd(rebuilt)).ok).toBe(true);
+        expect(await verifyProtectedFile(rebuilt, DATA_FILE, encrypted, key, { discHashKey })).toBe(true);
+        expect(await verifyProtectedFile(rebuilt, DATA_FILE, encrypted, key)).toBe(false);
+    });
+
+    it("lists the extra keys an entry needs and parses them", async () => {
+        expect(getPfdHashKeyNeeds(await parseParamPfd(await buildPfd()), DATA_FILE)).toEqual([]);
+        const pfd = await parseParamPfd(await buildPfd([1, 3]));
+        expect(getPfdHashKeyNeeds(pfd, DATA_FILE)).toEqual([
+            { key: "consoleId", label: "console ID" },
+            { key: "authenticationId", label: "authentication ID" },
+        ]);
+
+        const keys = parsePfdHashKeys({ consoleId: "0011 2233", discHashKey: " ", authenticationId: "" });
+        expect(keys).toEqual({ consoleId: new Uint8Array([0x00, 0x11, 0x22, 0x33]) });
+        expect(() => parsePfdHashKeys({ consoleId: "xyz" })).toThrow(/console ID/);
+        expect(() => parsePfdHashKeys({ discHashKey: "abc" })).toThrow(/even number/);
+    });
+});
+
+describe("savedata folders", () => {
+    it("picks the data file and folder name", async () => {
+        const savedata = await buildSavedata(fileData(0x400, 1));
+        expect(savedata.folderName).toBe(FOLDER);
+        expect(savedata.dataFileName).toBe(DATA_FILE);
+        expect(savedata.sfo.title).toBe("Bakugan");
+        expect(savedata.decrypted).toBe(false);
+        expect(savedata.data).toEqual(savedata.files.find((f) => f.name === DATA_FILE).data);
+    });
+
+    it("decrypts the data file on load with the secure file ID", async () => {
+        const plain = fileData(0x400, 1);
+        const savedata = await buildSavedata(plain, SECURE_FILE_ID);
+        expect(savedata.decrypted).toBe(true);
+        expect(savedata.fileHashOk).toBe(true);
+        expect(savedata.data).toEqual(plain);
+    });
+
+    it("rejects a malformed secure file ID on load", async () => {
+        await expect(buildSavedata(fileData(0x400, 1), "0011")).rejects.toThrow(/16 bytes/);
+    });
+
+    it("exports a re-encrypted data file with a valid PARAM.PFD", async () => {
+        const savedata = await buildSavedata(fileData(0x400, 1));
+        const edited = fileData(0x400, 2);
+        const files = await readZip(await exportPs3Savedata(savedata, edited, SECURE_FILE_ID));
+        expect(files.map((f) => f.name).sort()).toEqual(
+            ["ICON0.PNG", "PARAM.PFD", "PARAM.SFO", DATA_FILE].map((n) => `${FOLDER}/${n}`).sort()
+        );
+
+        const pfd = await parseParamPfd(files.find((f) => f.name.endsWith("PARAM.PFD")).data);
+        const data = files.find((f) => f.name.endsWith(DATA_FILE)).data;
+        const key = hexToBytes(SECURE_FILE_ID);
+        expect((await verifyParamPfd(pfd)).ok).toBe(true);
+        expect(await verifyProtectedFile(pfd, DATA_FILE, data, key)).toBe(true);
+        expect(await decryptProtectedFile(pfd, DATA_FILE, data, key)).toEqual(edited);
+    });
+
+    it("exports an unchanged data file as-is without a secure file ID", async () => {
+        const savedata = await buildSavedata(fileData(0x400, 1));
+        const files = await readZip(await exportPs3Savedata(savedata, savedata.data, ""));
+        expect(files.find((f) => f.name.endsWith(DATA_FILE)).data).toEqual(savedata.data);
+        expect(files.find((f) => f.name.endsWith("PARAM.PFD")).data).toEqual(savedata.pfd.bytes);
+    });
+
+    it("refuses an edited protected data file without a secure file ID", async () => {
+        const savedata = await buildSavedata(fileData(0x400, 1));
+        await expect(exportPs3Savedata(savedata, fileData(0x400, 3), "")).rejects.toThrow(
+            /secure file ID/
+        );
+    });
+});
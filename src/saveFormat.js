@@ -5,92 +5,25 @@ import {
     CARDS,
     STYLING_FIELDS,
     OPPONENT_NAMES,
+    getStylingOptions,
 } from "./constants";
+import { FORMAT_CONFIGS, LAYOUT_INDEXES, SAVE_LAYOUT } from "./saveLayout";
 
-// -----------------
-// Platform configs
-// -----------------
-
-const FORMAT_CONFIGS = {
-    ps3: {
-        saveSize: null,
-        baseOffset: 227,
-        cardBaseOffset: -48,
-        playerNameOffset: 0x00C5,
-        stylingOffset: 0x31BF,
-        deckOffsets: [0x2908, 0x2954],
-        wordEndian: "big",
-        deckNameBackOffset: 39,
-        bakuganUsageBase: 0x2B81,
-        statsOffsets: {
-            rankingPoints: 0x2AAD,
-            bakuganPoints: 0x2AB1,
-            battles: 0x2AB7,
-            wins: 0x2AB9,
-            losses: 0x2ABB,
-            sphereAttacks: 0x2ABF,
-            doubleStands: 0x2AC1,
-            oneVsOne: 0x2AC3,
-            battleRoyale: 0x2AC5,
-            tagTeam: 0x2AC7,
-            opponentWins: 0x2ACA,
-            attributeUsageBase: 0x2B75,
-        },
-    },
-    wii: {
-        saveSize: 13952,
-        baseOffset: 275,
-        cardBaseOffset: 0,
-        playerNameOffset: 0x00F5,
-        stylingOffset: 0x31EF,
-        deckOffsets: [0x2938, 0x2984],
-        wordEndian: "big",
-        deckNameBackOffset: 39,
-        bakuganUsageBase: null,
-        statsOffsets: null,
-    },
-    ps2: {
-        saveSize: 13920,
-        baseOffset: 2336,
-        cardBaseOffset: 2064,
-        playerNameOffset: 0x0904,
-        stylingOffset: 0x39FE,
-        deckOffsets: [0x3148, 0x3194],
-        wordEndian: "little",
-        deckNameBackOffset: 40,
-        bakuganUsageBase: null,
-        statsOffsets: null,
-    },
-    x360: {
-        saveSize: 13952,
-        baseOffset: 319,
-        cardBaseOffset: 44,
-        playerNameOffset: 0x0121,
-        stylingOffset: 0x321B,
-        deckOffsets: [0x2964, 0x29B0],
-        wordEndian: "big",
-        deckNameBackOffset: 39,
-        bakuganUsageBase: null,
-        statsOffsets: null,
-    },
-};
+export { SAVE_LAYOUT };
 
 export const PLATFORMS = ["ps3", "wii", "x360", "ps2"];
 
+export function getSlotCount(platform) {
+    return FORMAT_CONFIGS[platform]?.slotCount ?? 1;
+}
+
 // -----------------
 // Core config
 // -----------------
 
-const BAKUGAN_BLOCK_SIZE = 120;
-const ATTRIBUTE_BLOCK_SIZE = 20;
-const ENTRY_SIZE = 14;
-
-const PLAYER_NAME_MAX_CHARS = 8;
-const STYLING_LENGTH = 45;
-
-// Deck encoding
-const DECK_LENGTH = 36;
-const DECK_CARD_BASE_ID = 10232; // 0x27F8
+const PLAYER_NAME_MAX_CHARS = SAVE_LAYOUT.playerName.fields[0].length;
+const STYLING_LENGTH = SAVE_LAYOUT.styling.size;
+const DECK_LENGTH = SAVE_LAYOUT.deck.size;
 
 // -------------
 // Lists & maps
@@ -99,13 +32,6 @@ const DECK_CARD_BASE_ID = 10232; // 0x27F8
 export const bakuganList = [...BAKUGAN].sort((a, b) => a.id - b.id);
 export const attributeList = [...ATTRIBUTES].sort((a, b) => a.id - b.id);
 
-const bakuganNameById = Object.fromEntries(
-    bakuganList.map(({ id, name }) => [id, name])
-);
-const attributeNameById = Object.fromEntries(
-    attributeList.map(({ id, name }) => [id, name])
-);
-
 export const CARD_TYPES = ["Gold", "Silver", "Bronze", "Red", "Green", "Blue"];
 
 export const cardsByType = CARD_TYPES.map((type) => ({
@@ -119,52 +45,43 @@ export const cardList = cardsByType.flatMap((g) => g.cards);
 // Save context
 // -----------------
 
-export function getSaveContext(platform, saveSlot = 0) {
+// Numbers shift with the slot; arrays and objects of offsets shift element-wise
+function shiftOffsets(value, shift) {
+    if (value == null) return null;
+    if (typeof value === "number") return value + shift;
+    if (Array.isArray(value)) return value.map((v) => shiftOffsets(v, shift));
+    return Object.fromEntries(
+        Object.entries(value).map(([k, v]) => [k, shiftOffsets(v, shift)])
+    );
+}
+
+// `offsetOverrides` replaces whole anchors of the slot-0 config (used for
+// experimental mappings confirmed from offset inference).
+export function getSaveContext(platform, saveSlot = 0, offsetOverrides = null) {
     const cfg = FORMAT_CONFIGS[platform];
     if (!cfg) {
         throw new Error(`Unknown platform: ${platform}`);
     }
 
     let slot = saveSlot || 0;
-    if (platform === "ps3") slot = 0;
-    if (platform === "wii" || platform === "ps2" || platform === "x360") {
-        if (slot < 0) slot = 0;
-        if (slot > 3) slot = 3;
-    }
+    if (slot < 0) slot = 0;
+    if (slot > cfg.slotCount - 1) slot = cfg.slotCount - 1;
 
     const shift = cfg.saveSize ? cfg.saveSize * slot : 0;
-
-    const baseOffset = cfg.baseOffset + shift;
-    const cardBaseOffset = cfg.cardBaseOffset + shift;
-    const playerNameOffset = cfg.playerNameOffset + shift;
-    const stylingOffset = cfg.stylingOffset + shift;
-    const deckOffsets = cfg.deckOffsets.map((o) => o + shift);
-    const statsOffsets = cfg.statsOffsets
-        ? Object.fromEntries(
-            Object.entries(cfg.statsOffsets).map(([k, v]) => [k, v + shift])
-        )
-        : null;
+    const offsets = shiftOffsets({ ...cfg.offsets, ...offsetOverrides }, shift);
 
     const deckNameOffsets =
-        cfg.deckNameBackOffset != null
-            ? deckOffsets.map((o) => o - cfg.deckNameBackOffset)
+        cfg.deckNameBackOffset != null && offsets.deckOffsets
+            ? offsets.deckOffsets.map((o) => o - cfg.deckNameBackOffset)
             : null;
 
-    const bakuganUsageBase =
-        cfg.bakuganUsageBase != null ? cfg.bakuganUsageBase + shift : null;
-
     return {
         platform,
         slot,
-        baseOffset,
-        cardBaseOffset,
-        playerNameOffset,
-        stylingOffset,
-        deckOffsets,
+        ...offsets,
         deckNameOffsets,
-        bakuganUsageBase,
         wordEndian: cfg.wordEndian || "big",
-        statsOffsets,
+        experimental: Object.keys(offsetOverrides ?? {}),
     };
 }
 
@@ -223,121 +140,500 @@ function writeU24(bytes, offset, value, ctx) {
     }
 }
 
-export function parseSaveFile(buffer) {
+// Unsigned word of any width up to 4 bytes, in the context's endianness
+function readWord(bytes, offset, width, ctx) {
+    let v = 0;
+    for (let i = 0; i < width; i++) {
+        const idx = ctx.wordEndian === "little" ? offset + width - 1 - i : offset + i;
+        v = v * 256 + bytes[idx];
+    }
+    return v >>> 0;
+}
+
+function writeWord(bytes, offset, width, value, ctx) {
+    let v = value >>> 0;
+    for (let i = width - 1; i >= 0; i--) {
+        const idx = ctx.wordEndian === "little" ? offset + width - 1 - i : offset + i;
+        bytes[idx] = v & 0xff;
+        v = Math.floor(v / 256);
+    }
+}
+
+function clampByte(n) {
+    if (Number.isNaN(n)) return 0;
+    return Math.max(0, Math.min(255, n | 0));
+}
+
+// Names/deck names: [char, 0x00] pairs, terminated by a 0x00 char
+function readChar16(bytes, offset, length) {
+    const chars = [];
+    for (let i = 0; i < length; i++) {
+        const charByte = bytes[offset + i * 2];
+        if (charByte === 0x00) break;
+        chars.push(String.fromCharCode(charByte));
+    }
+    return chars.join("");
+}
+
+function writeChar16(bytes, offset, length, text) {
+    const safeText = (text || "").slice(0, length);
+    for (let i = 0; i < length; i++) {
+        const idx = offset + i * 2;
+        let charCode = 0;
+        if (i < safeText.length) {
+            const c = safeText.charCodeAt(i);
+            charCode = c >= 0x20 && c <= 0x7e ? c : 0x3f; // '?'
+        }
+        bytes[idx] = charCode;
+        bytes[idx + 1] = 0x00; // padding
+    }
+}
+
+// Without a platform only the raw bytes are returned; with one, the slot's
+// full save model (see "Save model" below).
+export function parseSaveFile(buffer, platform = null, saveSlot = 0, offsetOverrides = null) {
     const bytes = new Uint8Array(buffer);
-    return { buffer, bytes };
+    if (!platform) {
+        return { buffer, bytes };
+    }
+    const ctx = getSaveContext(platform, saveSlot, offsetOverrides);
+    return {
+        buffer,
+        bytes,
+        platform,
+        slot: ctx.slot,
+        offsetOverrides,
+        ...readSaveModel(bytes, ctx),
+    };
 }
 
-export function serializeSaveFile(parsed) {
-    if (!parsed || !parsed.buffer) {
+export function serializeSaveFile(model) {
+    if (!model || !model.buffer) {
         throw new Error("Nothing to serialize");
     }
-    return parsed.buffer;
+    if (model.platform) {
+        const ctx = getSaveContext(model.platform, model.slot, model.offsetOverrides);
+        writeSaveModel(model.bytes, ctx, model);
+        updateChecksums(model.bytes, model.platform, model.slot);
+    }
+    return model.buffer;
 }
 
 export function getBakuganOffset(ctx, bakuganId, attributeId) {
-    return (
-        ctx.baseOffset +
-        bakuganId * BAKUGAN_BLOCK_SIZE +
-        attributeId * ATTRIBUTE_BLOCK_SIZE
-    );
+    return sectionAnchor(ctx, SAVE_LAYOUT.bakugan, {}, { bakuganId, attributeId });
 }
 
-// ---------------------
-// Bakugan entry parsing
-// ---------------------
+// -----------------
+// Layout engine
+// -----------------
 
-export function readBakuganEntry(bytes, ctx, bakuganId, attributeId) {
-    const offset = getBakuganOffset(ctx, bakuganId, attributeId);
+// Value codecs for SAVE_LAYOUT field types (see saveLayout.js)
+const CODECS = {
+    u8: {
+        width: () => 1,
+        read: (bytes, offset) => bytes[offset],
+        write: (bytes, offset, value) => {
+            bytes[offset] = clampByte(value);
+        },
+    },
+    u16: {
+        width: () => 2,
+        read: (bytes, offset, ctx) => readU16(bytes, offset, ctx),
+        write: (bytes, offset, value, ctx) => writeU16(bytes, offset, value ?? 0, ctx),
+    },
+    u24: {
+        width: () => 3,
+        read: (bytes, offset, ctx) => readU24(bytes, offset, ctx),
+        write: (bytes, offset, value, ctx) => writeU24(bytes, offset, value ?? 0, ctx),
+    },
+    flag: {
+        width: () => 1,
+        read: (bytes, offset) => bytes[offset] !== 0,
+        write: (bytes, offset, value) => {
+            bytes[offset] = value ? 1 : 0;
+        },
+    },
+    char16: {
+        width: (field) => field.length * 2,
+        read: (bytes, offset, ctx, field) => readChar16(bytes, offset, field.length),
+        write: (bytes, offset, value, ctx, field) => writeChar16(bytes, offset, field.length, value),
+    },
+    bakuganSlot: {
+        width: () => 2,
+        read: (bytes, offset, ctx) => {
+            const v = readU16(bytes, offset, ctx);
+            if (v === 0xffff) return { bakuganId: null, attributeId: null };
+            return { bakuganId: Math.floor(v / 6), attributeId: v % 6 };
+        },
+        write: (bytes, offset, slot, ctx) => {
+            const empty = !slot || slot.bakuganId == null || slot.attributeId == null;
+            writeU16(bytes, offset, empty ? 0xffff : 6 * slot.bakuganId + slot.attributeId, ctx);
+        },
+        domainValue: (slot) => slot.bakuganId,
+    },
+    cardSlot: {
+        width: () => 2,
+        read: (bytes, offset, ctx, field) => {
+            const v = readU16(bytes, offset, ctx);
+            return { cardId: v === 0xffff ? null : v + field.base };
+        },
+        write: (bytes, offset, slot, ctx, field) => {
+            const empty = !slot || slot.cardId == null;
+            writeU16(bytes, offset, empty ? 0xffff : slot.cardId - field.base, ctx);
+        },
+        domainValue: (slot) => slot.cardId,
+    },
+};
 
-    if (offset + ENTRY_SIZE > bytes.length) {
+// Start of a field (or of the section, for a field without `at`), or null
+// when the platform does not map it
+function sectionAnchor(ctx, section, field, index) {
+    let base = ctx[section.anchor];
+    if (base != null && section.list) base = base[index[section.list]];
+    if (base != null && field.at) base = base[field.at];
+    if (base == null) return null;
+    for (const { name, stride } of section.index ?? []) {
+        base += (index[name] ?? 0) * stride;
+    }
+    return base + (field.offset ?? 0);
+}
+
+function elementOffsets(field, start) {
+    const codec = CODECS[field.type];
+    const stride = field.stride ?? codec.width(field);
+    return Array.from({ length: field.count ?? 1 }, (_, i) => start + i * stride);
+}
+
+function checkRange(bytes, section, start, length) {
+    if (start < 0 || start + length > bytes.length) {
         throw new Error(
-            `Entry at offset ${offset} out of range (file size: ${bytes.length})`
+            `${section.label} out of range (offset ${start}, length ${length}, file size ${bytes.length})`
         );
     }
+}
+
+function resolveSection(bytes, ctx, sectionKey, index) {
+    const section = SAVE_LAYOUT[sectionKey];
+    if (!section) {
+        throw new Error(`Unknown layout section: ${sectionKey}`);
+    }
+    if (ctx[section.anchor] == null) {
+        throw new Error(`${section.label} is not mapped for this platform yet.`);
+    }
+    const base = sectionAnchor(ctx, section, {}, index);
+    if (section.list && base == null) {
+        throw new Error(`Invalid ${section.list} ${index[section.list]}`);
+    }
+    if (section.size != null) {
+        checkRange(bytes, section, base, section.size);
+    }
+    return { section, base };
+}
+
+// Decodes every non-fixed field of one section instance. `index` supplies
+// the section's list/index values, e.g. { bakuganId, attributeId }.
+export function readLayoutSection(bytes, ctx, sectionKey, index = {}) {
+    const { section } = resolveSection(bytes, ctx, sectionKey, index);
+    const out = {};
+
+    for (const field of section.fields) {
+        if (field.fixed != null) continue;
+        const start = sectionAnchor(ctx, section, field, index);
+        if (start == null) continue;
+
+        const codec = CODECS[field.type];
+        const offsets = elementOffsets(field, start);
+        const last = offsets[offsets.length - 1];
+        checkRange(bytes, section, start, last + codec.width(field) - start);
+
+        const values = offsets.map((o) => codec.read(bytes, o, ctx, field));
+        out[field.key] = field.count != null ? values : values[0];
+    }
+
+    return out;
+}
+
+// Encodes the fields present in `values` (missing keys and array elements
+// keep their bytes) and rewrites fixed filler.
+export function writeLayoutSection(bytes, ctx, sectionKey, values, index = {}) {
+    const { section, base } = resolveSection(bytes, ctx, sectionKey, index);
+
+    for (const field of section.fields) {
+        const start = sectionAnchor(ctx, section, field, index);
+        if (start == null) continue;
+
+        const codec = CODECS[field.type];
+        const width = codec.width(field);
+        const offsets = elementOffsets(field, start);
+        const last = offsets[offsets.length - 1];
+        checkRange(bytes, section, start, last + width - start);
+
+        const value = field.fixed != null ? field.fixed : values[field.key];
+        if (value === undefined) continue;
+
+        offsets.forEach((offset, i) => {
+            const element = field.count != null && field.fixed == null ? value?.[i] : value;
+            if (element === undefined) return;
+            codec.write(bytes, offset, element, ctx, field);
+
+            const pad = offset + width;
+            if (field.pad != null && (section.size == null || pad < base + section.size)) {
+                bytes[pad] = field.pad;
+            }
+        });
+    }
+}
+
+// Every value an index name can take in the current context
+function indexValues(ctx, name) {
+    if (!LAYOUT_INDEXES[name]) {
+        throw new Error(`Unknown layout index: ${name}`);
+    }
+    return LAYOUT_INDEXES[name].values(ctx);
+}
+
+function indexLabel(name, value) {
+    return LAYOUT_INDEXES[name]?.label(value) ?? String(value);
+}
+
+// Calls visit({ sectionKey, section, field, index, element, offset, width,
+// label }) for every mapped field element that lies inside the file.
+function forEachLayoutElement(ctx, fileLength, visit, sectionKeys = Object.keys(SAVE_LAYOUT)) {
+    for (const sectionKey of sectionKeys) {
+        const section = SAVE_LAYOUT[sectionKey];
+        if (ctx[section.anchor] == null) continue;
+
+        const names = [
+            ...(section.list ? [section.list] : []),
+            ...(section.index ?? []).map((i) => i.name),
+        ];
+        const combos = names.reduce(
+            (acc, name) => acc.flatMap((c) => indexValues(ctx, name).map((v) => ({ ...c, [name]: v }))),
+            [{}]
+        );
+
+        for (const index of combos) {
+            const where = names.map((name) => indexLabel(name, index[name]));
+            for (const field of section.fields) {
+                const start = sectionAnchor(ctx, section, field, index);
+                if (start == null) continue;
+                const width = CODECS[field.type].width(field);
+
+                elementOffsets(field, start).forEach((offset, element) => {
+                    if (offset < 0 || offset + width > fileLength) return;
+                    const name = field.count != null ? `${field.label} ${element + 1}` : field.label;
+                    visit({
+                        sectionKey,
+                        section,
+                        field,
+                        index,
+                        element,
+                        offset,
+                        width,
+                        label: [section.label, ...where, name].join(" · "),
+                    });
+                });
+            }
+        }
+    }
+}
+
+// Short display form of a decoded element, for tooltips
+function describeFieldValue(field, value) {
+    switch (field.type) {
+        case "bakuganSlot":
+            return value.bakuganId == null
+                ? "empty"
+                : `${indexLabel("bakuganId", value.bakuganId)} (${indexLabel("attributeId", value.attributeId)})`;
+        case "cardSlot":
+            return value.cardId == null ? "empty" : indexLabel("cardId", value.cardId);
+        case "char16":
+            return `"${value}"`;
+        case "flag":
+            return value ? "set" : "clear";
+        default:
+            return `${value} (0x${value.toString(16).toUpperCase()})`;
+    }
+}
+
+// Byte ranges of every known field, for hex-viewer annotations. `path`
+// names the field by its config anchor where it has one (statsOffsets.wins);
+// `index` is the section instance (e.g. { bakuganId, attributeId }). With
+// `bytes`, each annotation also carries its decoded `value` as text.
+export function getFieldAnnotations(ctx, fileLength, bytes = null) {
+    const annotations = [];
+    forEachLayoutElement(ctx, fileLength, ({ sectionKey, section, field, index, offset, width, label }) => {
+        annotations.push({
+            start: offset,
+            end: offset + width,
+            section: sectionKey,
+            field: field.key,
+            path: field.at ? `${section.anchor}.${field.at}` : `${sectionKey}.${field.key}`,
+            tab: section.tab,
+            index,
+            label,
+            value: bytes ? describeFieldValue(field, CODECS[field.type].read(bytes, offset, ctx, field)) : null,
+        });
+    });
+    return annotations;
+}
 
-    const id = bytes[offset + 0];
-    const attribute = bytes[offset + 4];
+function describeDomain(field) {
+    if (field.fixed != null) return `0x${field.fixed.toString(16).toUpperCase()}`;
+    if (field.domain.values) return "a known id";
+    return `${field.domain.min}–${field.domain.max}`;
+}
 
-    // Power: 2 bytes, big-endian
-    const power = readU16(bytes, offset + 5, ctx);
+// Decodes one element and tests it against the field's domain or fixed
+// value: { value, ok }, with ok null when there is nothing to check (no
+// domain, or an empty slot).
+function checkElement(bytes, ctx, field, offset) {
+    const codec = CODECS[field.type];
+    const decoded = codec.read(bytes, offset, ctx, field);
+    const value = codec.domainValue ? codec.domainValue(decoded) : decoded;
+    if ((!field.domain && field.fixed == null) || value == null) {
+        return { value, ok: null };
+    }
 
-    const speed = bytes[offset + 8];
-    const defense = bytes[offset + 9];
-    const acceleration = bytes[offset + 10];
-    const endurance = bytes[offset + 11];
-    const jump = bytes[offset + 12];
-    const level = bytes[offset + 13];
+    let ok;
+    if (field.fixed != null) ok = value === field.fixed;
+    else if (field.domain.values) ok = field.domain.values.includes(value);
+    else ok = value >= field.domain.min && value <= field.domain.max;
+    return { value, ok };
+}
+
+// Decoded values that fall outside their field's domain (or filler bytes
+// that are not their fixed value).
+export function validateSave(bytes, ctx) {
+    const problems = [];
+    forEachLayoutElement(ctx, bytes.length, ({ field, offset, label }) => {
+        const { value, ok } = checkElement(bytes, ctx, field, offset);
+        if (ok === false) {
+            problems.push({ offset, label, value, expected: describeDomain(field) });
+        }
+    });
+    return problems;
+}
+
+// ---------------------
+// Bakugan entry parsing
+// ---------------------
+
+export function readBakuganEntry(bytes, ctx, bakuganId, attributeId) {
+    const offset = getBakuganOffset(ctx, bakuganId, attributeId);
+    const raw = readLayoutSection(bytes, ctx, "bakugan", { bakuganId, attributeId });
 
     return {
         offset,
         bakuganId,
-        bakuganName: bakuganNameById[bakuganId] ?? `ID ${bakuganId}`,
+        bakuganName: indexLabel("bakuganId", bakuganId),
         attributeId,
-        attributeName: attributeNameById[attributeId] ?? `Attr ${attributeId}`,
-        raw: {
-            id,
-            attribute,
-            power,
-            speed,
-            defense,
-            acceleration,
-            endurance,
-            jump,
-            level,
-        },
+        attributeName: indexLabel("attributeId", attributeId),
+        raw,
     };
 }
 
 export function writeBakuganEntry(bytes, ctx, bakuganId, attributeId, raw) {
-    const offset = getBakuganOffset(ctx, bakuganId, attributeId);
+    writeLayoutSection(
+        bytes,
+        ctx,
+        "bakugan",
+        { ...raw, id: bakuganId ?? 0, attribute: attributeId ?? 0 },
+        { bakuganId, attributeId }
+    );
+}
 
-    if (offset + ENTRY_SIZE > bytes.length) {
-        throw new Error(
-            `Entry at offset ${offset} out of range (file size: ${bytes.length})`
-        );
-    }
+// -------------
+// Collection
+// -------------
+
+// Known (not `unknown`) fields of a Bakugan block; granting and revoking
+// only ever touch these.
+const knownEntryFields = SAVE_LAYOUT.bakugan.fields.filter((f) => !f.unknown);
+
+// A variant is in the collection when its block names itself (the id and
+// attribute bytes that writeBakuganEntry fills in). Blocks of variants the
+// player never got have those fields zero (clearSlot and revokeBakugan
+// leave them so), which only matters for Dragonoid/Pyrus (0, 0): that one
+// is owned when any known field is set.
+export function isBakuganOwned(entry) {
+    const { raw } = entry;
+    if (raw.id !== entry.bakuganId || raw.attribute !== entry.attributeId) return false;
+    if (entry.bakuganId !== 0 || entry.attributeId !== 0) return true;
+    return knownEntryFields.some((f) => raw[f.key] !== 0);
+}
+
+const DEFAULT_ENTRY_STATS = {
+    power: 300,
+    speed: 10,
+    defense: 10,
+    acceleration: 10,
+    endurance: 10,
+    jump: 10,
+    level: 1,
+};
 
-    bytes[offset + 0] = bakuganId ?? 0;
-    bytes[offset + 4] = attributeId ?? 0;
+// A granted variant copies the power and stats of an owned variant of the
+// same Bakugan (attributes share base stats), or gets DEFAULT_ENTRY_STATS;
+// either way it starts at level 1. Unknown bytes of the block are kept.
+export function grantBakugan(bytes, ctx, bakuganId, attributeId) {
+    const sibling = attributeList
+        .map((a) => readBakuganEntry(bytes, ctx, bakuganId, a.id))
+        .find((e) => e.attributeId !== attributeId && isBakuganOwned(e));
+    const raw = Object.fromEntries(
+        Object.entries(DEFAULT_ENTRY_STATS).map(([key, value]) => [
+            key,
+            key === "level" ? value : sibling?.raw[key] ?? value,
+        ])
+    );
+    writeBakuganEntry(bytes, ctx, bakuganId, attributeId, raw);
+}
+
+// Deck slots holding this variant: [{ deckIndex, slot }]
+export function findBakuganInDecks(bytes, ctx, bakuganId, attributeId) {
+    const uses = [];
+    ctx.deckOffsets.forEach((_, deckIndex) => {
+        readDeck(bytes, ctx, deckIndex).bakuganSlots.forEach((s, slot) => {
+            if (s.bakuganId === bakuganId && s.attributeId === attributeId) {
+                uses.push({ deckIndex, slot });
+            }
+        });
+    });
+    return uses;
+}
 
-    const power = raw.power ?? 0;
-    writeU16(bytes, offset + 5, power, ctx);
+// Zeroes the variant's known fields; unknown bytes are kept. A variant
+// still used in a deck is refused unless `removeFromDecks` is set, in which
+// case it is taken out of those decks first (the remaining Bakugan move up).
+export function revokeBakugan(bytes, ctx, bakuganId, attributeId, removeFromDecks = false) {
+    const uses = findBakuganInDecks(bytes, ctx, bakuganId, attributeId);
+    if (uses.length && !removeFromDecks) {
+        const decks = [...new Set(uses.map((u) => `Deck ${u.deckIndex + 1}`))].join(", ");
+        throw new Error(`${indexLabel("bakuganId", bakuganId)} is in ${decks}.`);
+    }
 
-    bytes[offset + 8] = raw.speed ?? 0;
-    bytes[offset + 9] = raw.defense ?? 0;
-    bytes[offset + 10] = raw.acceleration ?? 0;
-    bytes[offset + 11] = raw.endurance ?? 0;
-    bytes[offset + 12] = raw.jump ?? 0;
-    bytes[offset + 13] = raw.level ?? 0;
+    for (const deckIndex of new Set(uses.map((u) => u.deckIndex))) {
+        const deck = readDeck(bytes, ctx, deckIndex);
+        const bakuganSlots = deck.bakuganSlots.filter(
+            (s) => s.bakuganId != null && !(s.bakuganId === bakuganId && s.attributeId === attributeId)
+        );
+        writeDeck(bytes, ctx, deckIndex, { ...deck, bakuganSlots });
+    }
+
+    const zeros = Object.fromEntries(knownEntryFields.map((f) => [f.key, 0]));
+    writeLayoutSection(bytes, ctx, "bakugan", zeros, { bakuganId, attributeId });
 }
 
 // -------------
 // Card flags
 // -------------
 
-function getCardOffset(ctx, cardId) {
-    return ctx.cardBaseOffset + cardId;
-}
-
 export function readCardFlag(bytes, ctx, cardId) {
-    const offset = getCardOffset(ctx, cardId);
-    if (offset >= bytes.length) {
-        throw new Error(
-            `Card offset ${offset} (cardId ${cardId}) out of range (file size: ${bytes.length})`
-        );
-    }
-    return bytes[offset] !== 0;
+    return readLayoutSection(bytes, ctx, "cardFlag", { cardId }).unlocked;
 }
 
 export function writeCardFlag(bytes, ctx, cardId, unlocked) {
-    const offset = getCardOffset(ctx, cardId);
-    if (offset >= bytes.length) {
-        throw new Error(
-            `Card offset ${offset} (cardId ${cardId}) out of range (file size: ${bytes.length})`
-        );
-    }
-    bytes[offset] = unlocked ? 1 : 0;
+    writeLayoutSection(bytes, ctx, "cardFlag", { unlocked }, { cardId });
 }
 
 // -------------
@@ -345,408 +641,1229 @@ export function writeCardFlag(bytes, ctx, cardId, unlocked) {
 // -------------
 
 export function readPlayerName(bytes, ctx) {
-    const base = ctx.playerNameOffset;
-    const chars = [];
+    return readLayoutSection(bytes, ctx, "playerName").name;
+}
 
-    for (let i = 0; i < PLAYER_NAME_MAX_CHARS; i++) {
-        const charByte = bytes[base + i * 2];
-        if (charByte === 0x00) break;
-        chars.push(String.fromCharCode(charByte));
-    }
+export function writePlayerName(bytes, ctx, name) {
+    writeLayoutSection(bytes, ctx, "playerName", { name });
+}
 
-    return chars.join("");
+// -------------
+// Styling block
+// -------------
+
+export function readStyling(bytes, ctx) {
+    return readLayoutSection(bytes, ctx, "styling");
 }
 
-export function writePlayerName(bytes, ctx, name) {
-    const base = ctx.playerNameOffset;
-    const safeName = (name || "").slice(0, PLAYER_NAME_MAX_CHARS);
+export function writeStyling(bytes, ctx, styling) {
+    const values = Object.fromEntries(
+        STYLING_FIELDS.filter((f) => typeof styling[f.key] === "number").map((f) => [
+            f.key,
+            styling[f.key] & 0xff,
+        ])
+    );
+    writeLayoutSection(bytes, ctx, "styling", values);
+}
 
-    for (let i = 0; i < PLAYER_NAME_MAX_CHARS; i++) {
-        const idx = base + i * 2;
-        let charCode = 0;
+// -------------
+// Decks
+// -------------
 
-        if (i < safeName.length) {
-            const c = safeName.charCodeAt(i);
-            charCode = c >= 0x20 && c <= 0x7e ? c : 0x3f; // '?'
-        }
+export function readDeck(bytes, ctx, deckIndex) {
+    return readLayoutSection(bytes, ctx, "deck", { deckIndex });
+}
 
-        bytes[idx] = charCode;
-        bytes[idx + 1] = 0x00; // padding
-    }
+// Every slot is written: missing slots become empty (0xFFFF)
+export function writeDeck(bytes, ctx, deckIndex, deck) {
+    const slots = (list) => [0, 1, 2].map((i) => list?.[i] ?? null);
+    writeLayoutSection(
+        bytes,
+        ctx,
+        "deck",
+        {
+            bakuganSlots: slots(deck.bakuganSlots),
+            gateCards: slots(deck.gateCards),
+            abilityCards: slots(deck.abilityCards),
+        },
+        { deckIndex }
+    );
 }
 
 // -------------
-// Styling block
+// Stats
 // -------------
 
-export function readStyling(bytes, ctx) {
-    const base = ctx.stylingOffset;
+export function readStats(bytes, ctx) {
+    const stats = readLayoutSection(bytes, ctx, "stats");
+    return {
+        ...stats,
+        opponentWins: stats.opponentWins ?? [],
+        attributeUsage: stats.attributeUsage ?? [],
+    };
+}
 
-    if (base + STYLING_LENGTH > bytes.length) {
-        throw new Error(
-            `Styling block out of range (offset ${base}, length ${STYLING_LENGTH}, file size ${bytes.length})`
-        );
-    }
+const statsFieldCount = (key) => SAVE_LAYOUT.stats.fields.find((f) => f.key === key).count;
+const zeroFilled = (list, count) => Array.from({ length: count }, (_, i) => list[i] ?? 0);
 
-    const styling = {};
+export function writeStats(bytes, ctx, stats) {
+    writeLayoutSection(bytes, ctx, "stats", {
+        ...stats,
+        rankingPoints: stats.rankingPoints ?? 0,
+        bakuganPoints: stats.bakuganPoints ?? 0,
+        opponentWins: Array.isArray(stats.opponentWins)
+            ? zeroFilled(stats.opponentWins, statsFieldCount("opponentWins"))
+            : undefined,
+        attributeUsage: Array.isArray(stats.attributeUsage)
+            ? zeroFilled(stats.attributeUsage, statsFieldCount("attributeUsage"))
+            : undefined,
+    });
+}
 
-    for (const field of STYLING_FIELDS) {
-        const idx = base + field.byteOffset;
-        styling[field.key] = bytes[idx];
+// Per-Bakugan, per-attribute usage table:
+// 12 bytes per Bakugan:
+// [ Pyrus, 00, Aquos, 00, Subterra, 00, Haos, 00, Darkus, 00, Ventus, 00 ]
+// The padding bytes are left unchanged.
+
+export function readBakuganUsage(bytes, ctx, bakuganId) {
+    return readLayoutSection(bytes, ctx, "usage", { bakuganId }).usage; // [Pyrus, Aquos, Subterra, Haos, Darkus, Ventus]
+}
+
+export function writeBakuganUsage(bytes, ctx, bakuganId, usage) {
+    const values = zeroFilled(Array.isArray(usage) ? usage : [], attributeList.length);
+    writeLayoutSection(bytes, ctx, "usage", { usage: values }, { bakuganId });
+}
+
+// -------------
+// Deck names
+// -------------
+
+// 10 characters, stored as [char, 0x00] pairs
+
+export function readDeckName(bytes, ctx, deckIndex) {
+    return readLayoutSection(bytes, ctx, "deckName", { deckIndex }).name;
+}
+
+export function writeDeckName(bytes, ctx, deckIndex, name) {
+    writeLayoutSection(bytes, ctx, "deckName", { name }, { deckIndex });
+}
+
+// -----------------
+// Save model
+// -----------------
+
+// A save model is the parsed file plus a typed view of one slot:
+// { buffer, bytes, platform, slot, player, styling, decks, deckNames,
+//   bakugan, cardFlags, stats, usage, issues }
+// Sections the platform does not map are null; sections that could not be
+// read are null too and explained in `issues`. Only mapped fields are ever
+// written back, and only when they changed, so every other byte survives.
+
+function readSection(issues, section, read) {
+    try {
+        return read();
+    } catch (e) {
+        issues.push({ section, message: e.message });
+        return null;
     }
+}
+
+export function readSaveModel(bytes, ctx) {
+    const issues = [];
 
-    return styling;
+    const player = readSection(issues, "player", () => ({
+        name: readPlayerName(bytes, ctx),
+    }));
+    const styling = readSection(issues, "styling", () => readStyling(bytes, ctx));
+    const decks = readSection(issues, "decks", () =>
+        ctx.deckOffsets.map((_, i) => readDeck(bytes, ctx, i))
+    );
+    const deckNames = ctx.deckNameOffsets
+        ? readSection(issues, "deckNames", () =>
+            ctx.deckNameOffsets.map((_, i) => readDeckName(bytes, ctx, i))
+        )
+        : null;
+    const bakugan = readSection(issues, "bakugan", () =>
+        bakuganList.flatMap((b) =>
+            attributeList.map((a) => readBakuganEntry(bytes, ctx, b.id, a.id))
+        )
+    );
+    const cardFlags = readSection(issues, "cardFlags", () =>
+        Object.fromEntries(cardList.map((c) => [c.id, readCardFlag(bytes, ctx, c.id)]))
+    );
+    const stats = ctx.statsOffsets
+        ? readSection(issues, "stats", () => readStats(bytes, ctx))
+        : null;
+    const usage =
+        ctx.bakuganUsageBase != null
+            ? readSection(issues, "usage", () =>
+                Object.fromEntries(
+                    bakuganList.map((b) => [b.id, readBakuganUsage(bytes, ctx, b.id)])
+                )
+            )
+            : null;
+
+    return { player, styling, decks, deckNames, bakugan, cardFlags, stats, usage, issues };
 }
 
-export function writeStyling(bytes, ctx, styling) {
-    const base = ctx.stylingOffset;
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
 
-    if (base + STYLING_LENGTH > bytes.length) {
-        throw new Error(
-            `Styling block out of range (offset ${base}, length ${STYLING_LENGTH}, file size ${bytes.length})`
-        );
+// Writes the sections present in `changes` (all of them may be partial:
+// a subset of decks, Bakugan entries, card ids or usage rows) into `bytes`.
+// Values equal to what the bytes already decode to are skipped.
+export function writeSaveModel(bytes, ctx, changes) {
+    const current = readSaveModel(bytes, ctx);
+
+    if (changes.player && !sameValue(changes.player, current.player)) {
+        writePlayerName(bytes, ctx, changes.player.name);
     }
 
-    for (const field of STYLING_FIELDS) {
-        const idx = base + field.byteOffset;
-        const value = styling[field.key];
-
-        if (typeof value === "number") {
-            bytes[idx] = value & 0xff;
-            const pad = idx + 1;
-            if (pad < base + STYLING_LENGTH) {
-                bytes[pad] = 0x00;
-            }
+    if (changes.styling && !sameValue(changes.styling, current.styling)) {
+        writeStyling(bytes, ctx, changes.styling);
+    }
+
+    changes.decks?.forEach((deck, i) => {
+        if (deck && !sameValue(deck, current.decks?.[i])) {
+            writeDeck(bytes, ctx, i, deck);
+        }
+    });
+
+    changes.deckNames?.forEach((name, i) => {
+        if (name != null && name !== current.deckNames?.[i]) {
+            writeDeckName(bytes, ctx, i, name);
+        }
+    });
+
+    changes.bakugan?.forEach((entry) => {
+        const existing = current.bakugan?.find(
+            (e) => e.bakuganId === entry.bakuganId && e.attributeId === entry.attributeId
+        );
+        if (!existing || !sameValue(entry.raw, existing.raw)) {
+            writeBakuganEntry(bytes, ctx, entry.bakuganId, entry.attributeId, entry.raw);
+        }
+    });
+
+    Object.entries(changes.cardFlags ?? {}).forEach(([cardId, unlocked]) => {
+        if (current.cardFlags?.[cardId] !== unlocked) {
+            writeCardFlag(bytes, ctx, Number(cardId), unlocked);
         }
+    });
+
+    if (changes.stats && !sameValue(changes.stats, current.stats)) {
+        writeStats(bytes, ctx, changes.stats);
     }
+
+    Object.entries(changes.usage ?? {}).forEach(([bakuganId, usage]) => {
+        if (!sameValue(usage, current.usage?.[bakuganId])) {
+            writeBakuganUsage(bytes, ctx, Number(bakuganId), usage);
+        }
+    });
 }
 
-// -------------
-// Decks
-// -------------
+// -----------------
+// Conversion
+// -----------------
 
-export function readDeck(bytes, ctx, deckIndex) {
-    const base = ctx.deckOffsets[deckIndex];
-    if (base == null) {
-        throw new Error(`Invalid deck index ${deckIndex}`);
+// Model keys and the layout section each one is stored in
+const MODEL_SECTIONS = {
+    player: "playerName",
+    styling: "styling",
+    decks: "deck",
+    deckNames: "deckName",
+    bakugan: "bakugan",
+    cardFlags: "cardFlag",
+    stats: "stats",
+    usage: "usage",
+};
+
+// Unknown entry bytes may mean something else on another platform, so only
+// the known fields of each Bakugan block are carried over
+const knownEntryRaw = (raw) =>
+    Object.fromEntries(knownEntryFields.map((f) => [f.key, raw[f.key]]));
+
+// Entries carry their own offset, which always differs between platforms
+const comparableSection = (key, value) =>
+    key === "bakugan" ? value?.map((e) => knownEntryRaw(e.raw)) : value;
+
+// Carries every readable section of one slot into a slot of another
+// platform's save. `target` is an existing save buffer for that platform
+// (it is copied, not modified) and is required: a save is more than its
+// mapped fields, so there is no blank template to fall back on. Word order
+// follows each context, so the endianness switch is handled by the codecs.
+// Returns { buffer, bytes, platform, slot, report }, where the
+// report lists [{ section, message }] for everything not carried over as-is.
+export function convertSave(bytes, ctx, targetPlatform, options = {}) {
+    const { target = null, targetSlot = 0, offsetOverrides = null } = options;
+    if (!target) {
+        throw new Error(`Converting needs an existing ${targetPlatform.toUpperCase()} save to write into.`);
     }
-    if (base + DECK_LENGTH > bytes.length) {
+    const { end } = getSlotSpan(targetPlatform, targetSlot);
+    if (end !== Infinity && end > target.byteLength) {
         throw new Error(
-            `Deck ${deckIndex + 1} block out of range (offset ${base}, length ${DECK_LENGTH}, file size ${bytes.length})`
+            `The ${targetPlatform.toUpperCase()} save has no slot ${targetSlot + 1} (needs ${end} bytes, file has ${target.byteLength}).`
         );
     }
-
-    const deck = {
-        bakuganSlots: [],
-        gateCards: [],
-        abilityCards: [],
-    };
-
-    // Bakugan slots
-    for (let i = 0; i < 3; i++) {
-        const offset = base + i * 2;
-        const v = readU16(bytes, offset, ctx);
-
-        if (v === 0xffff) {
-            deck.bakuganSlots.push({ bakuganId: null, attributeId: null });
-        } else {
-            const bakuganId = Math.floor(v / 6);
-            const attributeId = v % 6;
-            deck.bakuganSlots.push({ bakuganId, attributeId });
+    const targetCtx = getSaveContext(targetPlatform, targetSlot, offsetOverrides);
+    const out = new Uint8Array(target.slice(0));
+
+    const source = readSaveModel(bytes, ctx);
+    const report = source.issues.map(({ section, message }) => ({
+        section,
+        message: `Could not read from the source: ${message}`,
+    }));
+    report.push({
+        section: "unmapped",
+        message: `Bytes outside the mapped layout and the unknown bytes of each Bakugan entry keep the target ${targetPlatform.toUpperCase()} save's values.`,
+    });
+
+    const written = [];
+    for (const [key, sectionKey] of Object.entries(MODEL_SECTIONS)) {
+        const { label, anchor } = SAVE_LAYOUT[sectionKey];
+        if (source[key] == null) {
+            if (ctx[anchor] == null) {
+                report.push({ section: key, message: `${label} is not mapped on ${ctx.platform.toUpperCase()}.` });
+            }
+            continue;
+        }
+        if (targetCtx[anchor] == null) {
+            report.push({
+                section: key,
+                message: `${label} is not mapped on ${targetPlatform.toUpperCase()} and was dropped.`,
+            });
+            continue;
+        }
+        try {
+            if (key === "bakugan") {
+                // Written as read, id and attribute bytes included, so variants
+                // the source does not own stay unowned on the target
+                for (const e of source.bakugan) {
+                    const index = { bakuganId: e.bakuganId, attributeId: e.attributeId };
+                    writeLayoutSection(out, targetCtx, "bakugan", knownEntryRaw(e.raw), index);
+                }
+            } else {
+                writeSaveModel(out, targetCtx, { [key]: source[key] });
+            }
+            written.push(key);
+        } catch (e) {
+            report.push({ section: key, message: e.message });
         }
     }
 
-    // Gate cards
-    for (let i = 0; i < 3; i++) {
-        const offset = base + 12 + i * 2;
-        const v = readU16(bytes, offset, ctx);
-
-        if (v === 0xffff) {
-            deck.gateCards.push({ cardId: null });
-        } else {
-            const cardId = v + DECK_CARD_BASE_ID;
-            deck.gateCards.push({ cardId });
+    const result = readSaveModel(out, targetCtx);
+    for (const key of written) {
+        if (!sameValue(comparableSection(key, source[key]), comparableSection(key, result[key]))) {
+            report.push({
+                section: key,
+                message: `${SAVE_LAYOUT[MODEL_SECTIONS[key]].label} reads back differently on ${targetPlatform.toUpperCase()}.`,
+            });
         }
     }
 
-    // Ability cards
-    for (let i = 0; i < 3; i++) {
-        const offset = base + 24 + i * 2;
-        const v = readU16(bytes, offset, ctx);
+    updateChecksums(out, targetPlatform, targetCtx.slot);
+    return { buffer: out.buffer, bytes: out, platform: targetPlatform, slot: targetCtx.slot, report };
+}
 
-        if (v === 0xffff) {
-            deck.abilityCards.push({ cardId: null });
-        } else {
-            const cardId = v + DECK_CARD_BASE_ID;
-            deck.abilityCards.push({ cardId });
-        }
-    }
+// -----------------
+// Slots
+// -----------------
 
-    return deck;
+// A slot is the whole saveSize window at its place in the file, mapped or
+// not; a single-slot format's slot is the whole file.
+export function getSlotSpan(platform, slot) {
+    const { saveSize, slotOrigin } = FORMAT_CONFIGS[platform];
+    if (!saveSize) return { start: 0, end: Infinity };
+    const start = slotOrigin + saveSize * slot;
+    return { start, end: start + saveSize };
 }
 
-export function writeDeck(bytes, ctx, deckIndex, deck) {
-    const base = ctx.deckOffsets[deckIndex];
-    if (base == null) {
-        throw new Error(`Invalid deck index ${deckIndex}`);
-    }
-    if (base + DECK_LENGTH > bytes.length) {
+function slotBytes(bytes, platform, slot) {
+    const { start, end } = getSlotSpan(platform, slot);
+    if (end === Infinity) return bytes;
+    if (end > bytes.length) {
         throw new Error(
-            `Deck ${deckIndex + 1} block out of range (offset ${base}, length ${DECK_LENGTH}, file size ${bytes.length})`
+            `Slot ${slot + 1} does not fit in this file (needs ${end} bytes, file has ${bytes.length}).`
         );
     }
+    return bytes.subarray(start, end);
+}
 
-    const writeSlot = (offset, valueOrNull) => {
-        if (valueOrNull == null) {
-            writeU16(bytes, offset, 0xffff, ctx);
-        } else {
-            writeU16(bytes, offset, valueOrNull, ctx);
-        }
+// What a slot holds at a glance (slot overview, overwrite confirmations).
+// `populated` uses the same heuristic as format detection.
+export function summarizeSlot(bytes, platform, slot) {
+    const { end } = getSlotSpan(platform, slot);
+    if (end !== Infinity && end > bytes.length) {
+        return {
+            slot,
+            missing: true,
+            populated: false,
+            playerName: "",
+            styling: null,
+            deckNames: null,
+            stats: null,
+        };
+    }
+    const ctx = getSaveContext(platform, slot);
+    const model = readSaveModel(bytes, ctx);
+    const stats = model.stats && {
+        rankingPoints: model.stats.rankingPoints,
+        battles: model.stats.battles,
+        wins: model.stats.wins,
+        losses: model.stats.losses,
     };
+    return {
+        slot,
+        missing: false,
+        populated: scoreSlot(bytes, ctx)?.populated ?? false,
+        playerName: model.player?.name ?? "",
+        styling: model.styling,
+        deckNames: model.deckNames,
+        stats,
+    };
+}
 
-    // Bakugan
-    for (let i = 0; i < 3; i++) {
-        const offset = base + i * 2;
-        const slot = deck.bakuganSlots?.[i];
+// Copies slot `from` of `source` (another file of the same platform, or
+// the same bytes) over slot `to` of `bytes`.
+export function copySlot(bytes, platform, from, to, source = bytes) {
+    const data = slotBytes(source, platform, from).slice();
+    const slotData = slotBytes(bytes, platform, to);
+    if (data.length !== slotData.length) {
+        throw new Error(
+            `Slot ${from + 1} is ${data.length} bytes but slot ${to + 1} is ${slotData.length}.`
+        );
+    }
+    slotData.set(data);
+}
 
-        if (!slot || slot.bakuganId == null || slot.attributeId == null) {
-            writeSlot(offset, null);
-        } else {
-            const v = 6 * slot.bakuganId + slot.attributeId;
-            writeSlot(offset, v);
-        }
+export function swapSlots(bytes, platform, a, b) {
+    const first = slotBytes(bytes, platform, a).slice();
+    copySlot(bytes, platform, b, a);
+    slotBytes(bytes, platform, b).set(first);
+}
+
+// Zeroes the whole slot, then rewrites what a new profile is known to
+// hold: decks are empty (0xFFFF slots between 0xFF filler). Bakugan blocks
+// stay zero, so the wiped slot owns nothing (see isBakuganOwned), and so do
+// unknown bytes.
+export function clearSlot(bytes, platform, slot) {
+    const ctx = getSaveContext(platform, slot);
+    slotBytes(bytes, platform, slot).fill(0);
+    writeSaveModel(bytes, ctx, { decks: ctx.deckOffsets.map(() => ({})) });
+}
+
+// -----------------
+// Diff
+// -----------------
+
+// Runs of differing bytes between two files within [start, end), bytes
+// past the end of the shorter file counting as different. Each run lists
+// the known fields it touches: [{ start, end, fields: [{ path, label }] }]
+export function diffSaves(a, b, ctx, start = 0, end = Math.max(a.length, b.length)) {
+    const limit = Math.min(end, Math.max(a.length, b.length));
+    const byOffset = new Map();
+    for (const annotation of getFieldAnnotations(ctx, limit)) {
+        for (let i = annotation.start; i < annotation.end; i++) byOffset.set(i, annotation);
     }
 
-    for (let i = 6; i < 12; i++) {
-        bytes[base + i] = 0xff;
+    const ranges = [];
+    let run = null;
+    for (let i = Math.max(0, start); i < limit; i++) {
+        if (a[i] === b[i]) {
+            run = null;
+            continue;
+        }
+        if (!run) {
+            run = { start: i, end: i, fields: [] };
+            ranges.push(run);
+        }
+        run.end = i + 1;
+        const annotation = byOffset.get(i);
+        if (annotation && !run.fields.some((f) => f.label === annotation.label)) {
+            run.fields.push({ path: annotation.path, label: annotation.label });
+        }
     }
+    return ranges;
+}
 
-    // Gate cards
-    for (let i = 0; i < 3; i++) {
-        const offset = base + 12 + i * 2;
-        const slot = deck.gateCards?.[i];
+// -----------------
+// Search
+// -----------------
 
-        if (!slot || slot.cardId == null) {
-            writeSlot(offset, null);
-        } else {
-            const v = slot.cardId - DECK_CARD_BASE_ID;
-            writeSlot(offset, v);
+export const SEARCH_KINDS = [
+    { key: "hex", label: "Hex bytes (?? = any)" },
+    { key: "ascii", label: "ASCII text" },
+    { key: "char16", label: "Game text (char + 0x00)" },
+    { key: "u8", label: "u8" },
+    { key: "u16", label: "u16" },
+    { key: "u24", label: "u24" },
+];
+
+const INTEGER_MAX = { u8: 0xff, u16: 0xffff, u24: 0xffffff };
+
+// Byte pattern for a search query; null entries match any byte
+export function buildSearchPattern(kind, text, ctx) {
+    if (kind === "hex") {
+        const digits = text.replace(/0x/gi, "").replace(/\s+/g, "");
+        if (!digits || digits.length % 2 !== 0 || !/^([0-9a-fA-F]{2}|\?\?)+$/.test(digits)) {
+            throw new Error("Hex patterns are pairs of hex digits, with ?? for any byte.");
+        }
+        return digits.match(/../g).map((pair) => (pair === "??" ? null : parseInt(pair, 16)));
+    }
+    if (kind === "ascii" || kind === "char16") {
+        if (!text) throw new Error("Enter some text to search for.");
+        const codes = Array.from(text, (ch) => ch.charCodeAt(0) & 0xff);
+        return kind === "ascii" ? codes : codes.flatMap((code) => [code, 0x00]);
+    }
+    if (INTEGER_MAX[kind] != null) {
+        const raw = text.trim();
+        const value = /^0x/i.test(raw) ? parseInt(raw, 16) : Number(raw);
+        if (!raw || !Number.isInteger(value) || value < 0 || value > INTEGER_MAX[kind]) {
+            throw new Error(`A ${kind} value must be a whole number from 0 to ${INTEGER_MAX[kind]}.`);
         }
+        const encoded = new Uint8Array(CODECS[kind].width());
+        CODECS[kind].write(encoded, 0, value, ctx);
+        return Array.from(encoded);
     }
+    throw new Error(`Unknown search kind: ${kind}`);
+}
 
-    for (let i = 18; i < 24; i++) {
-        bytes[base + i] = 0xff;
+// Offsets in [start, end) where the pattern matches, up to `limit` hits
+export function searchBytes(bytes, pattern, start = 0, end = bytes.length, limit = 1000) {
+    const hits = [];
+    const last = Math.min(end, bytes.length) - pattern.length;
+    for (let i = Math.max(0, start); i <= last && hits.length < limit; i++) {
+        let match = true;
+        for (let j = 0; j < pattern.length; j++) {
+            if (pattern[j] != null && bytes[i + j] !== pattern[j]) {
+                match = false;
+                break;
+            }
+        }
+        if (match) hits.push(i);
     }
+    return hits;
+}
 
-    // Ability cards
-    for (let i = 0; i < 3; i++) {
-        const offset = base + 24 + i * 2;
-        const slot = deck.abilityCards?.[i];
+// -----------------
+// Inspector
+// -----------------
 
-        if (!slot || slot.cardId == null) {
-            writeSlot(offset, null);
-        } else {
-            const v = slot.cardId - DECK_CARD_BASE_ID;
-            writeSlot(offset, v);
-        }
+const BIG = { wordEndian: "big" };
+const LITTLE = { wordEndian: "little" };
+const INSPECT_TEXT_CHARS = 16;
+// Deck slot fields the inspector decodes arbitrary bytes as
+const INSPECT_SLOT_FIELDS = {
+    bakuganSlot: SAVE_LAYOUT.deck.fields.find((f) => f.type === "bakuganSlot"),
+    cardSlot: SAVE_LAYOUT.deck.fields.find((f) => f.type === "cardSlot"),
+};
+
+const WORD_INTERPRETATIONS = [2, 3, 4].flatMap((width) =>
+    [BIG, LITTLE].map((endian) => ({
+        key: `u${width * 8}${endian === BIG ? "be" : "le"}`,
+        label: `u${width * 8} ${endian === BIG ? "BE" : "LE"}`,
+        width,
+        endian,
+    }))
+);
+
+// The bytes at `offset` read every way the inspector knows:
+// [{ key, label, value, text }]. `value` is what writeInterpretation takes
+// back; interpretations that would run past the file are left out.
+// Styling names use `stylingKey`'s options.
+export function inspectBytes(bytes, offset, ctx, stylingKey) {
+    const room = bytes.length - offset;
+    if (room <= 0) return [];
+    const b = bytes[offset];
+    const out = [
+        { key: "u8", label: "u8", value: b, text: String(b) },
+        { key: "i8", label: "i8", value: b << 24 >> 24, text: String(b << 24 >> 24) },
+    ];
+
+    for (const w of WORD_INTERPRETATIONS) {
+        if (w.width > room) continue;
+        const value = readWord(bytes, offset, w.width, w.endian);
+        out.push({ key: w.key, label: w.label, value, text: String(value) });
     }
 
-    for (let i = 30; i < 36; i++) {
-        bytes[base + i] = 0xff;
+    const text = readChar16(bytes, offset, Math.min(INSPECT_TEXT_CHARS, Math.floor(room / 2)));
+    out.push({ key: "char16", label: "Game text", value: text, text: `"${text}"` });
+
+    if (room >= 2) {
+        const slot = CODECS.bakuganSlot.read(bytes, offset, ctx, INSPECT_SLOT_FIELDS.bakuganSlot);
+        out.push({
+            key: "bakuganSlot",
+            label: "Deck Bakugan",
+            value: slot,
+            text: describeFieldValue({ type: "bakuganSlot" }, slot),
+        });
+        const card = CODECS.cardSlot.read(bytes, offset, ctx, INSPECT_SLOT_FIELDS.cardSlot);
+        out.push({
+            key: "cardSlot",
+            label: "Deck card",
+            value: card,
+            text: describeFieldValue({ type: "cardSlot" }, card),
+        });
     }
+
+    const option = getStylingOptions(stylingKey).find((o) => o.id === b);
+    out.push({ key: "styling", label: "Styling option", value: b, text: option?.name ?? "none" });
+
+    return out;
 }
 
-export function readStats(bytes, ctx) {
-    const o = ctx.statsOffsets;
-    if (!o) {
-        throw new Error("Stats are not available for this platform/slot yet.");
-    }
-
-    const rankingPoints = readU24(bytes, o.rankingPoints, ctx);
-    const bakuganPoints = readU24(bytes, o.bakuganPoints, ctx);
-
-    const battles = bytes[o.battles] ?? 0;
-    const wins = bytes[o.wins] ?? 0;
-    const losses = bytes[o.losses] ?? 0;
-    const sphereAttacks = bytes[o.sphereAttacks] ?? 0;
-    const doubleStands = bytes[o.doubleStands] ?? 0;
-    const oneVsOne = bytes[o.oneVsOne] ?? 0;
-    const battleRoyale = bytes[o.battleRoyale] ?? 0;
-    const tagTeam = bytes[o.tagTeam] ?? 0;
-
-    const opponentWins = [];
-    if (o.opponentWins != null) {
-        for (let i = 0; i < 16; i++) {
-            opponentWins.push(bytes[o.opponentWins + i] ?? 0);
+// Writes `value` back as interpretation `key` (see inspectBytes)
+export function writeInterpretation(bytes, offset, ctx, key, value) {
+    const word = WORD_INTERPRETATIONS.find((w) => w.key === key);
+    if (word) {
+        const max = 2 ** (word.width * 8) - 1;
+        if (!Number.isInteger(value) || value < 0 || value > max) {
+            throw new Error(`${word.label} must be a whole number from 0 to ${max}.`);
         }
+        writeWord(bytes, offset, word.width, value, word.endian);
+        return;
     }
+    switch (key) {
+        case "u8":
+        case "styling":
+            if (!Number.isInteger(value) || value < 0 || value > 0xff) {
+                throw new Error("A byte must be a whole number from 0 to 255.");
+            }
+            bytes[offset] = value;
+            return;
+        case "i8":
+            if (!Number.isInteger(value) || value < -128 || value > 127) {
+                throw new Error("i8 must be a whole number from -128 to 127.");
+            }
+            bytes[offset] = value & 0xff;
+            return;
+        case "char16":
+            // Terminated unless it fills the space left in the file
+            writeChar16(bytes, offset, Math.min(value.length + 1, Math.floor((bytes.length - offset) / 2)), value);
+            return;
+        case "bakuganSlot":
+        case "cardSlot":
+            CODECS[key].write(bytes, offset, value, ctx, INSPECT_SLOT_FIELDS[key]);
+            return;
+        default:
+            throw new Error(`Unknown interpretation: ${key}`);
+    }
+}
 
-    const attributeUsage = [];
-    if (o.attributeUsageBase != null) {
-        for (let i = 0; i < 6; i++) {
-            const offset = o.attributeUsageBase + i * 2; // 1 byte, 1 padding
-            attributeUsage.push(bytes[offset] ?? 0);
-        }
+// -----------------
+// Structure overlays
+// -----------------
+
+// Sections the Debug tab can overlay on an arbitrary offset
+export const STRUCTURE_SECTIONS = ["bakugan", "deck", "styling", "stats", "usage"];
+
+// Field elements of one section instance placed at `offset`, with the
+// context to decode them in. Fields of an object anchor keep their spacing
+// from this platform's map, or from the first platform that has one.
+function overlayElements(ctx, sectionKey, offset, wordEndian) {
+    const section = SAVE_LAYOUT[sectionKey];
+    const mapped =
+        ctx[section.anchor] ??
+        Object.values(FORMAT_CONFIGS).map((cfg) => cfg.offsets[section.anchor]).find((a) => a != null);
+    let anchor = offset;
+    if (section.list) {
+        anchor = [offset];
+    } else if (mapped != null && typeof mapped === "object") {
+        const first = Math.min(...Object.values(mapped));
+        anchor = Object.fromEntries(
+            Object.entries(mapped).map(([key, at]) => [key, offset + at - first])
+        );
     }
+    const overlayCtx = { ...ctx, wordEndian, [section.anchor]: anchor };
+    const index = section.list ? { [section.list]: 0 } : {};
+
+    const elements = section.fields.flatMap((field) =>
+        elementOffsets(field, sectionAnchor(overlayCtx, section, field, index)).map((at, element) => ({
+            field,
+            element,
+            start: at,
+            end: at + CODECS[field.type].width(field),
+        }))
+    );
+    return { overlayCtx, elements };
+}
+
+// Decodes one instance of a layout section as if it started at `offset`,
+// with the platform's word order unless `wordEndian` overrides it:
+// [{ start, end, label, text, ok }] in field order.
+export function interpretStructure(bytes, ctx, sectionKey, offset, wordEndian = ctx.wordEndian) {
+    const { overlayCtx, elements } = overlayElements(ctx, sectionKey, offset, wordEndian);
+    return elements
+        .filter(({ start, end }) => start >= 0 && end <= bytes.length)
+        .map(({ field, element, start, end }) => ({
+            start,
+            end,
+            label: field.count != null ? `${field.label} ${element + 1}` : field.label,
+            text: describeFieldValue(field, CODECS[field.type].read(bytes, start, overlayCtx, field)),
+            ok: checkElement(bytes, overlayCtx, field, start).ok,
+        }));
+}
+
+// Bytes one overlay covers, for stepping between candidate offsets
+export function structureLength(ctx, sectionKey) {
+    const { elements } = overlayElements(ctx, sectionKey, 0, ctx.wordEndian);
+    return Math.max(SAVE_LAYOUT[sectionKey].size ?? 0, ...elements.map((e) => e.end));
+}
+
+// -----------------
+// Custom fields
+// -----------------
+
+// Research definitions shared as JSON layout files rather than code:
+// { id, name, platform, offset, width, type, note }. `offset` is absolute
+// for slot 0 and shifts by saveSize per slot, like FORMAT_CONFIGS offsets;
+// `bytes` definitions double as plain bookmarks.
+export const CUSTOM_FIELD_TYPES = [
+    { key: "u8", label: "u8", width: 1 },
+    { key: "u16", label: "u16", width: 2 },
+    { key: "u24", label: "u24", width: 3 },
+    { key: "u32", label: "u32", width: 4 },
+    { key: "char16", label: "Game text (char + 0x00)", width: null },
+    { key: "bytes", label: "Raw bytes", width: null },
+];
+
+const CUSTOM_LAYOUT_VERSION = 1;
+
+function customFieldType(type) {
+    return CUSTOM_FIELD_TYPES.find((t) => t.key === type);
+}
 
+// Checks one definition, filling in the width of fixed-size types
+export function normalizeCustomField(field) {
+    const type = customFieldType(field?.type);
+    if (!type) throw new Error(`Unknown custom field type: ${field?.type}`);
+    if (!PLATFORMS.includes(field.platform)) {
+        throw new Error(`Unknown platform for ${field.name || "custom field"}: ${field.platform}`);
+    }
+    if (!field.name || typeof field.name !== "string") {
+        throw new Error("Every custom field needs a name.");
+    }
+    const width = type.width ?? field.width;
+    if (!Number.isInteger(field.offset) || field.offset < 0) {
+        throw new Error(`${field.name}: offset must be a non-negative whole number.`);
+    }
+    if (!Number.isInteger(width) || width <= 0 || (type.key === "char16" && width % 2 !== 0)) {
+        throw new Error(`${field.name}: width must be a positive whole number${type.key === "char16" ? " of bytes, even for game text" : ""}.`);
+    }
     return {
-        rankingPoints,
-        bakuganPoints,
-        battles,
-        wins,
-        losses,
-        sphereAttacks,
-        doubleStands,
-        oneVsOne,
-        battleRoyale,
-        tagTeam,
-        opponentWins,
-        attributeUsage,
+        id: String(field.id ?? `${field.platform}-${field.offset}-${field.name}`),
+        name: field.name,
+        platform: field.platform,
+        offset: field.offset,
+        width,
+        type: type.key,
+        note: typeof field.note === "string" ? field.note : "",
     };
 }
 
-export function writeStats(bytes, ctx, stats) {
-    const o = ctx.statsOffsets;
-    if (!o) {
-        throw new Error("Stats are not available for this platform/slot yet.");
+export function serializeCustomLayout(fields) {
+    return JSON.stringify({ version: CUSTOM_LAYOUT_VERSION, fields }, null, 2);
+}
+
+export function parseCustomLayout(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error("Not a custom layout file (invalid JSON).");
     }
+    if (!data || !Array.isArray(data.fields)) {
+        throw new Error("Not a custom layout file (no fields list).");
+    }
+    if (data.version !== CUSTOM_LAYOUT_VERSION) {
+        throw new Error(`Unsupported custom layout version: ${data.version}`);
+    }
+    return data.fields.map(normalizeCustomField);
+}
 
-    const clampByte = (n) => {
-        if (Number.isNaN(n)) return 0;
-        return Math.max(0, Math.min(255, n | 0));
-    };
+function slotShift(ctx) {
+    const cfg = FORMAT_CONFIGS[ctx.platform];
+    return cfg.saveSize ? cfg.saveSize * ctx.slot : 0;
+}
 
-    writeU24(bytes, o.rankingPoints, stats.rankingPoints ?? 0, ctx);
-    writeU24(bytes, o.bakuganPoints, stats.bakuganPoints ?? 0, ctx);
-
-    bytes[o.battles] = clampByte(stats.battles);
-    bytes[o.wins] = clampByte(stats.wins);
-    bytes[o.losses] = clampByte(stats.losses);
-    bytes[o.sphereAttacks] = clampByte(stats.sphereAttacks);
-    bytes[o.doubleStands] = clampByte(stats.doubleStands);
-    bytes[o.oneVsOne] = clampByte(stats.oneVsOne);
-    bytes[o.battleRoyale] = clampByte(stats.battleRoyale);
-    bytes[o.tagTeam] = clampByte(stats.tagTeam);
-
-    if (o.opponentWins != null && Array.isArray(stats.opponentWins)) {
-        for (let i = 0; i < 16; i++) {
-            const v = stats.opponentWins[i] ?? 0;
-            bytes[o.opponentWins + i] = clampByte(v);
-        }
+// Slot-0 offset for a file offset in the current slot, for new definitions
+export function slotZeroOffset(ctx, offset) {
+    return offset - slotShift(ctx);
+}
+
+// Where a definition sits in the current slot, or null when it does not
+// apply to this platform or lies past the end of the file
+export function customFieldOffset(ctx, field, fileLength) {
+    if (field.platform !== ctx.platform) return null;
+    const offset = field.offset + slotShift(ctx);
+    return offset + field.width <= fileLength ? offset : null;
+}
+
+// Decoded value: a number, a string for char16, or a hex string for bytes
+export function readCustomField(bytes, ctx, field) {
+    const offset = customFieldOffset(ctx, field, bytes.length);
+    if (offset == null) return null;
+    if (field.type === "char16") return readChar16(bytes, offset, field.width / 2);
+    if (field.type === "bytes") {
+        return Array.from(bytes.subarray(offset, offset + field.width), (b) =>
+            b.toString(16).toUpperCase().padStart(2, "0")
+        ).join(" ");
     }
+    return readWord(bytes, offset, field.width, ctx);
+}
 
-    if (o.attributeUsageBase != null && Array.isArray(stats.attributeUsage)) {
-        for (let i = 0; i < 6; i++) {
-            const v = stats.attributeUsage[i] ?? 0;
-            const offset = o.attributeUsageBase + i * 2;
-            bytes[offset] = clampByte(v);
-            bytes[offset + 1] = 0x00;
+export function writeCustomField(bytes, ctx, field, value) {
+    const offset = customFieldOffset(ctx, field, bytes.length);
+    if (offset == null) throw new Error(`${field.name} is outside this save.`);
+    if (field.type === "char16") {
+        writeChar16(bytes, offset, field.width / 2, value);
+        return;
+    }
+    if (field.type === "bytes") {
+        const digits = value.replace(/\s+/g, "");
+        if (!/^([0-9a-fA-F]{2})*$/.test(digits) || digits.length !== field.width * 2) {
+            throw new Error(`${field.name} needs exactly ${field.width} hex bytes.`);
         }
+        digits.match(/../g)?.forEach((pair, i) => {
+            bytes[offset + i] = parseInt(pair, 16);
+        });
+        return;
+    }
+    const max = 2 ** (field.width * 8) - 1;
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+        throw new Error(`${field.name} must be a whole number from 0 to ${max}.`);
     }
+    writeWord(bytes, offset, field.width, value, ctx);
 }
 
-// Per-Bakugan, per-attribute usage table (PS3):
-// 12 bytes per Bakugan:
-// [ Pyrus, 00, Aquos, 00, Subterra, 00, Haos, 00, Darkus, 00, Ventus, 00 ]
-// usageOffset = ctx.bakuganUsageBase + bakuganId * 12 + attributeId * 2
+// Hex-viewer annotations for the definitions that apply to `ctx`
+export function getCustomFieldAnnotations(fields, ctx, bytes) {
+    return fields.flatMap((field) => {
+        const offset = customFieldOffset(ctx, field, bytes.length);
+        if (offset == null) return [];
+        const value = readCustomField(bytes, ctx, field);
+        return [
+            {
+                start: offset,
+                end: offset + field.width,
+                section: "custom",
+                field: field.id,
+                path: `custom.${field.name}`,
+                tab: "custom",
+                index: { id: field.id },
+                label: `Custom · ${field.name}${field.note ? ` (${field.note})` : ""}`,
+                value: field.type === "bytes" ? value : describeFieldValue(field, value),
+            },
+        ];
+    });
+}
 
-export function readBakuganUsage(bytes, ctx, bakuganId) {
-    if (ctx.bakuganUsageBase == null) {
-        throw new Error("Bakugan usage table is not configured for this platform.");
+// -----------------
+// Snapshot analysis
+// -----------------
+
+// What happened between two snapshots of a slot. Every field is optional;
+// `note` is free text for the researcher.
+//   { mode: "oneVsOne" | "battleRoyale" | "tagTeam", result: "win" | "loss",
+//     opponent: index into OPPONENT_NAMES, note }
+export const SNAPSHOT_MODES = [
+    { key: "oneVsOne", label: "1 vs 1" },
+    { key: "battleRoyale", label: "Battle royale" },
+    { key: "tagTeam", label: "Tag team" },
+];
+
+const battled = (tag) => Boolean(tag.mode || tag.result);
+
+// Stats counters and how far each tag should move them
+export const SNAPSHOT_TARGETS = [
+    { key: "battles", label: "Battles", at: "battles", element: 0, expected: (tag) => (battled(tag) ? 1 : 0) },
+    { key: "wins", label: "Wins", at: "wins", element: 0, expected: (tag) => (tag.result === "win" ? 1 : 0) },
+    { key: "losses", label: "Losses", at: "losses", element: 0, expected: (tag) => (tag.result === "loss" ? 1 : 0) },
+    ...SNAPSHOT_MODES.map((mode) => ({
+        key: mode.key,
+        label: `${mode.label} battles`,
+        at: mode.key,
+        element: 0,
+        expected: (tag) => (tag.mode === mode.key ? 1 : 0),
+    })),
+    ...OPPONENT_NAMES.map((name, i) => ({
+        key: `opponentWins.${i}`,
+        label: `Wins vs ${name}`,
+        at: "opponentWins",
+        element: i,
+        expected: (tag) => (tag.result === "win" && tag.opponent === i ? 1 : 0),
+    })),
+];
+
+// Ranks u8 offsets in [start, end) by how many steps between consecutive
+// snapshots changed by exactly what each target expects from the later
+// snapshot's tag. Targets no tag ever moves are left out, and so are
+// offsets that never change (they only fit the idle steps).
+// -> [{ target, steps, candidates: [{ offset, matches, known }] }]
+export function analyzeSnapshots(snapshots, ctx, start, end, limit = 5) {
+    const steps = snapshots.slice(1).map((snap, i) => ({ before: snapshots[i].bytes, after: snap.bytes, tag: snap.tag }));
+    const last = Math.min(end, ...snapshots.map((snap) => snap.bytes.length));
+
+    // Byte deltas per step, only for offsets that change at least once
+    const changing = [];
+    for (let offset = Math.max(0, start); offset < last; offset++) {
+        const deltas = steps.map(({ before, after }) => (after[offset] - before[offset] + 256) % 256);
+        if (deltas.some((d) => d !== 0)) changing.push({ offset, deltas });
     }
-    const entrySize = 12;
-    const base = ctx.bakuganUsageBase + bakuganId * entrySize;
 
-    if (base < 0 || base + entrySize > bytes.length) {
-        throw new Error(
-            `Bakugan usage entry for ID ${bakuganId} out of range (offset ${base}).`
-        );
+    return SNAPSHOT_TARGETS.flatMap((target) => {
+        const expected = steps.map(({ tag }) => target.expected(tag));
+        if (!expected.some((e) => e !== 0)) return [];
+
+        const knownBase = ctx.statsOffsets?.[target.at];
+        const candidates = changing
+            .map(({ offset, deltas }) => ({
+                offset,
+                matches: deltas.filter((d, i) => d === expected[i]).length,
+                known: knownBase != null && knownBase + target.element === offset,
+            }))
+            .filter((c) => c.matches > 0)
+            .sort((a, b) => b.matches - a.matches || a.offset - b.offset)
+            .slice(0, limit);
+        return [{ target, steps: steps.length, candidates }];
+    });
+}
+
+// -----------------
+// Format detection
+// -----------------
+
+// Scores a buffer against every platform layout so the editor can preselect
+// the platform and slot instead of trusting the dropdown.
+
+const isPrintable = (c) => c >= 0x20 && c <= 0x7e;
+
+function scorePlayerName(bytes, ctx) {
+    const base = ctx.playerNameOffset;
+    let length = 0;
+
+    for (let i = 0; i < PLAYER_NAME_MAX_CHARS; i++) {
+        const c = bytes[base + i * 2];
+        const pad = bytes[base + i * 2 + 1];
+        if (c === 0x00) break;
+        if (!isPrintable(c) || pad !== 0x00) return { score: 0, length: 0 };
+        length++;
     }
 
-    const usage = [];
-    for (let attrId = 0; attrId < 6; attrId++) {
-        const offset = base + attrId * 2;
-        usage[attrId] = bytes[offset] ?? 0;
+    return { score: length > 0 ? 1 : 0, length };
+}
+
+function scoreStyling(bytes, ctx) {
+    let checked = 0;
+    let valid = 0;
+
+    for (const field of STYLING_FIELDS) {
+        const options = getStylingOptions(field.key);
+        if (!options.length) continue;
+        const idx = ctx.stylingOffset + field.byteOffset;
+        checked++;
+        if (options.some((o) => o.id === bytes[idx]) && bytes[idx + 1] === 0x00) {
+            valid++;
+        }
     }
-    return usage; // [Pyrus, Aquos, Subterra, Haos, Darkus, Ventus]
+
+    return checked ? valid / checked : 0;
 }
 
-export function writeBakuganUsage(bytes, ctx, bakuganId, usage) {
-    if (ctx.bakuganUsageBase == null) {
-        throw new Error("Bakugan usage table is not configured for this platform.");
+function scoreDeck(bytes, ctx, deckIndex) {
+    const base = ctx.deckOffsets[deckIndex];
+    let checked = 0;
+    let valid = 0;
+    let filled = 0;
+
+    // Filler bytes between sections are always written as their fixed value
+    for (const field of SAVE_LAYOUT.deck.fields) {
+        if (field.fixed == null) continue;
+        for (let i = 0; i < field.count; i++) {
+            checked++;
+            if (bytes[base + field.offset + i] === field.fixed) valid++;
+        }
     }
-    const entrySize = 12;
-    const base = ctx.bakuganUsageBase + bakuganId * entrySize;
 
-    if (base < 0 || base + entrySize > bytes.length) {
-        throw new Error(
-            `Bakugan usage entry for ID ${bakuganId} out of range (offset ${base}).`
-        );
+    const deck = readDeck(bytes, ctx, deckIndex);
+    for (const field of SAVE_LAYOUT.deck.fields) {
+        if (field.fixed != null) continue;
+        const domainValue = CODECS[field.type].domainValue;
+        for (const slot of deck[field.key]) {
+            const id = domainValue(slot);
+            checked++;
+            if (id == null) {
+                valid++;
+            } else if (field.domain.values.includes(id)) {
+                valid++;
+                filled++;
+            }
+        }
     }
 
-    const clampByte = (n) => {
-        if (Number.isNaN(n)) return 0;
-        return Math.max(0, Math.min(255, n | 0));
-    };
+    return { score: valid / checked, filled };
+}
 
-    for (let attrId = 0; attrId < 6; attrId++) {
-        const offset = base + attrId * 2;
-        const v = Array.isArray(usage) ? usage[attrId] : 0;
-        bytes[offset] = clampByte(v);
-        // bytes[offset + 1] is padding; we leave it unchanged
+function scoreSlot(bytes, ctx) {
+    const ends = [
+        ctx.playerNameOffset + PLAYER_NAME_MAX_CHARS * 2,
+        ctx.stylingOffset + STYLING_LENGTH,
+        ...ctx.deckOffsets.map((o) => o + DECK_LENGTH),
+    ];
+    if (Math.max(...ends) > bytes.length) {
+        return null;
     }
+
+    const name = scorePlayerName(bytes, ctx);
+    const styling = scoreStyling(bytes, ctx);
+    const decks = ctx.deckOffsets.map((_, i) => scoreDeck(bytes, ctx, i));
+    const deckScore = decks.reduce((acc, d) => acc + d.score, 0) / decks.length;
+
+    const score = 0.3 * name.score + 0.35 * styling + 0.35 * deckScore;
+    const populated =
+        name.length > 0 && score >= 0.6 && decks.some((d) => d.filled > 0);
+
+    return {
+        slot: ctx.slot,
+        score,
+        populated,
+        playerName: name.length > 0 ? readPlayerName(bytes, ctx) : "",
+    };
 }
 
+function scoreFileSize(size, cfg) {
+    if (!cfg.saveSize) return 0.5;
+    if (size === cfg.slotOrigin + cfg.saveSize * cfg.slotCount) return 1;
+    if (size > cfg.slotOrigin && (size - cfg.slotOrigin) % cfg.saveSize === 0) return 0.7;
+    return 0;
+}
 
-// Deck names: 10 characters, stored as [char, 0x00] pairs
+export function detectSaveFormat(bytes) {
+    const candidates = PLATFORMS.map((platform) => {
+        const cfg = FORMAT_CONFIGS[platform];
+        const slots = [];
 
-export function readDeckName(bytes, ctx, deckIndex) {
-    if (!ctx.deckNameOffsets) {
-        throw new Error("Deck names are not configured for this platform.");
-    }
-    const base = ctx.deckNameOffsets[deckIndex];
-    if (base == null) {
-        throw new Error(`No deck name offset for deck index ${deckIndex}`);
-    }
-    if (base < 0 || base + 20 > bytes.length) {
-        throw new Error(
-            `Deck name offset ${base} out of range (file size: ${bytes.length})`
+        for (let slot = 0; slot < cfg.slotCount; slot++) {
+            const result = scoreSlot(bytes, getSaveContext(platform, slot));
+            if (result) slots.push(result);
+        }
+
+        const sizeScore = scoreFileSize(bytes.length, cfg);
+        const bestSlot = slots.reduce(
+            (best, s) => (!best || s.score > best.score ? s : best),
+            null
         );
-    }
+        const score = bestSlot ? 0.2 * sizeScore + 0.8 * bestSlot.score : 0;
+
+        return {
+            platform,
+            score,
+            sizeScore,
+            slots,
+            populatedSlots: slots.filter((s) => s.populated).map((s) => s.slot),
+        };
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = candidates;
+    // Confidence drops when another layout scores almost as well
+    const margin = runnerUp ? best.score - runnerUp.score : best.score;
+    const confidence = Math.round(
+        100 * Math.min(1, best.score * (0.5 + Math.min(margin, 0.25) * 2))
+    );
 
-    const chars = [];
-    for (let i = 0; i < 10; i++) {
-        const charByte = bytes[base + i * 2]; // char, then padding 0x00
-        if (charByte === 0x00) break;
-        chars.push(String.fromCharCode(charByte));
+    return { best, candidates, confidence };
+}
+
+// -----------------
+// Offset inference
+// -----------------
+
+// Most anchors move by the same few amounts between platforms (Wii is PS3
+// + 0x30 almost everywhere). Deltas are learned from every offset two
+// platforms both map; applying them to another platform's anchor proposes
+// where a section that is still null might live, and the layout's domains
+// and value checks are run on the loaded bytes to rank the proposals. Each
+// candidate uses one delta, so a block whose fields move by different
+// amounts can only be approximated; PS2's mapped sections already sit
+// 0x83D, 0x83F and 0x840 from PS3's, so each of those is proposed. Nothing
+// is added to FORMAT_CONFIGS: a proposal is only used once confirmed, as an
+// override passed to getSaveContext.
+
+// [["deckOffsets.1", 0x2954], ...] for every number inside an anchor
+function flattenOffsets(value, path, out = []) {
+    if (typeof value === "number") {
+        out.push([path, value]);
+    } else if (value != null) {
+        Object.entries(value).forEach(([k, v]) => flattenOffsets(v, `${path}.${k}`, out));
     }
-    return chars.join("");
+    return out;
 }
 
-export function writeDeckName(bytes, ctx, deckIndex, name) {
-    if (!ctx.deckNameOffsets) {
-        throw new Error("Deck names are not configured for this platform.");
+function platformOffsets(platform) {
+    return new Map(
+        Object.entries(FORMAT_CONFIGS[platform].offsets).flatMap(([anchor, value]) =>
+            flattenOffsets(value, anchor)
+        )
+    );
+}
+
+// Distinct (target - source) deltas over the offsets both platforms map,
+// best supported first: [{ delta, support: ["baseOffset", ...] }]
+export function learnOffsetDeltas(target, source) {
+    const sourceOffsets = platformOffsets(source);
+    const byDelta = new Map();
+
+    for (const [path, offset] of platformOffsets(target)) {
+        if (!sourceOffsets.has(path)) continue;
+        const delta = offset - sourceOffsets.get(path);
+        if (!byDelta.has(delta)) byDelta.set(delta, []);
+        byDelta.get(delta).push(path);
     }
-    const base = ctx.deckNameOffsets[deckIndex];
-    if (base == null) {
-        throw new Error(`No deck name offset for deck index ${deckIndex}`);
+
+    return [...byDelta]
+        .map(([delta, support]) => ({ delta, support }))
+        .sort((a, b) => b.support.length - a.support.length || a.delta - b.delta);
+}
+
+// Domain, fixed-value, padding and gap checks over one section, plus the
+// section's value checks. Fields with no domain (stats counters, usage) only
+// contribute their padding and gap bytes. `blank` means every element reads
+// as zero, which passes most checks without telling anything apart.
+function checkSectionDomains(bytes, ctx, sectionKey) {
+    const section = SAVE_LAYOUT[sectionKey];
+    let elements = 0;
+    let checked = 0;
+    let passed = 0;
+    let blank = true;
+    const failed = [];
+
+    forEachLayoutElement(
+        ctx,
+        bytes.length,
+        ({ field, index, element, offset, width }) => {
+            elements++;
+            if (bytes.subarray(offset, offset + width).some((b) => b !== 0)) blank = false;
+
+            const { ok } = checkElement(bytes, ctx, field, offset);
+            if (ok != null) {
+                checked++;
+                if (ok) passed++;
+            }
+
+            const pad = offset + width;
+            const base = sectionAnchor(ctx, section, {}, index);
+            if (
+                field.pad != null &&
+                pad < bytes.length &&
+                (section.size == null || pad < base + section.size)
+            ) {
+                checked++;
+                if (bytes[pad] === field.pad) passed++;
+            }
+
+            const next = offset + (field.stride ?? width);
+            if (field.gap != null && element < (field.count ?? 1) - 1 && next <= bytes.length) {
+                checked++;
+                if (bytes.subarray(pad, next).every((b) => b === field.gap)) passed++;
+            }
+        },
+        [sectionKey]
+    );
+
+    if (section.checks && elements > 0) {
+        try {
+            const values = readLayoutSection(bytes, ctx, sectionKey);
+            for (const { label, test } of section.checks) {
+                checked++;
+                if (test(values)) passed++;
+                else failed.push(label);
+            }
+        } catch {
+            // Runs past the end of the file; the element count already says so
+        }
     }
-    if (base < 0 || base + 20 > bytes.length) {
-        throw new Error(
-            `Deck name offset ${base} out of range (file size: ${bytes.length})`
+
+    return { elements, checked, passed, blank, failed };
+}
+
+// Candidate anchors for every section this platform leaves null, best first:
+// [{ sectionKey, label, anchor, value, start, sources, elements, checked,
+//    passed, blank, failed }] where `value` is the slot-0 anchor to pass as
+// an override, `start` the lowest offset it gives in this slot, `sources`
+// the platforms and deltas that proposed it and `failed` the labels of the
+// section's value checks that do not hold there.
+export function inferSectionOffsets(bytes, platform, saveSlot = 0) {
+    const cfg = FORMAT_CONFIGS[platform];
+    const proposals = [];
+
+    for (const [sectionKey, section] of Object.entries(SAVE_LAYOUT)) {
+        const { anchor } = section;
+        if (!(anchor in cfg.offsets) || cfg.offsets[anchor] != null) continue;
+
+        const candidates = new Map();
+        for (const source of PLATFORMS) {
+            const known = FORMAT_CONFIGS[source].offsets[anchor];
+            if (source === platform || known == null) continue;
+
+            for (const { delta, support } of learnOffsetDeltas(platform, source)) {
+                const value = shiftOffsets(known, delta);
+                const key = JSON.stringify(value);
+                const origin = { platform: source, delta, support: support.length };
+                if (candidates.has(key)) {
+                    candidates.get(key).sources.push(origin);
+                    continue;
+                }
+
+                const ctx = getSaveContext(platform, saveSlot, { [anchor]: value });
+                const check = checkSectionDomains(bytes, ctx, sectionKey);
+                if (check.elements === 0) continue; // outside the file
+                candidates.set(key, {
+                    sectionKey,
+                    label: section.label,
+                    anchor,
+                    value,
+                    start: Math.min(...flattenOffsets(ctx[anchor], anchor).map(([, o]) => o)),
+                    sources: [origin],
+                    ...check,
+                });
+            }
+        }
+
+        const ratio = (c) => (c.checked ? c.passed / c.checked : 0);
+        const support = (c) => c.sources.reduce((acc, s) => acc + s.support, 0);
+        proposals.push(
+            ...[...candidates.values()].sort(
+                (a, b) => ratio(b) - ratio(a) || a.blank - b.blank || support(b) - support(a)
+            )
         );
     }
 
-    const safeName = (name || "").slice(0, 10);
+    return proposals;
+}
 
-    for (let i = 0; i < 10; i++) {
-        const idx = base + i * 2;
-        let charCode = 0;
-        if (i < safeName.length) {
-            const c = safeName.charCodeAt(i);
-            charCode = c >= 0x20 && c <= 0x7e ? c : 0x3f; // '?'
-        }
-        bytes[idx] = charCode;
-        bytes[idx + 1] = 0x00; // padding
+// -----------------
+// Integrity
+// -----------------
+
+// Runs the platform's `checksums` hook (see FORMAT_CONFIGS) over one slot.
+// No platform has a known checksum field yet, so every one currently reports
+// "unverified" rather than passing.
+export function verifyChecksums(bytes, platform, slot = 0) {
+    const hook = FORMAT_CONFIGS[platform]?.checksums;
+    if (!hook) {
+        return { status: "unverified", fields: [] };
     }
+    const fields = hook
+        .verify(bytes, getSaveContext(platform, slot))
+        .map((f) => ({ ...f, ok: f.stored === f.computed }));
+    return { status: fields.every((f) => f.ok) ? "ok" : "mismatch", fields };
+}
+
+// Recomputes the slot's checksum fields in place; false when the platform
+// has none to recompute.
+export function updateChecksums(bytes, platform, slot = 0) {
+    const hook = FORMAT_CONFIGS[platform]?.checksums;
+    if (!hook) return false;
+    hook.update(bytes, getSaveContext(platform, slot));
+    return true;
 }
@@ -0,0 +1,981 @@
+import { describe, expect, it } from "vitest";
+import {
+    SNAPSHOT_TARGETS,
+    analyzeSnapshots,
+    buildSearchPattern,
+    clearSlot,
+    convertSave,
+    copySlot,
+    detectSaveFormat,
+    getBakuganOffset,
+    getCustomFieldAnnotations,
+    getFieldAnnotations,
+    getSaveContext,
+    getSlotSpan,
+    grantBakugan,
+    inspectBytes,
+    interpretStructure,
+    inferSectionOffsets,
+    isBakuganOwned,
+    normalizeCustomField,
+    parseCustomLayout,
+    parseSaveFile,
+    readSaveModel,
+    readBakuganEntry,
+    readCustomField,
+    readDeck,
+    readLayoutSection,
+    readStats,
+    revokeBakugan,
+    searchBytes,
+    serializeCustomLayout,
+    serializeSaveFile,
+    structureLength,
+    summarizeSlot,
+    swapSlots,
+    verifyChecksums,
+    writeBakuganEntry,
+    writeDeck,
+    writeInterpretation,
+    writeLayoutSection,
+    writePlayerName,
+    writeSaveModel,
+    writeStats,
+    writeStyling,
+} from "./saveFormat";
+import { STYLING_FIELDS, getStylingOptions } from "./constants";
+import { FORMAT_CONFIGS, SAVE_LAYOUT } from "./saveLayout";
+
+// A stats block laid out like PS3's, at an arbitrary offset
+const STATS_OFFSETS = {
+    rankingPoints: 0x100,
+    bakuganPoints: 0x104,
+    battles: 0x10a,
+    wins: 0x10c,
+    losses: 0x10e,
+    sphereAttacks: 0x112,
+    doubleStands: 0x114,
+    oneVsOne: 0x116,
+    battleRoyale: 0x118,
+    tagTeam: 0x11a,
+    opponentWins: 0x11d,
+    attributeUsageBase: 0x1c8,
+};
+
+describe("stats mapping", () => {
+    it("leaves stats and usage unmapped where they have not been located", () => {
+        for (const platform of ["wii", "ps2", "x360"]) {
+            expect(FORMAT_CONFIGS[platform].offsets.statsOffsets).toBe(null);
+            expect(FORMAT_CONFIGS[platform].offsets.bakuganUsageBase).toBe(null);
+
+            const bytes = new Uint8Array(FORMAT_CONFIGS[platform].saveSize * 4 + 0x1000);
+            const model = readSaveModel(bytes, getSaveContext(platform));
+            expect(model.stats).toBe(null);
+            expect(model.usage).toBe(null);
+        }
+    });
+
+    it("marks an override as experimental", () => {
+        const ctx = getSaveContext("ps2", 1, { statsOffsets: STATS_OFFSETS });
+        expect(ctx.experimental).toEqual(["statsOffsets"]);
+        expect(ctx.statsOffsets.rankingPoints).toBe(0x100 + FORMAT_CONFIGS.ps2.saveSize);
+    });
+});
+
+describe("u24 points", () => {
+    it("stores PS2 points little-endian, low byte first", () => {
+        const bytes = new Uint8Array(0x400);
+        const ctx = getSaveContext("ps2", 0, { statsOffsets: STATS_OFFSETS });
+        writeStats(bytes, ctx, { rankingPoints: 0x123456, bakuganPoints: 0xabcdef });
+
+        expect(Array.from(bytes.subarray(0x100, 0x104))).toEqual([0x56, 0x34, 0x12, 0x00]);
+        expect(Array.from(bytes.subarray(0x104, 0x108))).toEqual([0xef, 0xcd, 0xab, 0x00]);
+    });
+
+    it("reads PS2 points little-endian", () => {
+        const bytes = new Uint8Array(0x400);
+        bytes.set([0x40, 0x42, 0x0f], 0x100);
+        bytes.set([0x01, 0x00, 0x00], 0x104);
+        const stats = readStats(bytes, getSaveContext("ps2", 0, { statsOffsets: STATS_OFFSETS }));
+        expect(stats.rankingPoints).toBe(1000000);
+        expect(stats.bakuganPoints).toBe(1);
+    });
+
+    it("stores PS3 points big-endian", () => {
+        const bytes = new Uint8Array(0x400);
+        writeStats(bytes, getSaveContext("ps3", 0, { statsOffsets: STATS_OFFSETS }), {
+            rankingPoints: 0x123456,
+        });
+        expect(Array.from(bytes.subarray(0x100, 0x103))).toEqual([0x12, 0x34, 0x56]);
+    });
+
+    it("round-trips the full u24 range on PS2 and masks larger values", () => {
+        const bytes = new Uint8Array(0x400);
+        const ctx = getSaveContext("ps2", 0, { statsOffsets: STATS_OFFSETS });
+        for (const value of [0, 1, 0xff, 0x100, 0xffff, 0x10000, 0xffffff]) {
+            writeStats(bytes, ctx, { rankingPoints: value });
+            expect(readStats(bytes, ctx).rankingPoints).toBe(value);
+        }
+        writeStats(bytes, ctx, { rankingPoints: 0x1000001 });
+        expect(readStats(bytes, ctx).rankingPoints).toBe(1);
+        expect(bytes[0x103]).toBe(0);
+    });
+
+    it("keeps the other stats when only points change", () => {
+        const bytes = new Uint8Array(0x400);
+        const ctx = getSaveContext("ps2", 0, { statsOffsets: STATS_OFFSETS });
+        writeStats(bytes, ctx, { battles: 12, wins: 7, opponentWins: [1, 2, 3] });
+        writeStats(bytes, ctx, { rankingPoints: 500 });
+
+        const stats = readStats(bytes, ctx);
+        expect(stats).toMatchObject({ rankingPoints: 500, battles: 12, wins: 7 });
+        expect(stats.opponentWins.slice(0, 4)).toEqual([1, 2, 3, 0]);
+    });
+});
+
+describe("format detection", () => {
+    const fullSize = (platform) => {
+        const { slotOrigin, saveSize, slotCount } = FORMAT_CONFIGS[platform];
+        return saveSize ? slotOrigin + saveSize * slotCount : 0x4000;
+    };
+
+    // A profile the game could have written: a name, valid styling and one
+    // Bakugan in the first deck
+    function populate(bytes, platform, slot) {
+        const ctx = getSaveContext(platform, slot);
+        writePlayerName(bytes, ctx, "Dan");
+        writeStyling(
+            bytes,
+            ctx,
+            Object.fromEntries(
+                STYLING_FIELDS.filter((f) => getStylingOptions(f.key).length).map((f) => [
+                    f.key,
+                    getStylingOptions(f.key)[0].id,
+                ])
+            )
+        );
+        writeDeck(bytes, ctx, 0, { bakuganSlots: [{ bakuganId: 4, attributeId: 2 }] });
+        writeDeck(bytes, ctx, 1, {});
+    }
+
+    for (const platform of Object.keys(FORMAT_CONFIGS)) {
+        it(`detects a ${platform} save and its populated slots`, () => {
+            const slots = FORMAT_CONFIGS[platform].slotCount > 1 ? [1, 3] : [0];
+            const bytes = new Uint8Array(fullSize(platform));
+            for (const slot of slots) populate(bytes, platform, slot);
+
+            const { best, confidence } = detectSaveFormat(bytes);
+            expect(best.platform).toBe(platform);
+            expect(best.populatedSlots).toEqual(slots);
+            expect(best.slots[slots[0]].playerName).toBe("Dan");
+            expect(confidence).toBeGreaterThanOrEqual(50);
+        });
+    }
+
+    it("falls back to the content when the size fits no layout", () => {
+        const bytes = new Uint8Array(fullSize("x360") + 5);
+        populate(bytes, "x360", 2);
+
+        const { best, candidates } = detectSaveFormat(bytes);
+        expect(best.platform).toBe("x360");
+        expect(best.sizeScore).toBe(0);
+        expect(best.populatedSlots).toEqual([2]);
+        expect(candidates.find((c) => c.platform === "wii").populatedSlots).toEqual([]);
+    });
+
+    it("does not trust the size of a file with no recognisable profile", () => {
+        const detected = detectSaveFormat(new Uint8Array(fullSize("ps2")));
+        expect(detected.candidates.every((c) => c.populatedSlots.length === 0)).toBe(true);
+        expect(detected.confidence).toBeLessThan(50);
+    });
+});
+
+describe("layout engine", () => {
+    const ps3 = getSaveContext("ps3");
+    const deck2 = ps3.deckOffsets[1];
+
+    it("decodes a section's fields and skips fixed filler", () => {
+        const bytes = new Uint8Array(0x4000).fill(0xff, deck2, deck2 + 36);
+        bytes.set([0x00, 6 * 4 + 2], deck2);
+        bytes.set([0x00, 0x01], deck2 + 12);
+
+        const deck = readLayoutSection(bytes, ps3, "deck", { deckIndex: 1 });
+        expect(Object.keys(deck)).toEqual(["bakuganSlots", "gateCards", "abilityCards"]);
+        expect(deck.bakuganSlots[0]).toEqual({ bakuganId: 4, attributeId: 2 });
+        expect(deck.bakuganSlots[1]).toEqual({ bakuganId: null, attributeId: null });
+        expect(deck.gateCards[0]).toEqual({ cardId: 0x27f9 });
+        expect(deck.abilityCards[2]).toEqual({ cardId: null });
+    });
+
+    it("writes only the given values, then the filler", () => {
+        const bytes = new Uint8Array(0x4000);
+        writeLayoutSection(bytes, ps3, "deck", { gateCards: [undefined, { cardId: 0x27fa }] }, { deckIndex: 1 });
+
+        expect(Array.from(bytes.subarray(deck2, deck2 + 18))).toEqual([
+            0, 0, 0, 0, 0, 0,
+            0xff, 0xff, 0xff, 0xff, 0xff, 0xff,
+            0, 0, 0x00, 0x02, 0, 0,
+        ]);
+        expect(bytes.subarray(deck2 + 30, deck2 + 36).every((b) => b === 0xff)).toBe(true);
+    });
+
+    it("uses the platform's word order and pads after each element", () => {
+        const ps2 = getSaveContext("ps2");
+        const bytes = new Uint8Array(0x10000).fill(0xaa);
+        const index = { bakuganId: 0, attributeId: 1 };
+        writeLayoutSection(bytes, ps2, "bakugan", { power: 0x0123 }, index);
+
+        const at = ps2.baseOffset + 20 + 5;
+        expect(Array.from(bytes.subarray(at, at + 3))).toEqual([0x23, 0x01, 0xaa]);
+        expect(readLayoutSection(bytes, ps2, "bakugan", index).power).toBe(0x0123);
+
+        const usage = new Uint8Array(0x4000).fill(0xaa);
+        writeLayoutSection(usage, ps3, "stats", { attributeUsage: [7, 8] });
+        const base = ps3.statsOffsets.attributeUsageBase;
+        expect(Array.from(usage.subarray(base, base + 5))).toEqual([7, 0, 8, 0, 0xaa]);
+    });
+
+    it("refuses unmapped sections and instances past the end of the file", () => {
+        expect(() => readLayoutSection(new Uint8Array(0x10000), getSaveContext("wii"), "stats")).toThrow(
+            /not mapped/
+        );
+        expect(() => readLayoutSection(new Uint8Array(deck2 + 20), ps3, "deck", { deckIndex: 1 })).toThrow(
+            /Deck out of range/
+        );
+        expect(() => readLayoutSection(new Uint8Array(0x4000), ps3, "deck", { deckIndex: 2 })).toThrow(
+            /Invalid deckIndex 2/
+        );
+    });
+
+    it("annotates every instance with its index labels and decoded value", () => {
+        const bytes = new Uint8Array(0x4000);
+        bytes.set([0x00, 0x01], deck2 + 12);
+        const annotations = getFieldAnnotations(ps3, bytes.length, bytes);
+
+        const gate = annotations.find((a) => a.start === deck2 + 12);
+        expect(gate).toMatchObject({
+            end: deck2 + 14,
+            section: "deck",
+            field: "gateCards",
+            tab: "decks",
+            index: { deckIndex: 1 },
+            label: "Deck · Deck 2 · Gate card 1",
+            value: "Manion",
+        });
+
+        const power = annotations.find((a) => a.path === "bakugan.power" && a.index.bakuganId === 4);
+        expect(power.label).toBe("Bakugan entry · Tigrerra · Pyrus · Power");
+        expect(annotations.find((a) => a.path === "statsOffsets.wins").start).toBe(ps3.statsOffsets.wins);
+
+        // Elements past the end of the file are left out
+        const short = getFieldAnnotations(ps3, deck2 + 13);
+        expect(short.some((a) => a.start === deck2 + 12)).toBe(false);
+        expect(short.every((a) => a.end <= deck2 + 13)).toBe(true);
+    });
+});
+
+describe("search", () => {
+    const big = getSaveContext("ps3");
+    const little = getSaveContext("ps2");
+
+    it("parses hex pairs with ?? wildcards", () => {
+        expect(buildSearchPattern("hex", "0x27 F8 ?? ff", big)).toEqual([0x27, 0xf8, null, 0xff]);
+        for (const bad of ["", "27F", "2G", "?"]) {
+            expect(() => buildSearchPattern("hex", bad, big)).toThrow(/pairs of hex digits/);
+        }
+    });
+
+    it("encodes ASCII and game text", () => {
+        expect(buildSearchPattern("ascii", "Dan", big)).toEqual([0x44, 0x61, 0x6e]);
+        expect(buildSearchPattern("char16", "Dan", big)).toEqual([0x44, 0, 0x61, 0, 0x6e, 0]);
+        expect(() => buildSearchPattern("char16", "", big)).toThrow(/Enter some text/);
+    });
+
+    it("encodes integers at their width in the platform's word order", () => {
+        expect(buildSearchPattern("u8", "200", big)).toEqual([200]);
+        expect(buildSearchPattern("u16", "0x1234", big)).toEqual([0x12, 0x34]);
+        expect(buildSearchPattern("u16", "0x1234", little)).toEqual([0x34, 0x12]);
+        expect(buildSearchPattern("u24", "1000000", big)).toEqual([0x0f, 0x42, 0x40]);
+        expect(buildSearchPattern("u24", "1000000", little)).toEqual([0x40, 0x42, 0x0f]);
+        for (const [kind, text] of [["u8", "256"], ["u16", "-1"], ["u24", "1.5"], ["u16", ""]]) {
+            expect(() => buildSearchPattern(kind, text, big)).toThrow(/whole number/);
+        }
+        expect(() => buildSearchPattern("u32", "1", big)).toThrow(/Unknown search kind/);
+    });
+
+    it("finds every match within the range, wildcards included", () => {
+        const bytes = new Uint8Array([0x12, 0x34, 0x12, 0x99, 0x12, 0x34, 0x12]);
+        const pattern = buildSearchPattern("hex", "12??12", big);
+        expect(searchBytes(bytes, pattern)).toEqual([0, 2, 4]);
+        expect(searchBytes(bytes, pattern, 1)).toEqual([2, 4]);
+        expect(searchBytes(bytes, pattern, 0, 6)).toEqual([0, 2]);
+        expect(searchBytes(bytes, pattern, 0, bytes.length, 2)).toEqual([0, 2]);
+        expect(searchBytes(bytes, [0x12, 0x34])).toEqual([0, 4]);
+        expect(searchBytes(bytes, [0x34, 0x12, 0x00])).toEqual([]);
+    });
+});
+
+describe("inspector", () => {
+    it("reads and writes deck slots with the layout's card base", () => {
+        const ctx = getSaveContext("ps3");
+        const bytes = new Uint8Array([0x00, 0x01, 0xff, 0xff]);
+        const card = inspectBytes(bytes, 0, ctx).find((i) => i.key === "cardSlot");
+        expect(card).toMatchObject({ value: { cardId: 0x27f9 }, text: "Manion" });
+
+        writeInterpretation(bytes, 2, ctx, "cardSlot", { cardId: 0x27fa });
+        expect(Array.from(bytes.subarray(2))).toEqual([0x00, 0x02]);
+    });
+
+    it("reads words both ways regardless of the platform", () => {
+        const bytes = new Uint8Array([0x01, 0x02, 0x03, 0x04, 0xfe]);
+        const values = (offset) =>
+            Object.fromEntries(inspectBytes(bytes, offset, getSaveContext("ps2")).map((i) => [i.key, i.value]));
+
+        expect(values(0)).toMatchObject({
+            u8: 1,
+            u16be: 0x0102,
+            u16le: 0x0201,
+            u24be: 0x010203,
+            u24le: 0x030201,
+            u32be: 0x01020304,
+            u32le: 0x04030201,
+        });
+        expect(values(4)).toMatchObject({ u8: 0xfe, i8: -2 });
+        // Words that would run past the file are left out
+        expect(Object.keys(values(3))).toContain("u16be");
+        expect(Object.keys(values(3))).not.toContain("u24be");
+        expect(inspectBytes(bytes, 5, getSaveContext("ps2"))).toEqual([]);
+    });
+
+    it("writes each width in its own word order", () => {
+        const ctx = getSaveContext("ps3");
+        const bytes = new Uint8Array(4);
+        writeInterpretation(bytes, 0, ctx, "u24le", 0x010203);
+        expect(Array.from(bytes)).toEqual([0x03, 0x02, 0x01, 0x00]);
+        writeInterpretation(bytes, 0, ctx, "u32be", 0xa0b0c0d0);
+        expect(Array.from(bytes)).toEqual([0xa0, 0xb0, 0xc0, 0xd0]);
+        writeInterpretation(bytes, 1, ctx, "i8", -1);
+        expect(bytes[1]).toBe(0xff);
+    });
+
+    it("refuses values that do not fit and leaves the bytes alone", () => {
+        const ctx = getSaveContext("ps3");
+        const bytes = new Uint8Array([1, 2, 3, 4]);
+        expect(() => writeInterpretation(bytes, 0, ctx, "u16be", 0x10000)).toThrow(/0 to 65535/);
+        expect(() => writeInterpretation(bytes, 0, ctx, "u24le", -1)).toThrow(/0 to 16777215/);
+        expect(() => writeInterpretation(bytes, 0, ctx, "u32le", 2 ** 32)).toThrow(/0 to 4294967295/);
+        expect(() => writeInterpretation(bytes, 0, ctx, "u8", 256)).toThrow(/0 to 255/);
+        expect(() => writeInterpretation(bytes, 0, ctx, "i8", 128)).toThrow(/-128 to 127/);
+        expect(() => writeInterpretation(bytes, 0, ctx, "u16be", 1.5)).toThrow(/whole number/);
+        expect(Array.from(bytes)).toEqual([1, 2, 3, 4]);
+    });
+
+    it("cuts game text off at the end of the file", () => {
+        const ctx = getSaveContext("ps3");
+        const bytes = new Uint8Array(8).fill(0xaa);
+        writeInterpretation(bytes, 2, ctx, "char16", "Dan");
+        expect(Array.from(bytes)).toEqual([0xaa, 0xaa, 0x44, 0, 0x61, 0, 0x6e, 0]);
+        expect(inspectBytes(bytes, 2, ctx).find((i) => i.key === "char16").value).toBe("Dan");
+
+        writeInterpretation(bytes, 4, ctx, "char16", "Ru");
+        expect(Array.from(bytes.subarray(4))).toEqual([0x52, 0, 0x75, 0]);
+    });
+});
+
+describe("structure overlays", () => {
+    it("decodes a Bakugan entry where the layout puts it", () => {
+        const ctx = getSaveContext("ps3");
+        const bytes = new Uint8Array(0x4000);
+        writeBakuganEntry(bytes, ctx, 4, 2, { power: 520, level: 6 });
+        const offset = getBakuganOffset(ctx, 4, 2);
+
+        const overlay = interpretStructure(bytes, ctx, "bakugan", offset);
+        expect(overlay).toHaveLength(SAVE_LAYOUT.bakugan.fields.length);
+        expect(overlay[0]).toEqual({ start: offset, end: offset + 1, label: "Bakugan ID", text: "4 (0x4)", ok: true });
+        expect(overlay.find((e) => e.label === "Attribute ID")).toMatchObject({ text: "2 (0x2)", ok: true });
+        expect(overlay.find((e) => e.label === "Power")).toEqual({
+            start: offset + 5,
+            end: offset + 7,
+            label: "Power",
+            text: "520 (0x208)",
+            ok: true,
+        });
+        expect(overlay.find((e) => e.label === "Level")).toMatchObject({ text: "6 (0x6)", ok: true });
+        expect(structureLength(ctx, "bakugan")).toBe(20);
+
+        // Read in the other word order, power falls out of its domain
+        const swapped = interpretStructure(bytes, ctx, "bakugan", offset, "little");
+        expect(swapped.find((e) => e.label === "Power")).toMatchObject({ text: "2050 (0x802)", ok: false });
+    });
+
+    it("lays stats out with PS3's spacing where the platform has no map", () => {
+        const bytes = new Uint8Array(0x400);
+        writeStats(bytes, getSaveContext("wii", 0, { statsOffsets: STATS_OFFSETS }), { battles: 9, wins: 7 });
+
+        const wii = getSaveContext("wii");
+        const overlay = interpretStructure(bytes, wii, "stats", 0x100);
+        expect(overlay.find((e) => e.label === "Battles")).toMatchObject({ start: 0x10a, text: "9 (0x9)" });
+        expect(overlay.find((e) => e.label === "Wins")).toMatchObject({ start: 0x10c, text: "7 (0x7)" });
+        expect(overlay.find((e) => e.label === "Attribute usage 6").start).toBe(0x1c8 + 10);
+        expect(structureLength(wii, "stats")).toBe(0x1c8 + 11 - 0x100);
+
+        // Elements past the end of the file are left out
+        const cut = interpretStructure(bytes.subarray(0, 0x110), wii, "stats", 0x100);
+        expect(cut.every((e) => e.end <= 0x110)).toBe(true);
+        expect(cut.some((e) => e.label === "Wins")).toBe(true);
+    });
+});
+
+describe("custom fields", () => {
+    const field = (extra) => ({ name: "Mystery", platform: "wii", offset: 0x40, type: "u16", ...extra });
+
+    it("fills in the width and id of a definition", () => {
+        expect(normalizeCustomField(field({ width: 7, note: "seen twice" }))).toEqual({
+            id: "wii-64-Mystery",
+            name: "Mystery",
+            platform: "wii",
+            offset: 0x40,
+            width: 2,
+            type: "u16",
+            note: "seen twice",
+        });
+        expect(normalizeCustomField(field({ type: "char16", width: 8, id: 3, note: 5 }))).toMatchObject({
+            id: "3",
+            width: 8,
+            note: "",
+        });
+    });
+
+    it("rejects malformed definitions", () => {
+        const cases = [
+            [field({ type: "u64" }), /Unknown custom field type: u64/],
+            [null, /Unknown custom field type/],
+            [field({ platform: "gc" }), /Unknown platform for Mystery: gc/],
+            [field({ name: "" }), /needs a name/],
+            [field({ name: 5 }), /needs a name/],
+            [field({ offset: -1 }), /offset must be a non-negative/],
+            [field({ offset: "0x40" }), /offset must be a non-negative/],
+            [field({ type: "bytes" }), /width must be a positive/],
+            [field({ type: "bytes", width: 0 }), /width must be a positive/],
+            [field({ type: "char16", width: 3 }), /even for game text/],
+        ];
+        for (const [definition, message] of cases) {
+            expect(() => normalizeCustomField(definition)).toThrow(message);
+        }
+    });
+
+    it("round-trips a layout file and rejects anything else", () => {
+        const fields = [field(), field({ name: "Flags", type: "bytes", width: 3 })].map(normalizeCustomField);
+        expect(parseCustomLayout(serializeCustomLayout(fields))).toEqual(fields);
+
+        expect(() => parseCustomLayout("{")).toThrow(/invalid JSON/);
+        expect(() => parseCustomLayout("null")).toThrow(/no fields list/);
+        expect(() => parseCustomLayout(JSON.stringify({ version: 1, fields: {} }))).toThrow(/no fields list/);
+        expect(() => parseCustomLayout(JSON.stringify({ version: 2, fields: [] }))).toThrow(/version: 2/);
+        expect(() => parseCustomLayout(JSON.stringify({ version: 1, fields: [field({ offset: 1.5 })] }))).toThrow(
+            /Mystery: offset/
+        );
+    });
+
+    it("keeps overlapping definitions, each decoding its own range", () => {
+        const fields = parseCustomLayout(
+            JSON.stringify({
+                version: 1,
+                fields: [
+                    field({ name: "Word" }),
+                    field({ name: "Low byte", type: "u8", offset: 0x41 }),
+                    field({ name: "Raw", type: "bytes", width: 4, offset: 0x3f }),
+                ],
+            })
+        );
+        const ctx = getSaveContext("wii", 1);
+        const bytes = new Uint8Array(FORMAT_CONFIGS.wii.saveSize * 2);
+        const at = 0x40 + FORMAT_CONFIGS.wii.saveSize;
+        bytes.set([0x12, 0x34], at);
+
+        expect(fields.map((f) => readCustomField(bytes, ctx, f))).toEqual([0x1234, 0x34, "00 12 34 00"]);
+        const annotations = getCustomFieldAnnotations(fields, ctx, bytes);
+        expect(annotations.map((a) => [a.start - at, a.end - at])).toEqual([[0, 2], [1, 2], [-1, 3]]);
+        // Definitions for another platform do not apply
+        expect(getCustomFieldAnnotations(fields, getSaveContext("ps2", 1), bytes)).toEqual([]);
+    });
+});
+
+describe("slots", () => {
+    const fileLength = (platform) => {
+        const { slotOrigin, saveSize, slotCount } = FORMAT_CONFIGS[platform];
+        return slotOrigin + saveSize * slotCount;
+    };
+
+    // Each slot's bytes filled with its own number
+    function slottedFile(platform) {
+        const bytes = new Uint8Array(fileLength(platform));
+        for (let slot = 0; slot < 4; slot++) {
+            const { start, end } = getSlotSpan(platform, slot);
+            bytes.fill(slot + 1, start, end);
+        }
+        return bytes;
+    }
+
+    const slotValues = (bytes, platform, slot) => {
+        const { start, end } = getSlotSpan(platform, slot);
+        return new Set(bytes.subarray(start, end));
+    };
+
+    it("spans saveSize bytes that hold every mapped field of the slot", () => {
+        for (const platform of ["wii", "ps2", "x360"]) {
+            const { saveSize } = FORMAT_CONFIGS[platform];
+            for (let slot = 0; slot < 4; slot++) {
+                const { start, end } = getSlotSpan(platform, slot);
+                expect(end - start).toBe(saveSize);
+                expect(end).toBeLessThanOrEqual(fileLength(platform));
+                for (const a of getFieldAnnotations(getSaveContext(platform, slot), Infinity)) {
+                    expect(a.start).toBeGreaterThanOrEqual(start);
+                    expect(a.end).toBeLessThanOrEqual(end);
+                }
+            }
+            const bytes = new Uint8Array(fileLength(platform));
+            expect(summarizeSlot(bytes, platform, 3).missing).toBe(false);
+            expect(summarizeSlot(bytes.subarray(0, bytes.length - 1), platform, 3).missing).toBe(true);
+        }
+    });
+
+    it("copies the whole slot, unmapped bytes included", () => {
+        const bytes = slottedFile("ps2");
+        copySlot(bytes, "ps2", 0, 2);
+        expect(slotValues(bytes, "ps2", 2)).toEqual(new Set([1]));
+        expect(slotValues(bytes, "ps2", 1)).toEqual(new Set([2]));
+        expect(slotValues(bytes, "ps2", 3)).toEqual(new Set([4]));
+        expect(bytes.subarray(0, getSlotSpan("ps2", 0).start).every((b) => b === 0)).toBe(true);
+    });
+
+    it("copies a slot from another file", () => {
+        const bytes = slottedFile("wii");
+        copySlot(bytes, "wii", 3, 0, slottedFile("wii").fill(9));
+        expect(slotValues(bytes, "wii", 0)).toEqual(new Set([9]));
+        expect(slotValues(bytes, "wii", 1)).toEqual(new Set([2]));
+    });
+
+    it("swaps whole slots", () => {
+        const bytes = slottedFile("x360");
+        swapSlots(bytes, "x360", 1, 3);
+        expect(slotValues(bytes, "x360", 1)).toEqual(new Set([4]));
+        expect(slotValues(bytes, "x360", 3)).toEqual(new Set([2]));
+        expect(slotValues(bytes, "x360", 0)).toEqual(new Set([1]));
+    });
+
+    it("clears the whole slot and nothing else", () => {
+        const bytes = slottedFile("ps2");
+        clearSlot(bytes, "ps2", 1);
+        const { start, end } = getSlotSpan("ps2", 1);
+        const mapped = new Set();
+        for (const a of getFieldAnnotations(getSaveContext("ps2", 1), Infinity)) {
+            for (let i = a.start; i < a.end; i++) mapped.add(i);
+        }
+        for (let i = start; i < end; i++) {
+            if (!mapped.has(i)) expect(bytes[i]).toBe(0);
+        }
+        expect(bytes[start]).toBe(0);
+        expect(bytes[end - 1]).toBe(0);
+        expect(slotValues(bytes, "ps2", 0)).toEqual(new Set([1]));
+        expect(slotValues(bytes, "ps2", 2)).toEqual(new Set([3]));
+    });
+
+    it("leaves a cleared slot owning nothing, with empty decks", () => {
+        for (const platform of ["wii", "ps2", "x360"]) {
+            const bytes = slottedFile(platform);
+            clearSlot(bytes, platform, 2);
+            const model = readSaveModel(bytes, getSaveContext(platform, 2));
+            expect(model.bakugan.filter(isBakuganOwned)).toEqual([]);
+            for (const deck of model.decks) {
+                expect(deck.bakuganSlots.every((s) => s.bakuganId == null)).toBe(true);
+            }
+        }
+    });
+
+    it("refuses a slot past the end of the file", () => {
+        const bytes = slottedFile("wii").subarray(0, FORMAT_CONFIGS.wii.saveSize * 3);
+        expect(() => copySlot(bytes, "wii", 0, 3)).toThrow(/does not fit/);
+    });
+});
+
+describe("round trip", () => {
+    // Noise in every byte, so a codec that rewrites what it read shows up
+    function noisyFile(platform) {
+        const { slotOrigin, saveSize, slotCount } = FORMAT_CONFIGS[platform];
+        const bytes = new Uint8Array(saveSize ? slotOrigin + saveSize * slotCount : 0x4000);
+        let seed = 1;
+        for (let i = 0; i < bytes.length; i++) {
+            seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+            bytes[i] = seed >>> 24;
+        }
+        return bytes;
+    }
+
+    for (const platform of Object.keys(FORMAT_CONFIGS)) {
+        it(`serializes an unedited ${platform} save byte for byte`, () => {
+            const original = noisyFile(platform);
+            for (let slot = 0; slot < FORMAT_CONFIGS[platform].slotCount; slot++) {
+                const bytes = original.slice();
+                writePlayerName(bytes, getSaveContext(platform, slot), `Slot${slot}`);
+                const parsed = parseSaveFile(bytes.slice().buffer, platform, slot);
+                expect(parsed.player.name).toBe(`Slot${slot}`);
+                expect(new Uint8Array(serializeSaveFile(parsed))).toEqual(bytes);
+            }
+        });
+    }
+
+    it("reads PS2 slots from 0x810 and writes an edit inside its slot", () => {
+        const { saveSize, offsets } = FORMAT_CONFIGS.ps2;
+        const bytes = noisyFile("ps2");
+        bytes.set([0x44, 0, 0x61, 0, 0x6e, 0, 0, 0], offsets.playerNameOffset + saveSize);
+
+        const parsed = parseSaveFile(bytes.slice().buffer, "ps2", 1);
+        expect(getSlotSpan("ps2", 1).start).toBe(0x810 + saveSize);
+        expect(parsed.player.name).toBe("Dan");
+
+        parsed.player = { name: "Runo" };
+        const out = new Uint8Array(serializeSaveFile(parsed));
+        const changed = [...out.keys()].filter((i) => out[i] !== bytes[i]);
+        const nameStart = offsets.playerNameOffset + saveSize;
+        expect(changed.length).toBeGreaterThan(0);
+        expect(changed.every((i) => i >= nameStart && i < nameStart + 16)).toBe(true);
+        expect(parseSaveFile(out.buffer, "ps2", 1).player.name).toBe("Runo");
+    });
+});
+
+describe("collection", () => {
+    const ctx = getSaveContext("ps3");
+    const blankSave = () => new Uint8Array(0x4000);
+    const owned = (bytes, bakuganId, attributeId) =>
+        isBakuganOwned(readBakuganEntry(bytes, ctx, bakuganId, attributeId));
+
+    it("grants default stats at level 1 when no sibling is owned", () => {
+        const bytes = blankSave();
+        expect(owned(bytes, 4, 2)).toBe(false);
+        grantBakugan(bytes, ctx, 4, 2);
+
+        expect(owned(bytes, 4, 2)).toBe(true);
+        expect(readBakuganEntry(bytes, ctx, 4, 2).raw).toMatchObject({
+            id: 4,
+            attribute: 2,
+            power: 300,
+            speed: 10,
+            level: 1,
+        });
+    });
+
+    it("copies an owned sibling's stats but not its level", () => {
+        const bytes = blankSave();
+        writeBakuganEntry(bytes, ctx, 4, 0, { power: 520, speed: 31, jump: 7, level: 6 });
+        grantBakugan(bytes, ctx, 4, 3);
+        expect(readBakuganEntry(bytes, ctx, 4, 3).raw).toMatchObject({
+            power: 520,
+            speed: 31,
+            jump: 7,
+            level: 1,
+        });
+    });
+
+    it("owns Dragonoid/Pyrus only when a known field is set", () => {
+        const bytes = blankSave();
+        expect(owned(bytes, 0, 0)).toBe(false);
+        bytes[readBakuganEntry(bytes, ctx, 0, 0).offset + 15] = 0x77;
+        expect(owned(bytes, 0, 0)).toBe(false);
+        grantBakugan(bytes, ctx, 0, 0);
+        expect(owned(bytes, 0, 0)).toBe(true);
+    });
+
+    it("revokes the known fields and keeps the unknown bytes", () => {
+        const bytes = blankSave();
+        grantBakugan(bytes, ctx, 6, 1);
+        const { offset } = readBakuganEntry(bytes, ctx, 6, 1);
+        bytes[offset + 2] = 0x12;
+        bytes[offset + 15] = 0x77;
+
+        revokeBakugan(bytes, ctx, 6, 1);
+        const { raw } = readBakuganEntry(bytes, ctx, 6, 1);
+        expect(owned(bytes, 6, 1)).toBe(false);
+        expect(raw).toMatchObject({ id: 0, attribute: 0, power: 0, level: 0 });
+        expect(raw).toMatchObject({ unknown2: 0x12, unknown15: 0x77 });
+    });
+
+    it("refuses to revoke a Bakugan in a deck unless asked to remove it", () => {
+        const bytes = blankSave();
+        for (const [id, attr] of [[4, 0], [6, 1], [8, 2]]) grantBakugan(bytes, ctx, id, attr);
+        const slots = [
+            { bakuganId: 4, attributeId: 0 },
+            { bakuganId: 6, attributeId: 1 },
+            { bakuganId: 8, attributeId: 2 },
+        ];
+        writeDeck(bytes, ctx, 0, { bakuganSlots: slots });
+        writeDeck(bytes, ctx, 1, { bakuganSlots: [slots[1]] });
+
+        expect(() => revokeBakugan(bytes, ctx, 6, 1)).toThrow(/Deck 1, Deck 2/);
+        expect(owned(bytes, 6, 1)).toBe(true);
+
+        revokeBakugan(bytes, ctx, 6, 1, true);
+        expect(owned(bytes, 6, 1)).toBe(false);
+        const remaining = readDeck(bytes, ctx, 0).bakuganSlots.map((s) => s.bakuganId ?? null);
+        expect(remaining).toEqual([4, 8, null]);
+        expect(readDeck(bytes, ctx, 1).bakuganSlots.every((s) => s.bakuganId == null)).toBe(true);
+    });
+});
+
+describe("conversion", () => {
+    const wiiLength = FORMAT_CONFIGS.wii.saveSize * 4;
+    const x360Length = FORMAT_CONFIGS.x360.saveSize * 4;
+
+    function wiiSave() {
+        const bytes = new Uint8Array(wiiLength);
+        writeSaveModel(bytes, getSaveContext("wii", 0), { player: { name: "Dan" } });
+        return bytes;
+    }
+
+    it("requires a target save", () => {
+        expect(() => convertSave(wiiSave(), getSaveContext("wii", 0), "x360")).toThrow(
+            /existing X360 save/
+        );
+    });
+
+    it("refuses a target without the chosen slot", () => {
+        const target = new ArrayBuffer(FORMAT_CONFIGS.x360.saveSize * 2);
+        expect(() =>
+            convertSave(wiiSave(), getSaveContext("wii", 0), "x360", { target, targetSlot: 2 })
+        ).toThrow(/no slot 3/);
+    });
+
+    it("writes into a copy of the target and keeps its unmapped bytes", () => {
+        const target = new Uint8Array(x360Length).fill(0xaa);
+        const result = convertSave(wiiSave(), getSaveContext("wii", 0), "x360", {
+            target: target.buffer,
+            targetSlot: 1,
+        });
+
+        expect(result.bytes).toHaveLength(x360Length);
+        expect(target.every((b) => b === 0xaa)).toBe(true);
+        expect(readSaveModel(result.bytes, getSaveContext("x360", 1)).player.name).toBe("Dan");
+        expect(result.bytes[0]).toBe(0xaa);
+        expect(result.bytes[result.bytes.length - 1]).toBe(0xaa);
+        expect(result.report.some((r) => r.section === "player")).toBe(false);
+    });
+
+    it("carries the known Bakugan fields and keeps the target's unknown bytes", () => {
+        const source = wiiSave();
+        const raw = { power: 480, level: 4, unknown15: 0x77 };
+        writeBakuganEntry(source, getSaveContext("wii", 0), 6, 1, raw);
+        const target = new Uint8Array(x360Length);
+        const targetCtx = getSaveContext("x360", 0);
+        writeBakuganEntry(target, targetCtx, 6, 1, { unknown15: 0x11 });
+
+        const result = convertSave(source, getSaveContext("wii", 0), "x360", { target: target.buffer });
+        expect(readBakuganEntry(result.bytes, targetCtx, 6, 1).raw).toMatchObject({
+            id: 6,
+            attribute: 1,
+            power: 480,
+            level: 4,
+            unknown15: 0x11,
+        });
+        expect(result.report.some((r) => r.section === "bakugan")).toBe(false);
+        expect(readSaveModel(result.bytes, targetCtx).bakugan.filter(isBakuganOwned)).toHaveLength(1);
+    });
+});
+
+describe("offset inference", () => {
+    const PLAUSIBLE_STATS = {
+        rankingPoints: 1200,
+        bakuganPoints: 340,
+        battles: 20,
+        wins: 12,
+        losses: 8,
+        oneVsOne: 10,
+        battleRoyale: 5,
+        tagTeam: 5,
+        opponentWins: [3, 2, 1],
+    };
+
+    function noise(length) {
+        const bytes = new Uint8Array(length);
+        let x = 12345;
+        for (let i = 0; i < bytes.length; i++) {
+            x = (x * 1103515245 + 12345) >>> 0;
+            bytes[i] = x >>> 24;
+        }
+        return bytes;
+    }
+
+    it("proposes the unmapped stats and usage anchors from PS3", () => {
+        for (const platform of ["wii", "ps2", "x360"]) {
+            const bytes = new Uint8Array(FORMAT_CONFIGS[platform].saveSize * 4 + 0x1000);
+            const proposals = inferSectionOffsets(bytes, platform, 0);
+            expect(proposals.some((p) => p.anchor === "statsOffsets")).toBe(true);
+            expect(proposals.some((p) => p.anchor === "bakuganUsageBase")).toBe(true);
+            expect(proposals.every((p) => p.sources.some((s) => s.platform === "ps3"))).toBe(true);
+            expect(proposals.every((p) => p.blank)).toBe(true);
+        }
+    });
+
+    it("ranks the PS2 candidate whose values hold together first", () => {
+        const bytes = noise(0x10000);
+        const candidates = inferSectionOffsets(bytes, "ps2", 0).filter((p) => p.anchor === "statsOffsets");
+        expect(candidates.length).toBeGreaterThan(1);
+
+        const chosen = candidates[candidates.length - 1];
+        writeStats(bytes, getSaveContext("ps2", 0, { statsOffsets: chosen.value }), PLAUSIBLE_STATS);
+
+        const ranked = inferSectionOffsets(bytes, "ps2", 0).filter((p) => p.anchor === "statsOffsets");
+        expect(ranked[0].value).toEqual(chosen.value);
+        expect(ranked[0].failed).toEqual([]);
+        expect(ranked[0].blank).toBe(false);
+        expect(ranked.slice(1).every((p) => p.failed.length > 0)).toBe(true);
+    });
+
+    it("reports the value checks a candidate fails", () => {
+        const bytes = new Uint8Array(FORMAT_CONFIGS.wii.saveSize * 4);
+        const [candidate] = inferSectionOffsets(bytes, "wii", 0).filter((p) => p.anchor === "statsOffsets");
+        writeStats(bytes, getSaveContext("wii", 0, { statsOffsets: candidate.value }), {
+            battles: 2,
+            wins: 5,
+            losses: 1,
+        });
+
+        const [checked] = inferSectionOffsets(bytes, "wii", 0).filter((p) => p.anchor === "statsOffsets");
+        expect(checked.failed).toEqual(["wins + losses ≤ battles"]);
+        expect(checked.passed).toBe(checked.checked - 1);
+    });
+
+    it("checks the zero bytes between usage counters", () => {
+        const bytes = new Uint8Array(FORMAT_CONFIGS.wii.saveSize * 4);
+        const [clean] = inferSectionOffsets(bytes, "wii", 0).filter((p) => p.anchor === "bakuganUsageBase");
+        expect(clean.passed).toBe(clean.checked);
+
+        bytes[clean.start + 1] = 0x7f;
+        const [dirty] = inferSectionOffsets(bytes, "wii", 0).filter((p) => p.anchor === "bakuganUsageBase");
+        expect(dirty.passed).toBe(dirty.checked - 1);
+    });
+});
+
+describe("snapshot analysis", () => {
+    const ctx = getSaveContext("ps3");
+    const { battles, wins, losses, oneVsOne, tagTeam, opponentWins } = ctx.statsOffsets;
+
+    // Each step bumps the counters its tag names, plus a byte that changes
+    // every time whatever happened
+    function series(tags) {
+        let bytes = new Uint8Array(0x4000);
+        const snapshots = [{ bytes, tag: {} }];
+        for (const tag of tags) {
+            bytes = bytes.slice();
+            bytes[battles] += 1;
+            bytes[tag.result === "win" ? wins : losses] += 1;
+            bytes[tag.mode === "tagTeam" ? tagTeam : oneVsOne] += 1;
+            if (tag.result === "win") bytes[opponentWins + tag.opponent] += 1;
+            bytes[0x100] += 3;
+            snapshots.push({ bytes, tag });
+        }
+        return snapshots;
+    }
+
+    // No two counters move in the same steps, except tagTeam and the wins
+    // against opponent 5
+    const TAGS = [
+        { mode: "oneVsOne", result: "win", opponent: 2 },
+        { mode: "tagTeam", result: "win", opponent: 5 },
+        { mode: "oneVsOne", result: "loss", opponent: null },
+    ];
+
+    it("targets every counter, including one per opponent", () => {
+        const keys = SNAPSHOT_TARGETS.map((t) => t.key);
+        expect(keys).toContain("battles");
+        expect(keys).toContain("tagTeam");
+        expect(keys).toContain("opponentWins.15");
+        expect(SNAPSHOT_TARGETS.find((t) => t.key === "wins").expected({ result: "win" })).toBe(1);
+        expect(SNAPSHOT_TARGETS.find((t) => t.key === "battles").expected({})).toBe(0);
+    });
+
+    it("ranks the mapped counter first for each tagged target", () => {
+        const analysis = analyzeSnapshots(series(TAGS), ctx, 0, 0x4000);
+        const top = (key) => analysis.find((a) => a.target.key === key).candidates[0];
+
+        expect(top("battles")).toEqual({ offset: battles, matches: 3, known: true });
+        expect(top("wins")).toEqual({ offset: wins, matches: 3, known: true });
+        expect(top("losses")).toEqual({ offset: losses, matches: 3, known: true });
+        expect(top("oneVsOne")).toEqual({ offset: oneVsOne, matches: 3, known: true });
+        expect(top("tagTeam")).toEqual({ offset: tagTeam, matches: 3, known: true });
+        expect(top("opponentWins.2")).toEqual({ offset: opponentWins + 2, matches: 3, known: true });
+        expect(analysis.every((a) => a.steps === 3)).toBe(true);
+    });
+
+    it("leaves out targets no tag moves and offsets that never change", () => {
+        const analysis = analyzeSnapshots(series(TAGS), ctx, 0, 0x4000);
+        const keys = analysis.map((a) => a.target.key);
+        expect(keys).not.toContain("battleRoyale");
+        expect(keys).not.toContain("opponentWins.0");
+        for (const { candidates } of analysis) {
+            expect(candidates.every((c) => c.offset !== 0x200)).toBe(true);
+            expect(candidates.every((c) => c.offset !== 0x100)).toBe(true);
+        }
+    });
+
+    it("only searches inside the given range", () => {
+        const analysis = analyzeSnapshots(series(TAGS), ctx, 0, battles);
+        expect(analysis.find((a) => a.target.key === "battles").candidates).toEqual([]);
+    });
+
+    it("reads and writes a partial stats map promoted from a candidate", () => {
+        const bytes = new Uint8Array(FORMAT_CONFIGS.wii.saveSize * 4);
+        const partial = getSaveContext("wii", 0, { statsOffsets: { wins: 0x2ae9 } });
+        writeStats(bytes, partial, { wins: 9, losses: 4 });
+
+        expect(bytes[0x2ae9]).toBe(9);
+        expect(bytes.filter((b) => b !== 0)).toHaveLength(1);
+        expect(readStats(bytes, partial)).toMatchObject({ wins: 9, opponentWins: [] });
+        expect(readStats(bytes, partial).losses).toBeUndefined();
+    });
+});
+
+describe("integrity", () => {
+    it("reports every platform without a known checksum field as unverified", () => {
+        for (const platform of Object.keys(FORMAT_CONFIGS)) {
+            expect(verifyChecksums(new Uint8Array(0x10000), platform)).toEqual({
+                status: "unverified",
+                fields: [],
+            });
+        }
+    });
+
+    it("verifies through a platform's hook and recomputes on serialize", () => {
+        // A byte sum over the player name, stored in the byte after it
+        const at = (ctx) => ctx.playerNameOffset + 16;
+        const sum = (bytes, ctx) =>
+            bytes.subarray(ctx.playerNameOffset, at(ctx)).reduce((a, b) => a + b, 0) & 0xff;
+        const hook = {
+            verify: (bytes, ctx) => [
+                { name: "name sum", offset: at(ctx), stored: bytes[at(ctx)], computed: sum(bytes, ctx) },
+            ],
+            update: (bytes, ctx) => {
+                bytes[at(ctx)] = sum(bytes, ctx);
+            },
+        };
+        const { wii } = FORMAT_CONFIGS;
+        wii.checksums = hook;
+        try {
+            const bytes = new Uint8Array(wii.saveSize * 4);
+            expect(verifyChecksums(bytes, "wii", 2).status).toBe("ok");
+
+            const parsed = parseSaveFile(bytes.buffer, "wii", 2);
+            parsed.player = { name: "Dan" };
+            serializeSaveFile(parsed);
+            const result = verifyChecksums(bytes, "wii", 2);
+            expect(result.status).toBe("ok");
+            expect(result.fields[0].stored).toBe((0x44 + 0x61 + 0x6e) & 0xff);
+
+            bytes[getSaveContext("wii", 2).playerNameOffset] = 0x52;
+            expect(verifyChecksums(bytes, "wii", 2).status).toBe("mismatch");
+            expect(verifyChecksums(bytes, "wii", 1).status).toBe("ok");
+        } finally {
+            wii.checksums = null;
+        }
+    });
+});
+
@@ -0,0 +1,302 @@
+// saveLayout.js
+// Declarative save layout. FORMAT_CONFIGS holds each platform's slot
+// geometry and the offsets ("anchors") where sections start; SAVE_LAYOUT
+// describes the fields found at those anchors. The generic reader, writer,
+// validator and hex annotations in saveFormat.js are driven from this data.
+
+import { ATTRIBUTES, BAKUGAN, CARDS, STYLING_FIELDS, getStylingOptions } from "./constants";
+
+// -----------------
+// Platform configs
+// -----------------
+
+// `offsets` are absolute for slot 0 and shift by saveSize per slot; a null
+// anchor means the section has not been mapped on that platform yet.
+// Slot n occupies [slotOrigin + n * saveSize, slotOrigin + (n + 1) * saveSize);
+// a null saveSize means the file holds a single slot.
+// `checksums` is the platform's integrity hook: null while no checksum field
+// is known inside its game data (reported as "unverified"), otherwise
+// { verify(bytes, ctx), update(bytes, ctx) } for the slot in ctx, where verify
+// returns [{ name, offset, stored, computed }] and update rewrites those fields.
+export const FORMAT_CONFIGS = {
+    ps3: {
+        slotCount: 1,
+        saveSize: null,
+        slotOrigin: 0,
+        wordEndian: "big",
+        deckNameBackOffset: 39,
+        offsets: {
+            baseOffset: 227,
+            cardBaseOffset: -48,
+            playerNameOffset: 0x00C5,
+            stylingOffset: 0x31BF,
+            deckOffsets: [0x2908, 0x2954],
+            bakuganUsageBase: 0x2B81,
+            statsOffsets: {
+                rankingPoints: 0x2AAD,
+                bakuganPoints: 0x2AB1,
+                battles: 0x2AB7,
+                wins: 0x2AB9,
+                losses: 0x2ABB,
+                sphereAttacks: 0x2ABF,
+                doubleStands: 0x2AC1,
+                oneVsOne: 0x2AC3,
+                battleRoyale: 0x2AC5,
+                tagTeam: 0x2AC7,
+                opponentWins: 0x2ACA,
+                attributeUsageBase: 0x2B75,
+            },
+        },
+        checksums: null,
+    },
+    wii: {
+        slotCount: 4,
+        saveSize: 13952,
+        slotOrigin: 0,
+        wordEndian: "big",
+        deckNameBackOffset: 39,
+        offsets: {
+            baseOffset: 275,
+            cardBaseOffset: 0,
+            playerNameOffset: 0x00F5,
+            stylingOffset: 0x31EF,
+            deckOffsets: [0x2938, 0x2984],
+            bakuganUsageBase: null,
+            statsOffsets: null,
+        },
+        checksums: null,
+    },
+    ps2: {
+        slotCount: 4,
+        saveSize: 13920,
+        // Every mapped PS2 field sits 0x80D-0x810 after its Wii counterpart,
+        // and slot 0's fields run past 13920, so slots cannot start at 0
+        slotOrigin: 0x810,
+        wordEndian: "little",
+        deckNameBackOffset: 40,
+        offsets: {
+            baseOffset: 2336,
+            cardBaseOffset: 2064,
+            playerNameOffset: 0x0904,
+            stylingOffset: 0x39FE,
+            deckOffsets: [0x3148, 0x3194],
+            bakuganUsageBase: null,
+            statsOffsets: null,
+        },
+        checksums: null,
+    },
+    x360: {
+        slotCount: 4,
+        saveSize: 13952,
+        slotOrigin: 0,
+        wordEndian: "big",
+        deckNameBackOffset: 39,
+        offsets: {
+            baseOffset: 319,
+            cardBaseOffset: 44,
+            playerNameOffset: 0x0121,
+            stylingOffset: 0x321B,
+            deckOffsets: [0x2964, 0x29B0],
+            bakuganUsageBase: null,
+            statsOffsets: null,
+        },
+        checksums: null,
+    },
+};
+
+// -----------------
+// Field layout
+// -----------------
+
+// Section: { label, tab, anchor, list?, index?, size?, checks?, fields }
+//   anchor  key of the (slot-shifted) offset in the save context
+//   list    the anchor is an array, picked by this index name (e.g. deckIndex)
+//   index   [{ name, stride }] added to the anchor (e.g. bakuganId * 120)
+//   size    section length; fields are bounds-checked against it
+//   checks  [{ label, test(values) }] relations between the decoded fields
+//           of a section without list/index; offset inference ranks
+//           candidate anchors by them
+// Field: { key, label, type, offset, at?, count?, stride?, length?, base?,
+//          pad?, gap?, fixed?, domain?, unknown? }
+//   type    u8 | u16 | u24 (words use the platform's wordEndian), flag (u8,
+//           non-zero = set), char16 (ASCII char + 0x00, `length` chars),
+//           bakuganSlot (u16 bakuganId * 6 + attributeId, 0xFFFF empty),
+//           cardSlot (u16 cardId - `base`, 0xFFFF empty)
+//   at      key inside an object anchor (stats fields each have their own)
+//   count   number of elements, `stride` bytes apart
+//   pad     value written to the byte after each element
+//   gap     value of the bytes between elements (checked, never written)
+//   fixed   constant written on every save (filler bytes)
+//   domain  { min, max } or { values } the decoded value should satisfy
+//   unknown meaning not worked out yet; exposed raw for research
+
+// Stored card slots count from the first card id
+const DECK_CARD_BASE_ID = 0x27F8;
+
+const bakuganIds = BAKUGAN.map((b) => b.id);
+const allCardIds = Object.values(CARDS).flatMap((cards) => cards.map((c) => c.id));
+const gateCardIds = ["Gold", "Silver", "Bronze"].flatMap((type) =>
+    (CARDS[type] || []).map((c) => c.id)
+);
+
+const ENTRY_STAT = { type: "u8", domain: { min: 0, max: 50 } };
+
+const total = (list) => list.reduce((acc, n) => acc + n, 0);
+
+// Bytes of the 20-byte attribute block that no known field covers
+const unknownEntryByte = (offset) => ({
+    key: `unknown${offset}`,
+    label: `Unknown byte ${offset}`,
+    offset,
+    type: "u8",
+    unknown: true,
+});
+
+export const SAVE_LAYOUT = {
+    bakugan: {
+        label: "Bakugan entry",
+        tab: "bakugan",
+        anchor: "baseOffset",
+        index: [
+            { name: "bakuganId", stride: 120 },
+            { name: "attributeId", stride: 20 },
+        ],
+        size: 20,
+        fields: [
+            { key: "id", label: "Bakugan ID", offset: 0, type: "u8", domain: { values: bakuganIds } },
+            ...[1, 2, 3].map(unknownEntryByte),
+            { key: "attribute", label: "Attribute ID", offset: 4, type: "u8", domain: { min: 0, max: 5 } },
+            { key: "power", label: "Power", offset: 5, type: "u16", domain: { min: 0, max: 1000 } },
+            unknownEntryByte(7),
+            { key: "speed", label: "Speed", offset: 8, ...ENTRY_STAT },
+            { key: "defense", label: "Defense", offset: 9, ...ENTRY_STAT },
+            { key: "acceleration", label: "Acceleration", offset: 10, ...ENTRY_STAT },
+            { key: "endurance", label: "Endurance", offset: 11, ...ENTRY_STAT },
+            { key: "jump", label: "Jump", offset: 12, ...ENTRY_STAT },
+            { key: "level", label: "Level", offset: 13, type: "u8", domain: { min: 0, max: 10 } },
+            ...[14, 15, 16, 17, 18, 19].map(unknownEntryByte),
+        ],
+    },
+
+    cardFlag: {
+        label: "Card flag",
+        tab: "cards",
+        anchor: "cardBaseOffset",
+        index: [{ name: "cardId", stride: 1 }],
+        size: 1,
+        fields: [{ key: "unlocked", label: "Unlocked", offset: 0, type: "flag" }],
+    },
+
+    playerName: {
+        label: "Player name",
+        tab: "appearance",
+        anchor: "playerNameOffset",
+        size: 16,
+        fields: [{ key: "name", label: "Player name", offset: 0, type: "char16", length: 8 }],
+    },
+
+    styling: {
+        label: "Styling",
+        tab: "appearance",
+        anchor: "stylingOffset",
+        size: 45,
+        fields: STYLING_FIELDS.map((f) => {
+            const options = getStylingOptions(f.key);
+            return {
+                key: f.key,
+                label: f.label,
+                offset: f.byteOffset,
+                type: "u8",
+                pad: 0x00,
+                domain: options.length ? { values: options.map((o) => o.id) } : undefined,
+            };
+        }),
+    },
+
+    deck: {
+        label: "Deck",
+        tab: "decks",
+        anchor: "deckOffsets",
+        list: "deckIndex",
+        size: 36,
+        fields: [
+            { key: "bakuganSlots", label: "Bakugan slot", offset: 0, type: "bakuganSlot", count: 3, stride: 2, domain: { values: bakuganIds } },
+            { key: "filler1", label: "Filler", offset: 6, type: "u8", count: 6, stride: 1, fixed: 0xff },
+            { key: "gateCards", label: "Gate card", offset: 12, type: "cardSlot", count: 3, stride: 2, base: DECK_CARD_BASE_ID, domain: { values: gateCardIds } },
+            { key: "filler2", label: "Filler", offset: 18, type: "u8", count: 6, stride: 1, fixed: 0xff },
+            { key: "abilityCards", label: "Ability card", offset: 24, type: "cardSlot", count: 3, stride: 2, base: DECK_CARD_BASE_ID, domain: { values: allCardIds } },
+            { key: "filler3", label: "Filler", offset: 30, type: "u8", count: 6, stride: 1, fixed: 0xff },
+        ],
+    },
+
+    deckName: {
+        label: "Deck name",
+        tab: "decks",
+        anchor: "deckNameOffsets",
+        list: "deckIndex",
+        size: 20,
+        fields: [{ key: "name", label: "Deck name", offset: 0, type: "char16", length: 10 }],
+    },
+
+    stats: {
+        label: "Stats",
+        tab: "stats",
+        anchor: "statsOffsets",
+        // Counters are single bytes, so these can fail on a save that has
+        // wrapped one; they are ranking hints, not validation
+        checks: [
+            { label: "wins + losses ≤ battles", test: (s) => s.wins + s.losses <= s.battles },
+            {
+                label: "1 vs 1 + battle royale + tag team ≤ battles",
+                test: (s) => s.oneVsOne + s.battleRoyale + s.tagTeam <= s.battles,
+            },
+            { label: "opponent wins ≤ wins", test: (s) => total(s.opponentWins) <= s.wins },
+        ],
+        fields: [
+            { key: "rankingPoints", label: "Ranking points", at: "rankingPoints", type: "u24" },
+            { key: "bakuganPoints", label: "Bakugan points", at: "bakuganPoints", type: "u24" },
+            { key: "battles", label: "Battles", at: "battles", type: "u8" },
+            { key: "wins", label: "Wins", at: "wins", type: "u8" },
+            { key: "losses", label: "Losses", at: "losses", type: "u8" },
+            { key: "sphereAttacks", label: "Sphere attacks", at: "sphereAttacks", type: "u8" },
+            { key: "doubleStands", label: "Double stands", at: "doubleStands", type: "u8" },
+            { key: "oneVsOne", label: "1 vs 1 battles", at: "oneVsOne", type: "u8" },
+            { key: "battleRoyale", label: "Battle royale battles", at: "battleRoyale", type: "u8" },
+            { key: "tagTeam", label: "Tag team battles", at: "tagTeam", type: "u8" },
+            { key: "opponentWins", label: "Opponent wins", at: "opponentWins", type: "u8", count: 16, stride: 1 },
+            { key: "attributeUsage", label: "Attribute usage", at: "attributeUsageBase", type: "u8", count: 6, stride: 2, pad: 0x00 },
+        ],
+    },
+
+    usage: {
+        label: "Bakugan usage",
+        tab: "stats",
+        anchor: "bakuganUsageBase",
+        index: [{ name: "bakuganId", stride: 12 }],
+        size: 12,
+        fields: [{ key: "usage", label: "Usage", offset: 0, type: "u8", count: 6, stride: 2, gap: 0x00 }],
+    },
+};
+
+// -----------------
+// Layout indexes
+// -----------------
+
+// Every `list`/`index` name used above: values(ctx) are the instances hex
+// annotations enumerate, label(value) names one in their tooltips.
+const byId = (list) => Object.fromEntries(list.map(({ id, name }) => [id, name]));
+const sortedIds = (list) => list.map((x) => x.id).sort((a, b) => a - b);
+const bakuganNames = byId(BAKUGAN);
+const attributeNames = byId(ATTRIBUTES);
+const cardNames = byId(Object.values(CARDS).flat());
+
+export const LAYOUT_INDEXES = {
+    bakuganId: { values: () => sortedIds(BAKUGAN), label: (id) => bakuganNames[id] ?? `ID ${id}` },
+    attributeId: { values: () => sortedIds(ATTRIBUTES), label: (id) => attributeNames[id] ?? `Attr ${id}` },
+    cardId: { values: () => allCardIds, label: (id) => cardNames[id] ?? `Card ${id}` },
+    deckIndex: {
+        values: (ctx) => (ctx.deckOffsets ?? []).map((_, i) => i),
+        label: (i) => `Deck ${i + 1}`,
+    },
+};
+
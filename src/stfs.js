@@ -0,0 +1,282 @@
+// stfs.js
+// Xbox 360 STFS packages (CON/LIVE/PIRS): metadata, file table, file
+// extraction and re-injection with rebuilt hash tables. Block addressing
+// follows the free60 STFS documentation.
+
+import { bytesEqual, bytesToHex, sha1 } from "./crypto";
+
+const BLOCK_SIZE = 0x1000;
+const HASHES_PER_TABLE = 0xaa;
+const HASHES_PER_L1 = 0x70e4;
+const HASH_ENTRY_SIZE = 0x18;
+const FILE_ENTRY_SIZE = 0x40;
+
+const HEADER_HASH_OFFSET = 0x32c;
+const HEADER_HASH_START = 0x344;
+const TOP_HASH_OFFSET = 0x381;
+
+const MAGICS = ["CON ", "LIVE", "PIRS"];
+
+const textDecoder = new TextDecoder();
+
+function dataView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+const readU24Be = (b, o) => (b[o] << 16) | (b[o + 1] << 8) | b[o + 2];
+const readU24Le = (b, o) => b[o] | (b[o + 1] << 8) | (b[o + 2] << 16);
+
+function decodeUtf16Be(bytes) {
+    let out = "";
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        const c = (bytes[i] << 8) | bytes[i + 1];
+        if (c === 0) break;
+        out += String.fromCharCode(c);
+    }
+    return out;
+}
+
+export function isStfsPackage(bytes) {
+    return bytes.length > 0x971a && MAGICS.includes(textDecoder.decode(bytes.subarray(0, 4)));
+}
+
+// -----------------
+// Block addressing
+// -----------------
+
+function createLayout(bytes) {
+    const view = dataView(bytes);
+    const headerSize = view.getUint32(0x340, false);
+    const blockSeparation = bytes[0x37b];
+    const allocatedBlocks = view.getUint32(0x395, false);
+
+    // "Male" packages keep two copies of every hash table
+    const sex = ~blockSeparation & 1;
+    const blockStep = sex ? [0xac, 0x723a] : [0xab, 0x718f];
+    const firstHashTable = (headerSize + 0xfff) & ~0xfff;
+
+    let topLevel = 0;
+    if (allocatedBlocks > HASHES_PER_L1) topLevel = 2;
+    else if (allocatedBlocks > HASHES_PER_TABLE) topLevel = 1;
+    if (topLevel === 2) {
+        throw new Error("STFS packages with three hash levels are not supported.");
+    }
+
+    return { bytes, headerSize, blockSeparation, sex, blockStep, firstHashTable, topLevel };
+}
+
+function dataBlockBacking(layout, n) {
+    const { sex } = layout;
+    const base = (Math.floor((n + HASHES_PER_TABLE) / HASHES_PER_TABLE) << sex) + n;
+    if (n < HASHES_PER_TABLE) return base;
+    return base + (Math.floor((n + HASHES_PER_L1) / HASHES_PER_L1) << sex);
+}
+
+function level0Backing(layout, n) {
+    if (n < HASHES_PER_TABLE) return 0;
+    const { sex, blockStep } = layout;
+    return (
+        Math.floor(n / HASHES_PER_TABLE) * blockStep[0] +
+        ((Math.floor(n / HASHES_PER_L1) + 1) << sex)
+    );
+}
+
+function level1Backing(layout) {
+    return layout.blockStep[0];
+}
+
+const backingAddress = (layout, backing) => layout.firstHashTable + backing * BLOCK_SIZE;
+
+function blockAddress(layout, n) {
+    return backingAddress(layout, dataBlockBacking(layout, n));
+}
+
+// Address of the active top-level table
+function topTableAddress(layout) {
+    const backing = layout.topLevel === 0 ? 0 : level1Backing(layout);
+    const active = layout.sex && layout.blockSeparation & 2 ? 1 : 0;
+    return backingAddress(layout, backing + active);
+}
+
+// Address of the active level-0 table covering data block n
+function level0TableAddress(layout, n) {
+    if (layout.topLevel === 0) {
+        return topTableAddress(layout);
+    }
+    const l1Entry = topTableAddress(layout) + Math.floor(n / HASHES_PER_TABLE) * HASH_ENTRY_SIZE;
+    const active = layout.sex && layout.bytes[l1Entry + 20] & 0x40 ? 1 : 0;
+    return backingAddress(layout, level0Backing(layout, n) + active);
+}
+
+function hashEntryAddress(layout, n) {
+    return level0TableAddress(layout, n) + (n % HASHES_PER_TABLE) * HASH_ENTRY_SIZE;
+}
+
+function nextBlock(layout, n) {
+    return readU24Be(layout.bytes, hashEntryAddress(layout, n) + 21);
+}
+
+// -----------------
+// File table
+// -----------------
+
+function readFileTable(layout) {
+    const { bytes } = layout;
+    const blockCount = bytes[0x37c] | (bytes[0x37d] << 8);
+    let block = readU24Le(bytes, 0x37e);
+
+    const entries = [];
+    for (let i = 0; i < blockCount; i++) {
+        const base = blockAddress(layout, block);
+        for (let e = 0; e < BLOCK_SIZE / FILE_ENTRY_SIZE; e++) {
+            const offset = base + e * FILE_ENTRY_SIZE;
+            const flags = bytes[offset + 0x28];
+            const nameLength = flags & 0x3f;
+            if (nameLength === 0) break;
+
+            entries.push({
+                index: entries.length,
+                name: textDecoder.decode(bytes.subarray(offset, offset + nameLength)),
+                isDirectory: (flags & 0x80) !== 0,
+                consecutive: (flags & 0x40) !== 0,
+                blockCount: readU24Le(bytes, offset + 0x29),
+                startBlock: readU24Le(bytes, offset + 0x2f),
+                parent: dataView(bytes).getInt16(offset + 0x32, false),
+                size: dataView(bytes).getUint32(offset + 0x34, false),
+            });
+        }
+        block = nextBlock(layout, block);
+    }
+
+    for (const entry of entries) {
+        const parts = [entry.name];
+        let parent = entry.parent;
+        while (parent >= 0 && entries[parent]) {
+            parts.unshift(entries[parent].name);
+            parent = entries[parent].parent;
+        }
+        entry.path = parts.join("/");
+    }
+
+    return entries;
+}
+
+function fileBlocks(layout, entry) {
+    const count = Math.ceil(entry.size / BLOCK_SIZE);
+    const blocks = [];
+    let block = entry.startBlock;
+    for (let i = 0; i < count; i++) {
+        blocks.push(block);
+        block = entry.consecutive ? block + 1 : nextBlock(layout, block);
+    }
+    return blocks;
+}
+
+// -----------------
+// Package
+// -----------------
+
+export function parseStfsPackage(bytes) {
+    if (!isStfsPackage(bytes)) {
+        throw new Error("Not an STFS package (CON/LIVE/PIRS magic not found).");
+    }
+
+    const layout = createLayout(bytes);
+    const view = dataView(bytes);
+    const thumbnailSize = view.getUint32(0x1712, false);
+
+    return {
+        magic: textDecoder.decode(bytes.subarray(0, 4)).trim(),
+        layout,
+        metadata: {
+            displayName: decodeUtf16Be(bytes.subarray(0x411, 0x491)),
+            titleName: decodeUtf16Be(bytes.subarray(0x1691, 0x1711)),
+            titleId: view.getUint32(0x360, false).toString(16).toUpperCase().padStart(8, "0"),
+            profileId: bytesToHex(bytes.subarray(0x371, 0x379)),
+            deviceId: bytesToHex(bytes.subarray(0x3fd, 0x411)),
+            consoleId: bytesToHex(bytes.subarray(0x36c, 0x371)),
+            thumbnail:
+                thumbnailSize > 0 && thumbnailSize <= 0x4000
+                    ? bytes.slice(0x171a, 0x171a + thumbnailSize)
+                    : null,
+        },
+        files: readFileTable(layout),
+    };
+}
+
+export function extractStfsFile(pkg, entry) {
+    const { layout } = pkg;
+    const out = new Uint8Array(entry.size);
+    fileBlocks(layout, entry).forEach((block, i) => {
+        const start = blockAddress(layout, block);
+        const length = Math.min(BLOCK_SIZE, entry.size - i * BLOCK_SIZE);
+        out.set(layout.bytes.subarray(start, start + length), i * BLOCK_SIZE);
+    });
+    return out;
+}
+
+export async function verifyStfsPackage(pkg, entry) {
+    const { layout } = pkg;
+    const { bytes } = layout;
+
+    let blocksOk = true;
+    for (const block of fileBlocks(layout, entry)) {
+        const address = blockAddress(layout, block);
+        const hashAddress = hashEntryAddress(layout, block);
+        const stored = bytes.subarray(hashAddress, hashAddress + 20);
+        if (!bytesEqual(await sha1(bytes.subarray(address, address + BLOCK_SIZE)), stored)) {
+            blocksOk = false;
+            break;
+        }
+    }
+
+    const topTable = topTableAddress(layout);
+    const topHashOk = bytesEqual(
+        await sha1(bytes.subarray(topTable, topTable + BLOCK_SIZE)),
+        bytes.subarray(TOP_HASH_OFFSET, TOP_HASH_OFFSET + 20)
+    );
+    const headerHashOk = bytesEqual(
+        await sha1(bytes.subarray(HEADER_HASH_START, layout.firstHashTable)),
+        bytes.subarray(HEADER_HASH_OFFSET, HEADER_HASH_OFFSET + 20)
+    );
+
+    return { blocksOk, topHashOk, headerHashOk, ok: blocksOk && topHashOk && headerHashOk };
+}
+
+// Writes `data` (same size as the original file) back into a copy of the
+// package and rebuilds the block hashes, the level-1 table, the top hash
+// and the header hash. The package signature is left as-is.
+export async function injectStfsFile(pkg, entry, data) {
+    if (data.length !== entry.size) {
+        throw new Error(
+            `Replacement for ${entry.name} is ${data.length} bytes; it must stay ${entry.size} bytes.`
+        );
+    }
+
+    const bytes = pkg.layout.bytes.slice();
+    const layout = { ...pkg.layout, bytes };
+
+    const level0Tables = new Map();
+    for (const [i, block] of fileBlocks(layout, entry).entries()) {
+        const address = blockAddress(layout, block);
+        const length = Math.min(BLOCK_SIZE, entry.size - i * BLOCK_SIZE);
+        bytes.set(data.subarray(i * BLOCK_SIZE, i * BLOCK_SIZE + length), address);
+
+        const hash = await sha1(bytes.subarray(address, address + BLOCK_SIZE));
+        bytes.set(hash, hashEntryAddress(layout, block));
+        level0Tables.set(level0TableAddress(layout, block), Math.floor(block / HASHES_PER_TABLE));
+    }
+
+    const topTable = topTableAddress(layout);
+    if (layout.topLevel === 1) {
+        for (const [tableAddress, index] of level0Tables) {
+            const hash = await sha1(bytes.subarray(tableAddress, tableAddress + BLOCK_SIZE));
+            bytes.set(hash, topTable + index * HASH_ENTRY_SIZE);
+        }
+    }
+
+    bytes.set(await sha1(bytes.subarray(topTable, topTable + BLOCK_SIZE)), TOP_HASH_OFFSET);
+    bytes.set(await sha1(bytes.subarray(HEADER_HASH_START, layout.firstHashTable)), HEADER_HASH_OFFSET);
+
+    return bytes;
+}
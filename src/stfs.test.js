@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import { sha1 } from "./crypto";
+import { extractStfsFile, injectStfsFile, parseStfsPackage, verifyStfsPackage } from "./stfs";
+
+const BLOCK_SIZE = 0x1000;
+const HEADER_SIZE = 0x971a;
+const FIRST_HASH_TABLE = 0xa000;
+const FILE_NAME = "savegame.dat";
+
+// Single-copy ("female") packages only: block n lives after one level-0
+// table per 170 blocks, plus the level-1 table once there is more than one.
+function backingOfBlock(n, twoLevel) {
+    return Math.floor((n + 0xaa) / 0xaa) + n + (twoLevel && n >= 0xaa ? 1 : 0);
+}
+const backingAddress = (backing) => FIRST_HASH_TABLE + backing * BLOCK_SIZE;
+
+function fileData(length, fill) {
+    const data = new Uint8Array(length);
+    for (let i = 0; i < data.length; i++) data[i] = (i * 13 + fill) & 0xff;
+    return data;
+}
+
+// One file-table block (block 0) and one consecutive file
+function buildPackage({ allocatedBlocks, startBlock, data }) {
+    const twoLevel = allocatedBlocks > 0xaa;
+    const lastBacking = backingOfBlock(allocatedBlocks - 1, twoLevel);
+    const bytes = new Uint8Array(backingAddress(lastBacking + 1));
+    const view = new DataView(bytes.buffer);
+
+    bytes.set(new TextEncoder().encode("CON "));
+    view.setUint32(0x340, HEADER_SIZE, false);
+    view.setUint32(0x360, 0x4156081c, false);
+    bytes[0x37b] = 1;
+    bytes[0x37c] = 1;
+    view.setUint32(0x395, allocatedBlocks, false);
+
+    const blockCount = Math.ceil(data.length / BLOCK_SIZE);
+    const entry = backingAddress(backingOfBlock(0, twoLevel));
+    bytes.set(new TextEncoder().encode(FILE_NAME), entry);
+    bytes[entry + 0x28] = 0x40 | FILE_NAME.length;
+    bytes[entry + 0x29] = blockCount;
+    bytes[entry + 0x2c] = blockCount;
+    bytes[entry + 0x2f] = startBlock & 0xff;
+    bytes[entry + 0x30] = startBlock >> 8;
+    view.setInt16(entry + 0x32, -1, false);
+    view.setUint32(entry + 0x34, data.length, false);
+
+    for (let i = 0; i < blockCount; i++) {
+        const address = backingAddress(backingOfBlock(startBlock + i, twoLevel));
+        bytes.set(data.subarray(i * BLOCK_SIZE, (i + 1) * BLOCK_SIZE), address);
+    }
+    return bytes;
+}
+
+describe("STFS packages", () => {
+    it("reads the metadata and file table", () => {
+        const data = fileData(5000, 0);
+        const pkg = parseStfsPackage(buildPackage({ allocatedBlocks: 3, startBlock: 1, data }));
+        expect(pkg.magic).toBe("CON");
+        expect(pkg.metadata.titleId).toBe("4156081C");
+        expect(pkg.files).toHaveLength(1);
+        expect(pkg.files[0]).toMatchObject({ path: FILE_NAME, size: 5000, startBlock: 1 });
+        expect(extractStfsFile(pkg, pkg.files[0])).toEqual(data);
+    });
+
+    it("rebuilds the level-0 hashes, top hash and header hash on inject", async () => {
+        const pkg = parseStfsPackage(
+            buildPackage({ allocatedBlocks: 3, startBlock: 1, data: fileData(5000, 0) })
+        );
+        expect((await verifyStfsPackage(pkg, pkg.files[0])).ok).toBe(false);
+
+        const edited = fileData(5000, 1);
+        const injected = parseStfsPackage(await injectStfsFile(pkg, pkg.files[0], edited));
+        expect(await verifyStfsPackage(injected, injected.files[0])).toEqual({
+            blocksOk: true,
+            topHashOk: true,
+            headerHashOk: true,
+            ok: true,
+        });
+        expect(extractStfsFile(injected, injected.files[0])).toEqual(edited);
+    });
+
+    it("rebuilds every level-0 table a file spans and the level-1 table", async () => {
+        // Blocks 0xa8-0xab straddle the first and second level-0 tables
+        const pkg = parseStfsPackage(
+            buildPackage({ allocatedBlocks: 0xb0, startBlock: 0xa8, data: fileData(0x3800, 0) })
+        );
+        const edited = fileData(0x3800, 2);
+        const bytes = await injectStfsFile(pkg, pkg.files[0], edited);
+        const injected = parseStfsPackage(bytes);
+
+        expect((await verifyStfsPackage(injected, injected.files[0])).ok).toBe(true);
+        expect(extractStfsFile(injected, injected.files[0])).toEqual(edited);
+
+        const level1 = backingAddress(0xab);
+        const secondLevel0 = backingAddress(0xac);
+        for (const [index, table] of [[0, backingAddress(0)], [1, secondLevel0]]) {
+            const stored = bytes.subarray(level1 + index * 0x18, level1 + index * 0x18 + 20);
+            expect(stored).toEqual(await sha1(bytes.subarray(table, table + BLOCK_SIZE)));
+        }
+    });
+
+    it("refuses a replacement of a different size", async () => {
+        const pkg = parseStfsPackage(
+            buildPackage({ allocatedBlocks: 3, startBlock: 1, data: fileData(5000, 0) })
+        );
+        await expect(injectStfsFile(pkg, pkg.files[0], new Uint8Array(10))).rejects.toThrow(
+            /must stay/
+        );
+    });
+});
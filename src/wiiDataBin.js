@@ -0,0 +1,339 @@
+// wiiDataBin.js
+// Wii SD-card save export (data.bin): AES-encrypted header with the banner,
+// a plain "Bk" header, encrypted files and an ECDSA signature with the
+// console's certificate chain. Layout follows Segher's tachtig/twintig.
+
+import {
+    aesCbcDecrypt,
+    aesCbcEncrypt,
+    bytesEqual,
+    concatBytes,
+    hexToBytes,
+    md5,
+    sha1,
+} from "./crypto";
+import { ecPrivateToPublic, ecdsaSign, ecdsaVerify } from "./ecc";
+
+const SD_KEY = hexToBytes("AB01B9D8E1622B08AFBAD84DBFC2A55D");
+const SD_IV = hexToBytes("216712E6AA1F689F95C5A22324DC6A98");
+const MD5_BLANKER = hexToBytes("0E65378199BE4517AB06EC22451A5793");
+
+const HEADER_SIZE = 0xf0c0;
+const BK_HEADER_SIZE = 0x80;
+const BK_MAGIC = 0x426b0001;
+const FILE_HEADER_SIZE = 0x80;
+const FILE_MAGIC = 0x03adf17e;
+const SIGNATURE_SIZE = 0x40;
+const CERT_SIZE = 0x180;
+const TAIL_SIZE = SIGNATURE_SIZE + CERT_SIZE * 2;
+
+const BANNER_MAGIC = 0x5749424e; // "WIBN"
+const BANNER_WIDTH = 192;
+const BANNER_HEIGHT = 64;
+const ICON_SIZE = 48;
+
+const textDecoder = new TextDecoder();
+
+const roundUp = (n, to) => Math.ceil(n / to) * to;
+
+function dataView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+export function isWiiDataBin(bytes) {
+    return (
+        bytes.length >= HEADER_SIZE + BK_HEADER_SIZE + TAIL_SIZE &&
+        dataView(bytes).getUint32(HEADER_SIZE + 4, false) === BK_MAGIC
+    );
+}
+
+// -----------------
+// Banner
+// -----------------
+
+// RGB5A3 texels in 4x4 tiles, as used by the banner and icons
+function decodeRgb5a3(bytes, width, height) {
+    const view = dataView(bytes);
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    let ptr = 0;
+
+    for (let ty = 0; ty < height; ty += 4) {
+        for (let tx = 0; tx < width; tx += 4) {
+            for (let y = ty; y < ty + 4; y++) {
+                for (let x = tx; x < tx + 4; x++) {
+                    const v = view.getUint16(ptr, false);
+                    ptr += 2;
+                    const idx = (y * width + x) * 4;
+                    if (v & 0x8000) {
+                        rgba[idx] = ((v >> 10) & 0x1f) * 255 / 31;
+                        rgba[idx + 1] = ((v >> 5) & 0x1f) * 255 / 31;
+                        rgba[idx + 2] = (v & 0x1f) * 255 / 31;
+                        rgba[idx + 3] = 255;
+                    } else {
+                        rgba[idx] = ((v >> 8) & 0x0f) * 17;
+                        rgba[idx + 1] = ((v >> 4) & 0x0f) * 17;
+                        rgba[idx + 2] = (v & 0x0f) * 17;
+                        rgba[idx + 3] = ((v >> 12) & 0x07) * 255 / 7;
+                    }
+                }
+            }
+        }
+    }
+
+    return rgba;
+}
+
+function decodeUtf16Be(bytes) {
+    let out = "";
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        const c = (bytes[i] << 8) | bytes[i + 1];
+        if (c === 0) break;
+        out += String.fromCharCode(c);
+    }
+    return out;
+}
+
+export function parseWiiBanner(banner) {
+    if (banner.length < 0xa0 || dataView(banner).getUint32(0, false) !== BANNER_MAGIC) {
+        return null;
+    }
+
+    const imageEnd = 0xa0 + BANNER_WIDTH * BANNER_HEIGHT * 2;
+    const iconEnd = imageEnd + ICON_SIZE * ICON_SIZE * 2;
+
+    return {
+        title: decodeUtf16Be(banner.subarray(0x20, 0x60)),
+        subtitle: decodeUtf16Be(banner.subarray(0x60, 0xa0)),
+        image:
+            banner.length >= imageEnd
+                ? {
+                    width: BANNER_WIDTH,
+                    height: BANNER_HEIGHT,
+                    rgba: decodeRgb5a3(banner.subarray(0xa0, imageEnd), BANNER_WIDTH, BANNER_HEIGHT),
+                }
+                : null,
+        icon:
+            banner.length >= iconEnd
+                ? {
+                    width: ICON_SIZE,
+                    height: ICON_SIZE,
+                    rgba: decodeRgb5a3(banner.subarray(imageEnd, iconEnd), ICON_SIZE, ICON_SIZE),
+                }
+                : null,
+    };
+}
+
+// -----------------
+// Signature chain
+// -----------------
+
+function certPublicKey(cert) {
+    return cert.subarray(0x108, 0x108 + 60);
+}
+
+async function signedDataHash(bkHeader, filesBlob) {
+    return sha1(await sha1(concatBytes(bkHeader, filesBlob)));
+}
+
+async function verifySignatureChain(bkHeader, filesBlob, tail) {
+    const signature = tail.subarray(0, 60);
+    const ngCert = tail.subarray(SIGNATURE_SIZE, SIGNATURE_SIZE + CERT_SIZE);
+    const apCert = tail.subarray(SIGNATURE_SIZE + CERT_SIZE, TAIL_SIZE);
+
+    const dataOk = ecdsaVerify(
+        certPublicKey(apCert),
+        await signedDataHash(bkHeader, filesBlob),
+        signature
+    );
+    const apCertOk = ecdsaVerify(
+        certPublicKey(ngCert),
+        await sha1(apCert.subarray(0x80, CERT_SIZE)),
+        apCert.subarray(4, 64)
+    );
+
+    return { dataOk, apCertOk, ok: dataOk && apCertOk };
+}
+
+function writeAscii(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) bytes[offset + i] = text.charCodeAt(i);
+}
+
+function makeEcCert(signature, issuer, name, privateKey, keyId) {
+    const cert = new Uint8Array(CERT_SIZE);
+    const view = dataView(cert);
+    view.setUint32(0, 0x00010002, false);
+    cert.set(signature, 4);
+    writeAscii(cert, 0x80, issuer);
+    view.setUint32(0xc0, 2, false);
+    writeAscii(cert, 0xc4, name);
+    view.setUint32(0x104, keyId, false);
+    cert.set(ecPrivateToPublic(privateKey), 0x108);
+    return cert;
+}
+
+const hex8 = (n) => n.toString(16).padStart(8, "0");
+
+// keys: { ngId, ngKeyId, ngPrivateKey (30 bytes), ngSignature (60 bytes) }
+async function signDataBin(bkHeader, filesBlob, keys) {
+    const ngIssuer = "Root-CA00000001-MS00000002";
+    const ngCert = makeEcCert(
+        keys.ngSignature,
+        ngIssuer,
+        `NG${hex8(keys.ngId)}`,
+        keys.ngPrivateKey,
+        keys.ngKeyId
+    );
+
+    // Same fixed AP key as twintig; it is certified by the console's NG key
+    const apPrivateKey = new Uint8Array(30);
+    apPrivateKey[10] = 1;
+    const apIssuer = `${ngIssuer}-NG${hex8(keys.ngId)}`;
+    const apName = `AP${hex8(1)}${hex8(2)}`;
+
+    const unsignedApCert = makeEcCert(new Uint8Array(60), apIssuer, apName, apPrivateKey, 0);
+    const apSignature = ecdsaSign(
+        keys.ngPrivateKey,
+        await sha1(unsignedApCert.subarray(0x80, CERT_SIZE))
+    );
+    const apCert = makeEcCert(apSignature, apIssuer, apName, apPrivateKey, 0);
+
+    const signature = new Uint8Array(SIGNATURE_SIZE);
+    signature.set(ecdsaSign(apPrivateKey, await signedDataHash(bkHeader, filesBlob)), 0);
+    dataView(signature).setUint32(60, 0x2f536969, false); // "/Sii"
+
+    return concatBytes(signature, ngCert, apCert);
+}
+
+export function parseWiiSigningKeys({ ngId, ngKeyId, ngPrivateKey, ngSignature }) {
+    const keys = {
+        ngId: parseInt(ngId, 16) >>> 0,
+        ngKeyId: parseInt(ngKeyId, 16) >>> 0,
+        ngPrivateKey: hexToBytes(ngPrivateKey),
+        ngSignature: hexToBytes(ngSignature),
+    };
+    if (Number.isNaN(keys.ngId) || Number.isNaN(keys.ngKeyId)) {
+        throw new Error("NG ID and NG key ID must be 8 hex digits.");
+    }
+    if (keys.ngPrivateKey.length !== 30) {
+        throw new Error("The NG private key must be 30 bytes (60 hex digits).");
+    }
+    if (keys.ngSignature.length !== 60) {
+        throw new Error("The NG signature must be 60 bytes (120 hex digits).");
+    }
+    return keys;
+}
+
+// -----------------
+// Unpack / pack
+// -----------------
+
+export async function unpackWiiDataBin(bytes) {
+    if (!isWiiDataBin(bytes)) {
+        throw new Error("Not a Wii data.bin (Bk header not found).");
+    }
+
+    const header = await aesCbcDecrypt(SD_KEY, SD_IV, bytes.subarray(0, HEADER_SIZE));
+    const headerView = dataView(header);
+    const storedMd5 = header.slice(0x0e, 0x1e);
+    const blanked = header.slice();
+    blanked.set(MD5_BLANKER, 0x0e);
+    const md5Ok = bytesEqual(md5(blanked), storedMd5);
+
+    const bannerSize = headerView.getUint32(8, false);
+    const banner = header.slice(0x20, 0x20 + Math.min(bannerSize, HEADER_SIZE - 0x20));
+
+    const bkHeader = bytes.slice(HEADER_SIZE, HEADER_SIZE + BK_HEADER_SIZE);
+    const bkView = dataView(bkHeader);
+    const fileCount = bkView.getUint32(0x0c, false);
+    const filesSize = bkView.getUint32(0x10, false);
+
+    const files = [];
+    let ptr = HEADER_SIZE + BK_HEADER_SIZE;
+    for (let i = 0; i < fileCount; i++) {
+        const fileHeader = bytes.slice(ptr, ptr + FILE_HEADER_SIZE);
+        const fhView = dataView(fileHeader);
+        if (fhView.getUint32(0, false) !== FILE_MAGIC) {
+            throw new Error(`Invalid file header ${i + 1} in data.bin at offset ${ptr}.`);
+        }
+
+        const size = fhView.getUint32(4, false);
+        const type = fileHeader[0x0a];
+        const nameBytes = fileHeader.subarray(0x0b, 0x50);
+        const nameEnd = nameBytes.indexOf(0);
+        const iv = fileHeader.slice(0x50, 0x60);
+        const rounded = roundUp(size, 0x40);
+
+        const encrypted = bytes.subarray(ptr + FILE_HEADER_SIZE, ptr + FILE_HEADER_SIZE + rounded);
+        const data = type === 1 ? (await aesCbcDecrypt(SD_KEY, iv, encrypted)).slice(0, size) : null;
+
+        files.push({
+            name: textDecoder.decode(nameEnd === -1 ? nameBytes : nameBytes.subarray(0, nameEnd)),
+            type,
+            header: fileHeader,
+            data,
+        });
+        ptr += FILE_HEADER_SIZE + rounded;
+    }
+
+    const filesBlob = bytes.subarray(HEADER_SIZE + BK_HEADER_SIZE, ptr);
+    const tail = bytes.slice(ptr, ptr + TAIL_SIZE);
+
+    return {
+        header,
+        titleId: Array.from(header.subarray(0, 8), (b) => b.toString(16).padStart(2, "0"))
+            .join("")
+            .toUpperCase(),
+        md5Ok,
+        banner: parseWiiBanner(banner),
+        bkHeader,
+        ngId: bkView.getUint32(0x08, false),
+        filesSize,
+        files,
+        tail,
+        signature: await verifySignatureChain(bkHeader, filesBlob, tail),
+    };
+}
+
+// replacements: { [fileName]: Uint8Array }. Without signing keys the
+// original signature and certificates are kept, which the Wii rejects once
+// any file has changed.
+export async function packWiiDataBin(unpacked, replacements = {}, keys = null) {
+    const header = unpacked.header.slice();
+    header.set(MD5_BLANKER, 0x0e);
+    header.set(md5(header), 0x0e);
+
+    const fileParts = [];
+    for (const file of unpacked.files) {
+        const fileHeader = file.header.slice();
+        if (file.type !== 1) {
+            fileParts.push(fileHeader);
+            continue;
+        }
+
+        const data = replacements[file.name] ?? file.data;
+        dataView(fileHeader).setUint32(4, data.length, false);
+        const padded = new Uint8Array(roundUp(data.length, 0x40));
+        padded.set(data);
+
+        fileParts.push(fileHeader, await aesCbcEncrypt(SD_KEY, fileHeader.subarray(0x50, 0x60), padded));
+    }
+    const filesBlob = concatBytes(...fileParts);
+
+    const bkHeader = unpacked.bkHeader.slice();
+    const bkView = dataView(bkHeader);
+    bkView.setUint32(0x10, filesBlob.length, false);
+    bkView.setUint32(0x1c, filesBlob.length + BK_HEADER_SIZE + TAIL_SIZE, false);
+
+    let tail = unpacked.tail;
+    if (keys) {
+        bkView.setUint32(0x08, keys.ngId, false);
+        tail = await signDataBin(bkHeader, filesBlob, keys);
+    }
+
+    return concatBytes(
+        await aesCbcEncrypt(SD_KEY, SD_IV, header),
+        bkHeader,
+        filesBlob,
+        tail
+    );
+}
@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+import { parseWiiSigningKeys, packWiiDataBin, unpackWiiDataBin } from "./wiiDataBin";
+
+const FILE_NAME = "bakugan.dat";
+
+// Made-up console keys; the private key only has to be below the curve order
+const KEYS = parseWiiSigningKeys({
+    ngId: "0403AC68",
+    ngKeyId: "6AAB8C59",
+    ngPrivateKey: "00C0FFEE".padEnd(60, "5A"),
+    ngSignature: "11".repeat(60),
+});
+
+function fileData(length, fill) {
+    const data = new Uint8Array(length);
+    for (let i = 0; i < data.length; i++) data[i] = (i * 3 + fill) & 0xff;
+    return data;
+}
+
+function writeUtf16Be(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        bytes[offset + i * 2 + 1] = text.charCodeAt(i);
+    }
+}
+
+// The fields unpackWiiDataBin reads, with a minimal "WIBN" banner and a
+// zeroed signature tail
+function buildUnpacked(data) {
+    const header = new Uint8Array(0xf0c0);
+    const hv = new DataView(header.buffer);
+    header.set([0x00, 0x01, 0x00, 0x00, 0x52, 0x42, 0x4b, 0x45]);
+    hv.setUint32(8, 0xa0, false);
+    hv.setUint32(0x20, 0x5749424e, false);
+    writeUtf16Be(header, 0x20 + 0x20, "Bakugan Battle Brawlers");
+
+    const bkHeader = new Uint8Array(0x80);
+    const bv = new DataView(bkHeader.buffer);
+    bv.setUint32(0, 0x70, false);
+    bv.setUint32(4, 0x426b0001, false);
+    bv.setUint32(0x0c, 1, false);
+
+    const fileHeader = new Uint8Array(0x80);
+    const fv = new DataView(fileHeader.buffer);
+    fv.setUint32(0, 0x03adf17e, false);
+    fileHeader[0x0a] = 1;
+    fileHeader.set(new TextEncoder().encode(FILE_NAME), 0x0b);
+    fileHeader.fill(0x42, 0x50, 0x60);
+
+    return {
+        header,
+        bkHeader,
+        files: [{ name: FILE_NAME, type: 1, header: fileHeader, data }],
+        tail: new Uint8Array(0x340),
+    };
+}
+
+describe("Wii data.bin", () => {
+    it("round-trips the header, banner and encrypted files", async () => {
+        const data = fileData(1000, 0);
+        const unpacked = await unpackWiiDataBin(await packWiiDataBin(buildUnpacked(data)));
+
+        expect(unpacked.md5Ok).toBe(true);
+        expect(unpacked.titleId).toBe("0001000052424B45");
+        expect(unpacked.banner.title).toBe("Bakugan Battle Brawlers");
+        expect(unpacked.files).toHaveLength(1);
+        expect(unpacked.files[0].name).toBe(FILE_NAME);
+        expect(unpacked.files[0].data).toEqual(data);
+        expect(unpacked.signature.ok).toBe(false);
+    });
+
+    it("replaces a file and keeps the original tail without keys", async () => {
+        const original = await unpackWiiDataBin(await packWiiDataBin(buildUnpacked(fileData(1000, 0))));
+        const edited = fileData(1000, 9);
+        const repacked = await unpackWiiDataBin(
+            await packWiiDataBin(original, { [FILE_NAME]: edited })
+        );
+
+        expect(repacked.files[0].data).toEqual(edited);
+        expect(repacked.tail).toEqual(original.tail);
+    });
+
+    it("signs the repacked save with the console keys", async () => {
+        const original = await unpackWiiDataBin(await packWiiDataBin(buildUnpacked(fileData(1000, 0))));
+        const edited = fileData(1000, 5);
+        const signed = await unpackWiiDataBin(
+            await packWiiDataBin(original, { [FILE_NAME]: edited }, KEYS)
+        );
+
+        expect(signed.ngId).toBe(0x0403ac68);
+        expect(signed.md5Ok).toBe(true);
+        expect(signed.files[0].data).toEqual(edited);
+        expect(signed.signature).toEqual({ dataOk: true, apCertOk: true, ok: true });
+    });
+
+    it("rejects malformed signing keys", () => {
+        const keys = { ngId: "0403AC68", ngKeyId: "6AAB8C59", ngPrivateKey: "00", ngSignature: "" };
+        expect(() => parseWiiSigningKeys(keys)).toThrow(/private key/);
+    });
+});
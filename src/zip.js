@@ -0,0 +1,134 @@
+// zip.js
+// Minimal ZIP reader/writer for save folders. Reads stored and deflated
+// entries; writes stored entries only.
+
+import { crc32 } from "./crypto";
+
+const LOCAL_HEADER_SIG = 0x04034b50;
+const CENTRAL_HEADER_SIG = 0x02014b50;
+const END_OF_CENTRAL_DIR_SIG = 0x06054b50;
+
+const textDecoder = new TextDecoder();
+const textEncoder = new TextEncoder();
+
+async function inflateRaw(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function findEndOfCentralDir(view) {
+    // The EOCD record is 22 bytes plus an optional comment of up to 64 KiB
+    const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let i = view.byteLength - 22; i >= minOffset; i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIR_SIG) return i;
+    }
+    throw new Error("Not a ZIP archive (end of central directory not found).");
+}
+
+export function isZip(bytes) {
+    return (
+        bytes.length >= 4 &&
+        new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0, true) ===
+        LOCAL_HEADER_SIG
+    );
+}
+
+export async function readZip(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    const eocd = findEndOfCentralDir(view);
+    const count = view.getUint16(eocd + 10, true);
+    let ptr = view.getUint32(eocd + 16, true);
+
+    const files = [];
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(ptr, true) !== CENTRAL_HEADER_SIG) {
+            throw new Error(`Corrupt ZIP central directory at offset ${ptr}.`);
+        }
+        const method = view.getUint16(ptr + 10, true);
+        const compressedSize = view.getUint32(ptr + 20, true);
+        const nameLength = view.getUint16(ptr + 28, true);
+        const extraLength = view.getUint16(ptr + 30, true);
+        const commentLength = view.getUint16(ptr + 32, true);
+        const localOffset = view.getUint32(ptr + 42, true);
+        const name = textDecoder.decode(bytes.subarray(ptr + 46, ptr + 46 + nameLength));
+        ptr += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith("/")) continue;
+
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        let data;
+        if (method === 0) {
+            data = raw.slice();
+        } else if (method === 8) {
+            data = await inflateRaw(raw);
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method} for ${name}.`);
+        }
+
+        files.push({ name, data });
+    }
+
+    return files;
+}
+
+export function writeZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, data } of files) {
+        const nameBytes = textEncoder.encode(name);
+        const crc = crc32(data);
+
+        const local = new Uint8Array(30 + nameBytes.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, LOCAL_HEADER_SIG, true);
+        lv.setUint16(4, 20, true); // version needed
+        lv.setUint16(12, 0x0021, true); // 1980-01-01
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, data.length, true);
+        lv.setUint32(22, data.length, true);
+        lv.setUint16(26, nameBytes.length, true);
+        local.set(nameBytes, 30);
+
+        const central = new Uint8Array(46 + nameBytes.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, CENTRAL_HEADER_SIG, true);
+        cv.setUint16(4, 20, true); // version made by
+        cv.setUint16(6, 20, true); // version needed
+        cv.setUint16(14, 0x0021, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, data.length, true);
+        cv.setUint32(24, data.length, true);
+        cv.setUint16(28, nameBytes.length, true);
+        cv.setUint32(42, offset, true);
+        central.set(nameBytes, 46);
+
+        locals.push(local, data);
+        centrals.push(central);
+        offset += local.length + data.length;
+    }
+
+    const centralSize = centrals.reduce((acc, c) => acc + c.length, 0);
+    const eocd = new Uint8Array(22);
+    const ev = new DataView(eocd.buffer);
+    ev.setUint32(0, END_OF_CENTRAL_DIR_SIG, true);
+    ev.setUint16(8, files.length, true);
+    ev.setUint16(10, files.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    const out = new Uint8Array(offset + centralSize + eocd.length);
+    let ptr = 0;
+    for (const part of [...locals, ...centrals, eocd]) {
+        out.set(part, ptr);
+        ptr += part.length;
+    }
+    return out;
+}
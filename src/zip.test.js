@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import { isZip, readZip, writeZip } from "./zip";
+
+describe("ZIP", () => {
+    it("round-trips stored entries", async () => {
+        const files = [
+            { name: "BLUS30219/PARAM.SFO", data: new Uint8Array([1, 2, 3]) },
+            { name: "BLUS30219/DATA.BIN", data: new Uint8Array(5000).fill(0xab) },
+            { name: "empty.txt", data: new Uint8Array(0) },
+        ];
+        const zip = writeZip(files);
+        expect(isZip(zip)).toBe(true);
+        expect(await readZip(zip)).toEqual(files);
+    });
+
+    it("reads from an ArrayBuffer", async () => {
+        const zip = writeZip([{ name: "a.bin", data: new Uint8Array([9]) }]);
+        expect(await readZip(zip.buffer)).toEqual([{ name: "a.bin", data: new Uint8Array([9]) }]);
+    });
+
+    it("rejects data without a central directory", async () => {
+        expect(isZip(new Uint8Array(30))).toBe(false);
+        await expect(readZip(new Uint8Array(30))).rejects.toThrow(/Not a ZIP/);
+    });
+});